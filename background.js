@@ -1,5 +1,5 @@
-// Load shared utilities (isRestrictedUrl, etc.)
-importScripts("lib.js");
+// Load shared utilities (isRestrictedUrl, etc.) and the capture history store
+importScripts("lib.js", "history-store.js");
 
 // Create context menu items on install
 chrome.runtime.onInstalled.addListener(() => {
@@ -13,30 +13,101 @@ chrome.runtime.onInstalled.addListener(() => {
     title: "📄 Screenshot full page",
     contexts: ["page", "frame", "image", "link", "selection"]
   });
+  chrome.contextMenus.create({
+    id: "screenshot-region",
+    title: "✂️ Screenshot region",
+    contexts: ["page", "frame", "image", "link", "selection"]
+  });
+  chrome.contextMenus.create({
+    id: "screenshot-element",
+    title: "🎯 Screenshot element",
+    contexts: ["page", "frame", "image", "link", "selection"]
+  });
+  // Context-specific entries only appear for their own context.
+  chrome.contextMenus.create({
+    id: "screenshot-image",
+    title: "🖼️ Screenshot this image",
+    contexts: ["image"]
+  });
+  chrome.contextMenus.create({
+    id: "screenshot-selection",
+    title: "🔤 Screenshot this selection",
+    contexts: ["selection"]
+  });
+  chrome.contextMenus.create({
+    id: "screenshot-frame",
+    title: "🪟 Screenshot this frame",
+    contexts: ["frame"]
+  });
 });
 
-// Handle context menu clicks
+// Context menu item ID → capture mode
+const CONTEXT_MENU_MODES = {
+  "screenshot-visible": "visible",
+  "screenshot-full": "full",
+  "screenshot-region": "region",
+  "screenshot-element": "element",
+  "screenshot-image": "image",
+  "screenshot-selection": "selection",
+  "screenshot-frame": "frame"
+};
+
+// Handle context menu clicks. The click info (srcUrl, frameId, …) is
+// forwarded so context-specific modes know what was right-clicked.
 chrome.contextMenus.onClicked.addListener((info, tab) => {
-  if (info.menuItemId === "screenshot-visible") {
-    captureScreenshot(tab, false);
-  } else if (info.menuItemId === "screenshot-full") {
-    captureScreenshot(tab, true);
+  const mode = CONTEXT_MENU_MODES[info.menuItemId];
+  if (mode) {
+    captureScreenshot(tab, mode, { contextInfo: info });
+  }
+});
+
+// Keyboard shortcut (manifest "commands") → capture mode. Chrome allows at
+// most four suggested keys; further commands can still be bound by the
+// user at chrome://extensions/shortcuts.
+const COMMAND_MODES = {
+  "capture-visible": "visible",
+  "capture-full": "full",
+  "capture-region": "region",
+  "capture-element": "element",
+  "capture-responsive": "responsive"
+};
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  const mode = COMMAND_MODES[command];
+  if (!mode) {
+    return;
   }
+  if (tab) {
+    captureScreenshot(tab, mode);
+    return;
+  }
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (tabs[0]) {
+      captureScreenshot(tabs[0], mode);
+    }
+  });
 });
 
 // Handle messages from popup/content scripts
-chrome.runtime.onMessage.addListener((msg, sender) => {
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.action === "capture") {
+    // Popup sends `mode`; older callers (and the E2E harness) send `fullPage`.
+    const mode = msg.mode ?? msg.fullPage;
+    const captureOptions = {
+      destination: msg.destination,
+      media: msg.media,
+      device: msg.device
+    };
     if (Number.isInteger(msg.tabId)) {
       chrome.tabs.get(msg.tabId, (tab) => {
         if (tab) {
-          captureScreenshot(tab, msg.fullPage);
+          captureScreenshot(tab, mode, captureOptions);
           return;
         }
 
         chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
           if (tabs[0]) {
-            captureScreenshot(tabs[0], msg.fullPage);
+            captureScreenshot(tabs[0], mode, captureOptions);
           }
         });
       });
@@ -45,7 +116,16 @@ chrome.runtime.onMessage.addListener((msg, sender) => {
 
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       if (tabs[0]) {
-        captureScreenshot(tabs[0], msg.fullPage);
+        captureScreenshot(tabs[0], mode, captureOptions);
+      }
+    });
+    return;
+  }
+
+  if (msg.action === "pickHideRule") {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (tabs[0]) {
+        pickHideRule(tabs[0]);
       }
     });
     return;
@@ -64,6 +144,26 @@ chrome.runtime.onMessage.addListener((msg, sender) => {
         retryClipboardFromPreview(activeTabId);
       }
     });
+    return;
+  }
+
+  // Annotation editor: the preview's "Annotate" button opens the editor,
+  // which claims its capture once loaded and hands the result back.
+  if (msg.action === "openEditor") {
+    if (sender?.tab && msg.data) {
+      openAnnotationEditor(sender.tab, msg.data, msg.mimeType);
+    }
+    return;
+  }
+
+  if (msg.action === "editorSession") {
+    sendResponse(claimEditorSession(msg.session));
+    return;
+  }
+
+  if (msg.action === "exportAnnotation") {
+    deliverAnnotation(msg.tab ?? {}, msg.data, msg.destination).then(sendResponse);
+    return true;
   }
 });
 
@@ -119,7 +219,60 @@ async function runBestEffort(operation, fn) {
   }
 }
 
-async function captureScreenshot(tab, fullPage) {
+// Settings are read once and cached; storage.onChanged keeps the cache in
+// sync so edits on the options page apply to the next capture without
+// reloading the extension.
+let _settingsCache = null;
+
+async function getSettings() {
+  if (_settingsCache) {
+    return _settingsCache;
+  }
+  const stored = await runBestEffort(
+    "Reading settings",
+    () => chrome.storage.sync.get(DEFAULT_SETTINGS)
+  );
+  _settingsCache = normalizeSettings({ ...DEFAULT_SETTINGS, ...(stored || {}) });
+  return _settingsCache;
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "sync" || !_settingsCache) {
+    return;
+  }
+  const next = { ..._settingsCache };
+  for (const [key, change] of Object.entries(changes)) {
+    next[key] = "newValue" in change ? change.newValue : DEFAULT_SETTINGS[key];
+  }
+  _settingsCache = normalizeSettings(next);
+});
+
+function normalizeDestination(destination) {
+  return DESTINATIONS.includes(destination) ? destination : "clipboard";
+}
+
+// Preview label while delivery is in progress, per destination.
+const DESTINATION_STATUS_TEXT = {
+  clipboard: "Copying to clipboard\u2026",
+  download: "Saving\u2026",
+  both: "Copying and saving\u2026"
+};
+
+const CAPTURE_MODES = [
+  "visible", "full", "region", "element", "image", "selection", "frame",
+  "responsive"
+];
+// Modes that capture whatever was right-clicked (context menu only).
+const CONTEXT_TARGET_MODES = ["image", "selection", "frame"];
+
+// Accept a mode string or the legacy `fullPage` boolean.
+function normalizeCaptureMode(mode) {
+  if (mode === true) return "full";
+  return CAPTURE_MODES.includes(mode) ? mode : "visible";
+}
+
+async function captureScreenshot(tab, mode, options = {}) {
+  const captureMode = normalizeCaptureMode(mode);
   if (!tab?.url || isRestrictedUrl(tab.url)) {
     showBadge("✗", "#ef4444");
     console.warn("Cannot capture screenshot on restricted page:", tab?.url);
@@ -134,82 +287,140 @@ async function captureScreenshot(tab, fullPage) {
   if (!isCurrentCapture(tabId, captureId)) {
     return;
   }
-  showBadge("...", "#6b7280");
 
   try {
     let base64Data;
     let warning = null;
+    // Every image of a capture split into several (full page too tall for
+    // one canvas); null for single-image captures.
+    let parts = null;
+    let partNames = null;
+
+    const settings = await getSettings();
+    // A per-capture destination (popup) overrides the stored default.
+    let destination = normalizeDestination(
+      options.destination ?? settings.destination
+    );
+    const output = outputFromSettings(settings);
+    // Full-page captures hide, redact and anonymize inside
+    // captureFullPage(), see fullPageCaptureOptions().
+    const masks = {
+      hiding: hideRulesFor(settings, hostFromUrl(tab.url)),
+      redaction: redactionOptions(settings),
+      anonymization: anonymizationOptions(settings)
+    };
+
+    // Region and element modes ask the user what to capture first (see
+    // below). The badge only starts pulsing once there is something to
+    // capture.
+    const selects = captureMode === "region" || captureMode === "element";
+    if (!selects) {
+      showBadge("...", "#6b7280");
+    }
 
-    if (fullPage) {
+    if (captureMode === "full" || captureMode === "responsive") {
       // Wait until pre-flash fades out so it never contaminates the capture.
       await showPreFlash(tabId);
       if (!isCurrentCapture(tabId, captureId)) {
         return;
       }
-      const result = await captureFullPage(tab);
+      // Emulated media and device toggles from the popup override the
+      // stored ones.
+      const fullPageSettings = options.media || options.device
+        ? normalizeSettings({ ...settings, ...options.media, ...options.device })
+        : settings;
+      const result = captureMode === "full"
+        ? await captureFullPageWithSettings(tab, fullPageSettings)
+        : await captureResponsiveSheet(tab, fullPageSettings);
       if (!isCurrentCapture(tabId, captureId)) {
         return;
       }
       base64Data = result.data;
       warning = result.warning;
-    } else {
-      const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, {
-        format: "png"
+      parts = result.parts ?? null;
+      partNames = result.partNames ?? null;
+    } else if (selects) {
+      // The user selects on the masked page, so hide rules that remove
+      // elements have already moved the layout the selection measures.
+      // Elements always use the clip path so their full bounding box is
+      // captured even when it extends past the viewport.
+      const result = await withPageMasks(tabId, masks, async () => {
+        const selection = captureMode === "region"
+          ? await selectRegion(tabId)
+          : await pickElement(tabId);
+        if (!selection || !isCurrentCapture(tabId, captureId)) {
+          return null;
+        }
+        showBadge("...", "#6b7280");
+        return captureMode === "region"
+          ? captureRegion(tab, selection, output)
+          : captureClip(tab, selection, output);
       });
       if (!isCurrentCapture(tabId, captureId)) {
         return;
       }
-      base64Data = dataUrl.replace(/^data:image\/png;base64,/, "");
+      if (!result) {
+        // Cancelled (Escape) — nothing to report.
+        finishCaptureIfCurrent(tabId, captureId);
+        return;
+      }
+      base64Data = result.data;
+      warning = result.warning;
+    } else if (CONTEXT_TARGET_MODES.includes(captureMode)) {
+      const result = await withPageMasks(tabId, masks, () =>
+        captureContextTarget(tab, captureMode, options.contextInfo ?? {}, settings)
+      );
+      if (!isCurrentCapture(tabId, captureId)) {
+        return;
+      }
+      base64Data = result.data;
+      warning = result.warning;
+    } else {
+      const data = await withPageMasks(
+        tabId,
+        masks,
+        () => captureVisibleArea(tab, output)
+      );
+      if (!isCurrentCapture(tabId, captureId)) {
+        return;
+      }
+      base64Data = data;
+    }
+
+    // The clipboard holds a single image, so split captures are always
+    // saved to Downloads as well.
+    if (parts && destination === "clipboard") {
+      destination = "both";
     }
 
     // Flash + preview in a single executeScript call so there's no
     // gap between the flash animation ending and the preview appearing.
-    await showFlashAndPreview(tabId, base64Data, warning, captureId);
+    await showFlashAndPreview(tabId, base64Data, warning, captureId, {
+      statusText: DESTINATION_STATUS_TEXT[destination],
+      mimeType: imageMimeType(output.format),
+      durationMs: settings.previewDuration * 1000,
+      position: settings.previewPosition
+    });
     if (!isCurrentCapture(tabId, captureId)) {
       return;
     }
 
-    // Write to clipboard in the background — don't block the preview.
-    // If it fails, update the preview label to reflect the error.
-    copyToClipboard(tabId, base64Data, captureId).then(
-      (copyResult) => {
-        if (copyResult?.stale) {
-          finishCaptureIfCurrent(tabId, captureId);
-          return;
-        }
-        if (!isCurrentCapture(tabId, captureId)) {
-          return;
-        }
-        showBadge("✓", "#22c55e");
-        updatePreviewLabel(
-          tabId,
-          "Copied to clipboard \u2713",
-          "#4ade80",
-          true,
-          { captureId }
-        );
-        finishCaptureIfCurrent(tabId, captureId);
-      },
-      (clipErr) => {
-        if (!isCurrentCapture(tabId, captureId)) {
-          return;
-        }
-        console.error("Clipboard error:", clipErr);
-        showBadge("✗", "#ef4444");
-        updatePreviewLabel(tabId,
-          "Clipboard failed — click tab and retry",
-          "#f87171",
-          false,
-          {
-            captureId,
-            retryVisible: true,
-            retryEnabled: true,
-            retryText: "Retry copy"
-          }
-        );
-        finishCaptureIfCurrent(tabId, captureId);
-      }
-    );
+    // Copy/save in the background — don't block the preview.
+    // The preview label is updated when delivery completes or fails.
+    deliverScreenshot(tab, captureId, base64Data, {
+      mode: captureMode,
+      destination,
+      settings,
+      format: output.format,
+      parts,
+      partNames
+    });
+    void recordHistory(tab, base64Data, {
+      mode: captureMode,
+      format: output.format,
+      warning,
+      settings
+    });
   } catch (err) {
     if (!isCurrentCapture(tabId, captureId)) {
       return;
@@ -222,10 +433,7 @@ async function captureScreenshot(tab, fullPage) {
     // Show a helpful message when the failure is due to the tab losing
     // visibility or focus (user switched away during capture/copy).
     const msg = String(err?.message ?? err ?? "");
-    if (
-      msg.includes("Another debugger") ||
-      msg.includes("already attached")
-    ) {
+    if (isDebuggerAttachError(err)) {
       showError(
         tabId,
         "Cannot capture while DevTools debugger is attached. " +
@@ -243,16 +451,62 @@ async function captureScreenshot(tab, fullPage) {
         "Screenshot failed — the tab must stay visible during capture. " +
           "Please try again without switching away."
       );
+    } else if (msg.startsWith(IMAGE_SOURCE_ERROR)) {
+      showError(tabId, msg);
     }
     finishCaptureIfCurrent(tabId, captureId);
   }
 }
 
+// Image encoding for a capture: { format, quality } with quality 1–100.
+const PNG_OUTPUT = { format: "png" };
+// Formats navigator.clipboard.write() accepts for images.
+const CLIPBOARD_FORMATS = ["png"];
+
+function outputFromSettings(settings) {
+  return { format: settings.format, quality: settings.quality };
+}
+
+function imageMimeType(format) {
+  return `image/${format || "png"}`;
+}
+
+// Page.captureScreenshot / captureVisibleTab parameters. PNG is lossless
+// and takes no quality.
+function captureFormatParams(output = PNG_OUTPUT) {
+  const format = output.format || "png";
+  return format === "png" ? { format } : { format, quality: output.quality };
+}
+
+// OffscreenCanvas.convertToBlob() options (quality is 0–1 there).
+function blobEncodeOptions(output = PNG_OUTPUT) {
+  const format = output.format || "png";
+  return format === "png"
+    ? { type: "image/png" }
+    : { type: imageMimeType(format), quality: output.quality / 100 };
+}
+
+// Visible-area capture. captureVisibleTab only encodes PNG and JPEG, so
+// WebP is captured losslessly and transcoded in the service worker.
+async function captureVisibleArea(tab, output = PNG_OUTPUT) {
+  const nativeFormat = output.format === "webp" ? PNG_OUTPUT : output;
+  const dataUrl = await chrome.tabs.captureVisibleTab(
+    tab.windowId,
+    captureFormatParams(nativeFormat)
+  );
+  const data = stripDataUrlPrefix(dataUrl);
+  return nativeFormat === output ? data : transcodeImage(data, "png", output);
+}
+
 // Maximum width to prevent Chrome from hanging on extreme pages.
 const MAX_CAPTURE_WIDTH = 10000;
 // Chrome's GPU texture limit — physical pixels (CSS px × DPR) beyond this
 // threshold cause tiling/repeating artifacts in the captured image.
 const GPU_TEXTURE_LIMIT = 16384;
+// Largest OffscreenCanvas Chrome will allocate: pixels per side and in
+// total.
+const MAX_CANVAS_DIMENSION = 32767;
+const MAX_CANVAS_AREA = 268435456;
 
 function describeRuntimeEvaluateException(details) {
   if (!details) return "Unknown Runtime.evaluate error";
@@ -269,13 +523,14 @@ function describeRuntimeEvaluateException(details) {
   return `${text} (line ${line}, col ${col})`;
 }
 
-async function evaluateInPage(debuggee, expression, operation) {
+async function evaluateInPage(debuggee, expression, operation, params = {}) {
   const response = await chrome.debugger.sendCommand(
     debuggee,
     "Runtime.evaluate",
     {
       expression,
-      returnByValue: true
+      returnByValue: true,
+      ...params
     }
   );
   if (response?.exceptionDetails) {
@@ -286,21 +541,167 @@ async function evaluateInPage(debuggee, expression, operation) {
   return response?.result;
 }
 
-async function captureFullPage(tab) {
+// How long the network must stay quiet to count as idle, and how often
+// waitForNetworkIdle() checks.
+const NETWORK_IDLE_QUIET_MS = 500;
+const NETWORK_IDLE_POLL_MS = 100;
+
+// Follow a debuggee's CDP Network events (Network.enable must be on) to
+// tell when no request has been in flight for a while. EventSource
+// streams never finish, so they don't count. Call stop() when done.
+function trackNetworkRequests(debuggee) {
+  const inflight = new Set();
+  let lastActivity = Date.now();
+  const listener = (source, method, params) => {
+    if (source.tabId !== debuggee.tabId) return;
+    if (method === "Network.requestWillBeSent") {
+      if (params.type === "EventSource") return;
+      inflight.add(params.requestId);
+    } else if (
+      method === "Network.loadingFinished" ||
+      method === "Network.loadingFailed"
+    ) {
+      inflight.delete(params.requestId);
+    } else {
+      return;
+    }
+    lastActivity = Date.now();
+  };
+  chrome.debugger.onEvent.addListener(listener);
+  return {
+    isIdle: () =>
+      inflight.size === 0 && Date.now() - lastActivity >= NETWORK_IDLE_QUIET_MS,
+    stop: () => chrome.debugger.onEvent.removeListener(listener)
+  };
+}
+
+async function waitForNetworkIdle(network, deadline) {
+  while (!network.isIdle()) {
+    if (Date.now() >= deadline) return false;
+    await sleep(NETWORK_IDLE_POLL_MS);
+  }
+  return true;
+}
+
+// Readiness stage of captureFullPage(): fonts, images and the optional
+// selector in the page (waitForPageReady() in lib.js) and, given a network
+// tracker, network idle — all within `ready.timeout` seconds. Returns a
+// warning for the preview when something didn't finish, otherwise null.
+async function waitForCaptureReady(debuggee, ready, network) {
+  const timeoutMs = ready.timeout * 1000;
+  const deadline = Date.now() + timeoutMs;
+  const pageOptions = { selector: ready.selector, timeoutMs };
+  const [page, networkIdle] = await Promise.all([
+    runBestEffort("Waiting for the page to be ready", () =>
+      evaluateInPage(
+        debuggee,
+        `waitForPageReady(${JSON.stringify(pageOptions)})`,
+        "Waiting for the page to be ready",
+        { awaitPromise: true }
+      )
+    ),
+    network ? waitForNetworkIdle(network, deadline) : true
+  ]);
+
+  const pending = [...(page?.value?.pending ?? [])];
+  if (!networkIdle) pending.push("network");
+  const notes = [];
+  if (page?.value?.invalidSelector) {
+    notes.push(`"${ready.selector}" is not a valid CSS selector — not waited for.`);
+  }
+  if (pending.length > 0) {
+    notes.push(
+      `Page wasn't ready after ${ready.timeout}s (waiting for ` +
+      `${pending.join(", ")}) — captured anyway.`
+    );
+  }
+  return notes.length > 0 ? notes.join(" ") : null;
+}
+
+// `options.dprPolicy` is one of DPR_POLICIES (see lib.js); "auto" when
+// omitted. `options.scrollContainers` is passed to measurePageDimensions().
+// `options.preScroll` ({ maxSteps, maxHeight }) scrolls through the page
+// before it is measured; `options.ready` ({ timeout, networkIdle,
+// selector }) enables the readiness stage before the screenshot and
+// `options.deterministic` ({ freezeTime }) holds the page still for it.
+// `options.media` (Emulation.setEmulatedMedia parameters, see
+// emulatedMediaParams()) applies before measuring, and `options.viewport`
+// ({ width, mobile, userAgent }, see responsiveViewports(); device presets
+// add height, deviceScaleFactor, touch and reload, see deviceViewport())
+// lays the page out as another device first.
+// `options.format` / `options.quality` select the encoding.
+// Resolves to { data, warning, width, parts? } — `width` in CSS px.
+async function captureFullPage(tab, options = {}) {
+  const dprPolicy = options.dprPolicy ?? "auto";
+  const media = options.media ?? null;
+  const viewport = options.viewport ?? null;
+  const preScroll = options.preScroll ?? null;
+  const ready = options.ready ?? null;
+  const deterministic = options.deterministic ?? null;
+  const hiding = options.hiding ?? null;
+  const redaction = options.redaction ?? null;
+  const anonymization = options.anonymization ?? null;
+  const measureOptions = { scrollContainers: options.scrollContainers ?? "largest" };
+  const output = { format: options.format || "png", quality: options.quality };
   const tabId = tab.id;
   const debuggee = { tabId };
   let attached = false;
+  let network = null;
+  let playbackRate = 1;
 
   try {
     await chrome.debugger.attach(debuggee, "1.3");
     attached = true;
 
+    // Dark mode, print styles etc. change the layout, so they go first.
+    if (media) {
+      await chrome.debugger.sendCommand(debuggee, "Emulation.setEmulatedMedia", media);
+    }
+
     // Get the current viewport width
     const metrics = await chrome.debugger.sendCommand(
       debuggee,
       "Page.getLayoutMetrics"
     );
-    const viewportWidth = Math.ceil(metrics.cssLayoutViewport.clientWidth);
+    let viewportWidth = Math.ceil(metrics.cssLayoutViewport.clientWidth);
+
+    // Responsive sheet / device preset: re-layout at the requested width
+    // (and height, DPR) so the page is measured as that device would show
+    // it. The user agent only affects scripts and requests from now on
+    // unless the page is reloaded.
+    let reloadNote = null;
+    if (viewport) {
+      if (viewport.userAgent) {
+        await chrome.debugger.sendCommand(
+          debuggee,
+          "Emulation.setUserAgentOverride",
+          { userAgent: viewport.userAgent }
+        );
+      }
+      if (viewport.touch) {
+        await chrome.debugger.sendCommand(
+          debuggee,
+          "Emulation.setTouchEmulationEnabled",
+          { enabled: true, maxTouchPoints: 5 }
+        );
+      }
+      await chrome.debugger.sendCommand(
+        debuggee,
+        "Emulation.setDeviceMetricsOverride",
+        {
+          width: viewport.width,
+          height: viewport.height ?? Math.ceil(metrics.cssLayoutViewport.clientHeight),
+          deviceScaleFactor: viewport.deviceScaleFactor ?? 0,
+          mobile: viewport.mobile
+        }
+      );
+      viewportWidth = viewport.width;
+      if (viewport.reload && !(await reloadAndWaitForLoad(debuggee))) {
+        reloadNote =
+          `The page didn't finish reloading within ${RELOAD_TIMEOUT_MS / 1000}s ` +
+          "— captured anyway.";
+      }
+    }
 
     // Inject lib.js once per document so repeated captures on the same tab
     // do not re-declare top-level const bindings.
@@ -324,11 +725,66 @@ async function captureFullPage(tab) {
       );
     }
 
+    // Scroll through the page first so content loaded by
+    // IntersectionObserver (lazy images, infinite feeds) exists when the
+    // page is measured — stretching the viewport alone doesn't trigger it.
+    let preScrollNote = null;
+    if (preScroll) {
+      const preScrolled = await runBestEffort("Pre-scrolling the page", () =>
+        evaluateInPage(
+          debuggee,
+          `preScrollPage(${JSON.stringify(preScroll)})`,
+          "Pre-scrolling the page",
+          { awaitPromise: true }
+        )
+      );
+      if (preScrolled?.value?.capped) {
+        preScrollNote =
+          `Stopped loading more content after ${preScrolled.value.steps} ` +
+          `scroll steps (${preScrolled.value.scrollHeight}px) — the page ` +
+          "may continue below.";
+      }
+    }
+
+    // The site's hide rules go first, so fixed banners are hidden before
+    // measuring would move them into the page. A selector that matches
+    // nothing (or breaks) is not worth failing the capture over.
+    if (hiding) {
+      await runBestEffort(
+        "Applying hide rules",
+        () => evaluateInPage(
+          debuggee,
+          `applyHideRules(${JSON.stringify(hiding)})`,
+          "Applying hide rules"
+        )
+      );
+    }
+
+    // Blur or mask sensitive content and swap in placeholders once the
+    // page (including anything the pre-scroll loaded or a device reload
+    // rebuilt) is in place, and before measuring, so expanded containers
+    // fit the placeholder text. A failure fails the capture rather than
+    // leaking what should be hidden.
+    if (redaction) {
+      await evaluateInPage(
+        debuggee,
+        `redactPage(${JSON.stringify(redaction)})`,
+        "Redacting sensitive content"
+      );
+    }
+    if (anonymization) {
+      await evaluateInPage(
+        debuggee,
+        `anonymizePage(${JSON.stringify(anonymization)})`,
+        "Anonymizing page content"
+      );
+    }
+
     // Measure the true scrollable content height.
     // This also detects and expands nested scroll containers (SPAs, etc.).
     const dims = await evaluateInPage(
       debuggee,
-      `JSON.stringify(measurePageDimensions())`,
+      `JSON.stringify(measurePageDimensions(${JSON.stringify(measureOptions)}))`,
       "Measuring page dimensions"
     );
     let parsedDims;
@@ -337,7 +793,7 @@ async function captureFullPage(tab) {
     } catch (_) {
       throw new Error("Measuring page dimensions failed: invalid JSON result");
     }
-    let { height } = parsedDims;
+    let { height, width } = parsedDims;
     if (!Number.isFinite(height)) {
       throw new Error("Measuring page dimensions failed: invalid height value");
     }
@@ -365,7 +821,13 @@ async function captureFullPage(tab) {
 
     // Ensure height is at least 1
     height = Math.max(height, 1);
-    const captureWidth = Math.min(viewportWidth, MAX_CAPTURE_WIDTH);
+    // Widen the viewport for horizontal overflow (the document's
+    // scrollWidth or containers expanded by measurePageDimensions).
+    const contentWidth = Math.max(
+      viewportWidth,
+      Number.isFinite(width) ? Math.ceil(width) : 0
+    );
+    const captureWidth = Math.min(contentWidth, MAX_CAPTURE_WIDTH);
 
     // Hide scrollbars so they don't leave a grey strip in the capture
     await evaluateInPage(
@@ -419,125 +881,1636 @@ async function captureFullPage(tab) {
       "Installing resize blocker"
     );
 
-    // Decide DPR strategy based on whether the physical pixel height
-    // would exceed Chrome's GPU texture limit (16384px).
-    // - Native DPR (0) for sharp output when the page fits.
-    // - DPR=1 when the page is too tall at native resolution.
-    // If even at DPR=1 the page exceeds the limit, we still capture
-    // but warn the user that the image may contain tiling artifacts.
-    const physicalHeightAtNative = height * nativeDPR;
-    const needsDPRFallback =
-      hasExpandedContainers || physicalHeightAtNative > GPU_TEXTURE_LIMIT;
-    const dpr = needsDPRFallback ? 1 : 0;
+    // Decide DPR strategy based on whether the physical pixel height
+    // would exceed Chrome's GPU texture limit (16384px).
+    // - Native DPR (0) for sharp output when the page fits.
+    // - DPR=1 when the page is too tall at native resolution.
+    // Pages that exceed the limit at the chosen DPR are captured in bands
+    // below (no tiling artifacts). The "native" and "1x" policies skip
+    // the heuristic entirely.
+    const physicalHeightAtNative = height * nativeDPR;
+    const needsDPRFallback =
+      dprPolicy === "1x" ||
+      (dprPolicy === "auto" &&
+        (hasExpandedContainers ||
+          physicalHeightAtNative > GPU_TEXTURE_LIMIT ||
+          captureWidth * nativeDPR > GPU_TEXTURE_LIMIT));
+    // 0 keeps the display's ratio; a device preset brings its own.
+    const dpr = needsDPRFallback ? 1 : viewport?.deviceScaleFactor ?? 0;
+
+    let warning = null;
+    if (
+      needsDPRFallback &&
+      dprPolicy === "auto" &&
+      !hasExpandedContainers &&
+      nativeDPR > 1
+    ) {
+      warning =
+        "Captured at reduced resolution (page too large for native DPR).";
+    }
+    if (contentWidth > MAX_CAPTURE_WIDTH) {
+      const cutNote =
+        `Page is wider than ${MAX_CAPTURE_WIDTH}px — the screenshot was ` +
+        "cut off on the right.";
+      warning = warning ? `${warning} ${cutNote}` : cutNote;
+    }
+    if (preScrollNote) {
+      warning = warning ? `${warning} ${preScrollNote}` : preScrollNote;
+    }
+    if (reloadNote) {
+      warning = warning ? `${warning} ${reloadNote}` : reloadNote;
+    }
+
+    // Follow requests from before the override on: stretching the
+    // viewport is what starts lazy images loading.
+    if (ready?.networkIdle) {
+      await chrome.debugger.sendCommand(debuggee, "Network.enable");
+      network = trackNetworkRequests(debuggee);
+    }
+
+    await chrome.debugger.sendCommand(
+      debuggee,
+      "Emulation.setDeviceMetricsOverride",
+      {
+        width: captureWidth,
+        height: height,
+        deviceScaleFactor: dpr,
+        mobile: viewport?.mobile ?? false
+      }
+    );
+
+    if (ready) {
+      const readyNote = await waitForCaptureReady(debuggee, ready, network);
+      if (readyNote) {
+        warning = warning ? `${warning} ${readyNote}` : readyNote;
+      }
+    }
+
+    // Deterministic mode, once the page is ready: pause CSS and Web
+    // animations on the document timeline, carets, focus rings and videos,
+    // and optionally the page's clock (timers, rAF, Date) via virtual time.
+    if (deterministic) {
+      await chrome.debugger.sendCommand(debuggee, "Animation.enable");
+      const rate = await chrome.debugger.sendCommand(
+        debuggee,
+        "Animation.getPlaybackRate"
+      );
+      if (Number.isFinite(rate?.playbackRate)) {
+        playbackRate = rate.playbackRate;
+      }
+      await chrome.debugger.sendCommand(
+        debuggee,
+        "Animation.setPlaybackRate",
+        { playbackRate: 0 }
+      );
+      await evaluateInPage(
+        debuggee,
+        "pausePageMotion()",
+        "Pausing page motion",
+        { awaitPromise: true }
+      );
+      if (deterministic.freezeTime) {
+        await chrome.debugger.sendCommand(
+          debuggee,
+          "Emulation.setVirtualTimePolicy",
+          { policy: "pause" }
+        );
+      }
+    }
+
+    // Stretching the viewport and the ready wait can mount content the
+    // first pass never saw (lazy sections, virtualized rows), so redact
+    // and anonymize again right before capturing; both skip what they
+    // already covered.
+    if (redaction) {
+      await evaluateInPage(
+        debuggee,
+        `redactPage(${JSON.stringify(redaction)})`,
+        "Redacting sensitive content"
+      );
+    }
+    if (anonymization) {
+      await evaluateInPage(
+        debuggee,
+        `anonymizePage(${JSON.stringify(anonymization)})`,
+        "Anonymizing page content"
+      );
+    }
+
+    const scale = dpr || nativeDPR;
+    if (height * scale <= GPU_TEXTURE_LIMIT) {
+      // Capture with a clip rect matching the exact content dimensions.
+      // scale=1 means "capture at the current DPR", not "force 1x".
+      const result = await chrome.debugger.sendCommand(
+        debuggee,
+        "Page.captureScreenshot",
+        {
+          ...captureFormatParams(output),
+          clip: { x: 0, y: 0, width: captureWidth, height: height, scale: 1 }
+        }
+      );
+      return { data: result.data, warning, width: captureWidth };
+    }
+
+    // Too tall for one GPU texture: capture lossless bands that each stay
+    // under the limit and stitch them. Bands are at most half a canvas
+    // tall, so two always fit one canvas, and never exceed the canvas
+    // area at this width.
+    const bandHeight = Math.max(1, Math.floor(
+      Math.min(
+        GPU_TEXTURE_LIMIT,
+        MAX_CANVAS_DIMENSION / 2,
+        MAX_CANVAS_AREA / (captureWidth * scale)
+      ) / scale
+    ));
+    const bands = [];
+    for (let y = 0; y < height; y += bandHeight) {
+      const band = await chrome.debugger.sendCommand(
+        debuggee,
+        "Page.captureScreenshot",
+        {
+          format: "png",
+          clip: {
+            x: 0,
+            y,
+            width: captureWidth,
+            height: Math.min(bandHeight, height - y),
+            scale: 1
+          }
+        }
+      );
+      bands.push(band.data);
+    }
+
+    const parts = await stitchImageBands(bands, output);
+    if (parts.length === 1) {
+      return { data: parts[0], warning, width: captureWidth };
+    }
+    const splitNote =
+      `Page is too tall for a single image — saved as ${parts.length} ` +
+      "images (the preview and clipboard show the first).";
+    return {
+      data: parts[0],
+      warning: warning ? `${warning} ${splitNote}` : splitNote,
+      width: captureWidth,
+      parts
+    };
+  } finally {
+    // Guarantee cleanup runs regardless of where a failure occurred.
+    // Each step is wrapped individually so a failure in one doesn't
+    // prevent the others from running.
+    if (network) {
+      network.stop();
+      await runBestEffort(
+        "Disabling network tracking",
+        () => chrome.debugger.sendCommand(debuggee, "Network.disable")
+      );
+    }
+    if (attached) {
+      if (deterministic) {
+        // Virtual time has no "real time" policy to return to; "advance"
+        // lets the clock run again until the session detaches below.
+        if (deterministic.freezeTime) {
+          await runBestEffort(
+            "Resuming virtual time",
+            () => chrome.debugger.sendCommand(
+              debuggee,
+              "Emulation.setVirtualTimePolicy",
+              { policy: "advance" }
+            )
+          );
+        }
+        await runBestEffort(
+          "Resuming animations",
+          () => chrome.debugger.sendCommand(
+            debuggee,
+            "Animation.setPlaybackRate",
+            { playbackRate }
+          )
+        );
+        await runBestEffort(
+          "Disabling animation tracking",
+          () => chrome.debugger.sendCommand(debuggee, "Animation.disable")
+        );
+        await runBestEffort(
+          "Resuming page motion",
+          () => chrome.debugger.sendCommand(debuggee, "Runtime.evaluate", {
+            expression: `typeof resumePageMotion === 'function' && resumePageMotion()`,
+            returnByValue: true
+          })
+        );
+      }
+
+      if (media) {
+        await runBestEffort(
+          "Clearing emulated media",
+          () => chrome.debugger.sendCommand(
+            debuggee,
+            "Emulation.setEmulatedMedia",
+            { media: "", features: [] }
+          )
+        );
+      }
+
+      if (viewport?.touch) {
+        await runBestEffort(
+          "Disabling touch emulation",
+          () => chrome.debugger.sendCommand(
+            debuggee,
+            "Emulation.setTouchEmulationEnabled",
+            { enabled: false }
+          )
+        );
+      }
+
+      if (viewport?.userAgent) {
+        await runBestEffort(
+          "Clearing user agent override",
+          () => chrome.debugger.sendCommand(
+            debuggee,
+            "Emulation.setUserAgentOverride",
+            { userAgent: "" }
+          )
+        );
+      }
+
+      await runBestEffort(
+        "Clearing emulation override",
+        () => chrome.debugger.sendCommand(
+          debuggee,
+          "Emulation.clearDeviceMetricsOverride"
+        )
+      );
+
+      await runBestEffort(
+        "Restoring resize handlers",
+        () => chrome.debugger.sendCommand(debuggee, "Runtime.evaluate", {
+          expression: `(() => {
+            if (window.__screenshotResizeBlocker) {
+              window.removeEventListener('resize', window.__screenshotResizeBlocker, true);
+              delete window.__screenshotResizeBlocker;
+            }
+            if (window.__screenshotOrigResizeObserver) {
+              window.ResizeObserver = window.__screenshotOrigResizeObserver;
+              delete window.__screenshotOrigResizeObserver;
+            }
+          })()`,
+          returnByValue: true
+        })
+      );
+
+      await runBestEffort(
+        "Removing scrollbar override style",
+        () => chrome.debugger.sendCommand(debuggee, "Runtime.evaluate", {
+          expression: `document.getElementById('__screenshot-hide-scrollbars__')?.remove()`,
+          returnByValue: true
+        })
+      );
+
+      await runBestEffort(
+        "Restoring expanded page containers",
+        () => chrome.debugger.sendCommand(debuggee, "Runtime.evaluate", {
+          expression: `typeof restoreExpandedContainers === 'function' && restoreExpandedContainers()`,
+          returnByValue: true
+        })
+      );
+
+      if (anonymization) {
+        await runBestEffort(
+          "Restoring anonymized content",
+          () => chrome.debugger.sendCommand(debuggee, "Runtime.evaluate", {
+            expression: `typeof restoreAnonymization === 'function' && restoreAnonymization()`,
+            returnByValue: true
+          })
+        );
+      }
+
+      if (redaction) {
+        await runBestEffort(
+          "Restoring redacted content",
+          () => chrome.debugger.sendCommand(debuggee, "Runtime.evaluate", {
+            expression: `typeof restoreRedactions === 'function' && restoreRedactions()`,
+            returnByValue: true
+          })
+        );
+      }
+
+      if (hiding) {
+        await runBestEffort(
+          "Restoring hidden elements",
+          () => chrome.debugger.sendCommand(debuggee, "Runtime.evaluate", {
+            expression: `typeof restoreHideRules === 'function' && restoreHideRules()`,
+            returnByValue: true
+          })
+        );
+      }
+
+      if (preScroll) {
+        await runBestEffort(
+          "Restoring scroll position",
+          () => chrome.debugger.sendCommand(debuggee, "Runtime.evaluate", {
+            expression: `typeof restorePreScroll === 'function' && restorePreScroll()`,
+            returnByValue: true
+          })
+        );
+      }
+
+      // The page was loaded as the device; load it again as the desktop
+      // browser now that the overrides are gone (and before the preview
+      // is shown in it).
+      if (viewport?.reload) {
+        await runBestEffort(
+          "Reloading the page without device emulation",
+          () => reloadAndWaitForLoad(debuggee)
+        );
+      }
+
+      await runBestEffort("Detaching debugger", () => chrome.debugger.detach(debuggee));
+    }
+  }
+}
+
+// Longest wait for a device-emulated reload (see reloadAndWaitForLoad()).
+const RELOAD_TIMEOUT_MS = 30000;
+
+// Reload the tab under the current emulation, so server-side user agent
+// sniffing sees the emulated device (or as itself again once it is
+// cleared), and wait for its load event. Resolves
+// to false when the page hasn't loaded within RELOAD_TIMEOUT_MS.
+async function reloadAndWaitForLoad(debuggee) {
+  let onEvent;
+  const loaded = new Promise((resolve) => {
+    onEvent = (source, method) => {
+      if (source.tabId === debuggee.tabId && method === "Page.loadEventFired") {
+        resolve(true);
+      }
+    };
+    chrome.debugger.onEvent.addListener(onEvent);
+  });
+  try {
+    await chrome.debugger.sendCommand(debuggee, "Page.enable");
+    await chrome.debugger.sendCommand(debuggee, "Page.reload");
+    return await Promise.race([
+      loaded,
+      sleep(RELOAD_TIMEOUT_MS).then(() => false)
+    ]);
+  } finally {
+    chrome.debugger.onEvent.removeListener(onEvent);
+    await runBestEffort(
+      "Disabling page events",
+      () => chrome.debugger.sendCommand(debuggee, "Page.disable")
+    );
+  }
+}
+
+function isDebuggerAttachError(err) {
+  const msg = String(err?.message ?? err ?? "");
+  return msg.includes("Another debugger") || msg.includes("already attached");
+}
+
+// Full-page capture with the engine chosen in settings (FULL_PAGE_ENGINES).
+// "auto" prefers the debugger, which renders the page in one exact shot,
+// and switches to scrolling when it cannot attach — typically because
+// DevTools is open on the tab.
+async function captureFullPageWithSettings(tab, settings) {
+  const output = outputFromSettings(settings);
+  const options = {
+    ...fullPageCaptureOptions(settings, tab.url),
+    viewport: deviceViewport(settings, navigator.userAgent)
+  };
+  // Scrolling captures what the tab shows; emulation needs the debugger.
+  const withEmulationNote = (result) => {
+    const notes = [];
+    if (options.media) {
+      notes.push(
+        "Dark mode, print and other emulated media need the debugger " +
+          "method and were not applied."
+      );
+    }
+    if (options.viewport) {
+      notes.push(
+        `Capturing as ${options.viewport.name} needs the debugger ` +
+          "method — captured as the desktop page."
+      );
+    }
+    if (notes.length === 0) return result;
+    const note = notes.join(" ");
+    return {
+      ...result,
+      warning: result.warning ? `${result.warning} ${note}` : note
+    };
+  };
+  const captureByScrolling = () => withPageMasks(
+    tab.id,
+    {
+      hiding: options.hiding,
+      redaction: options.redaction,
+      anonymization: options.anonymization
+    },
+    (remask) => captureFullPageByScrolling(tab, output, remask)
+  );
+  if (settings.fullPageEngine === "scroll") {
+    return withEmulationNote(await captureByScrolling());
+  }
+  try {
+    return await captureFullPage(tab, options);
+  } catch (err) {
+    if (settings.fullPageEngine !== "auto" || !isDebuggerAttachError(err)) {
+      throw err;
+    }
+    const result = await captureByScrolling();
+    const note =
+      "Captured by scrolling because the debugger is in use " +
+      "(DevTools open?) — fixed headers appear only at the top.";
+    return withEmulationNote({
+      data: result.data,
+      warning: result.warning ? `${note} ${result.warning}` : note
+    });
+  }
+}
+
+// captureFullPage() options for the stored settings and the page at
+// `url` (hide rules are per site).
+function fullPageCaptureOptions(settings, url) {
+  return {
+    dprPolicy: settings.dprPolicy,
+    media: emulatedMediaParams(settings),
+    scrollContainers: settings.scrollContainers,
+    preScroll: settings.preScroll
+      ? {
+          maxSteps: settings.preScrollMaxSteps,
+          maxHeight: settings.preScrollMaxHeight
+        }
+      : null,
+    deterministic: settings.deterministic
+      ? { freezeTime: settings.freezeTime }
+      : null,
+    hiding: hideRulesFor(settings, hostFromUrl(url)),
+    redaction: redactionOptions(settings),
+    anonymization: anonymizationOptions(settings),
+    ready: settings.waitForReady
+      ? {
+          timeout: settings.readyTimeout,
+          networkIdle: settings.readyNetworkIdle,
+          selector: settings.readySelector
+        }
+      : null,
+    ...outputFromSettings(settings)
+  };
+}
+
+// Responsive sheet: one full-page capture per configured width (see
+// responsiveViewports()), each through the debugger flow of
+// captureFullPage() so the page is re-measured at that width. The shots
+// are composited side by side under width labels, or returned as
+// separate images (`parts`, one or more per width) with `partNames`
+// ("375w", or "375w_part2" for a split shot) for their filenames.
+async function captureResponsiveSheet(tab, settings) {
+  const output = outputFromSettings(settings);
+  const composite = settings.responsiveOutput === "composite";
+  const options = {
+    ...fullPageCaptureOptions(settings, tab.url),
+    // The composite is encoded once, after drawing.
+    ...(composite ? PNG_OUTPUT : output)
+  };
+  const shots = [];
+  const notes = [];
+  for (const viewport of responsiveViewports(settings, navigator.userAgent)) {
+    const result = await captureFullPage(tab, { ...options, viewport });
+    shots.push({ ...result, viewport });
+    if (result.warning) {
+      notes.push(`${viewport.width}px: ${result.warning}`);
+    }
+  }
+
+  if (!composite) {
+    const parts = shots.flatMap((shot) => shot.parts ?? [shot.data]);
+    const partNames = shots.flatMap(({ parts: split, viewport }) => (
+      split
+        ? split.map((_, index) => `${viewport.width}w_part${index + 1}`)
+        : [`${viewport.width}w`]
+    ));
+    notes.push(
+      `Saved as ${parts.length} images, one per width (the preview and ` +
+        "clipboard show the first)."
+    );
+    return { data: parts[0], warning: notes.join(" "), parts, partNames };
+  }
+
+  const sheet = await composeResponsiveSheet(shots, output);
+  if (shots.some((shot) => shot.parts)) {
+    notes.push("Pages too tall for one image are cut off in the sheet.");
+  }
+  if (sheet.scaledDown) {
+    notes.push("The sheet was scaled down to fit a single image.");
+  }
+  return { data: sheet.data, warning: notes.length > 0 ? notes.join(" ") : null };
+}
+
+// Responsive sheet layout in CSS px: a label row above the captures, with
+// gaps around and between them.
+const RESPONSIVE_SHEET_GAP = 24;
+const RESPONSIVE_SHEET_LABEL_HEIGHT = 32;
+
+// Draw responsive shots ({ data, width, viewport }) side by side on one
+// canvas with "375px · mobile"-style labels. Every shot is drawn at the
+// lowest pixel ratio among them, so a width that fell back to 1x isn't
+// shown smaller; the whole sheet shrinks when it exceeds the canvas
+// limits. Resolves to { data, scaledDown }.
+async function composeResponsiveSheet(shots, output = PNG_OUTPUT) {
+  const bitmaps = [];
+  try {
+    for (const shot of shots) {
+      bitmaps.push(await createImageBitmap(base64ToBlob(shot.data)));
+    }
+    const heights = bitmaps.map(
+      (bitmap, i) => bitmap.height * shots[i].width / bitmap.width
+    );
+    const gap = RESPONSIVE_SHEET_GAP;
+    const top = gap + RESPONSIVE_SHEET_LABEL_HEIGHT;
+    const sheetWidth =
+      shots.reduce((sum, shot) => sum + shot.width + gap, 0) + gap;
+    const sheetHeight = top + Math.max(...heights) + gap;
+
+    const pixelRatio = Math.min(
+      ...bitmaps.map((bitmap, i) => bitmap.width / shots[i].width)
+    );
+    const fit = Math.min(
+      1,
+      MAX_CANVAS_DIMENSION / (sheetWidth * pixelRatio),
+      MAX_CANVAS_DIMENSION / (sheetHeight * pixelRatio),
+      Math.sqrt(MAX_CANVAS_AREA / (sheetWidth * sheetHeight)) / pixelRatio
+    );
+    const scale = pixelRatio * fit;
+
+    const canvas = new OffscreenCanvas(
+      Math.floor(sheetWidth * scale),
+      Math.floor(sheetHeight * scale)
+    );
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#f3f4f6";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.font = `600 ${Math.round(14 * scale)}px sans-serif`;
+    ctx.textBaseline = "middle";
+
+    let x = gap;
+    shots.forEach((shot, i) => {
+      const label = shot.viewport.mobile
+        ? `${shot.viewport.width}px · mobile`
+        : `${shot.viewport.width}px`;
+      ctx.fillStyle = "#374151";
+      ctx.fillText(
+        label,
+        Math.round(x * scale),
+        Math.round((gap + RESPONSIVE_SHEET_LABEL_HEIGHT / 2) * scale)
+      );
+      ctx.drawImage(
+        bitmaps[i],
+        Math.round(x * scale),
+        Math.round(top * scale),
+        Math.round(shot.width * scale),
+        Math.round(heights[i] * scale)
+      );
+      x += shot.width + gap;
+    });
+
+    const data = await blobToBase64(
+      await canvas.convertToBlob(blobEncodeOptions(output))
+    );
+    return { data, scaledDown: fit < 1 };
+  } finally {
+    bitmaps.forEach((bitmap) => bitmap.close?.());
+  }
+}
+
+// captureVisibleTab allows MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND (2)
+// calls; faster calls fail with a quota error.
+const CAPTURE_VISIBLE_TAB_INTERVAL_MS = 550;
+let _lastVisibleTabCaptureAt = 0;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function captureVisibleTabThrottled(windowId, params) {
+  const wait = _lastVisibleTabCaptureAt + CAPTURE_VISIBLE_TAB_INTERVAL_MS - Date.now();
+  if (wait > 0) {
+    await sleep(wait);
+  }
+  _lastVisibleTabCaptureAt = Date.now();
+  return chrome.tabs.captureVisibleTab(windowId, params);
+}
+
+async function runPageHelper(tabId, func, args = []) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func,
+    args
+  });
+  return injection?.result;
+}
+
+// Calls a lib.js page helper by name in the tab's isolated world.
+function callLibHelper(name, args) {
+  return window[name](...args);
+}
+
+// Like runPageHelper(), for lib.js helpers that build on other lib.js
+// functions (querySelectorAllDeep() and friends): lib.js is injected into
+// the tab first — once per document, since it declares top-level consts.
+async function runLibHelper(tabId, helper, args = []) {
+  const loaded = await runPageHelper(
+    tabId,
+    () => typeof querySelectorAllDeep === "function"
+  );
+  if (!loaded) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ["lib.js"]
+    });
+  }
+  return runPageHelper(tabId, callLibHelper, [helper.name, args]);
+}
+
+// Run a capture that doesn't go through captureFullPage() (which masks
+// the page over CDP itself) with applyHideRules(), redactPage() and
+// anonymizePage() applied to the tab, restoring the page afterwards.
+// Without `masks.hiding`, `masks.redaction` or `masks.anonymization` the
+// capture runs as is. `capture` gets a `remask()` function (null when
+// there is nothing to re-apply) for captures that scroll: it masks
+// content that appeared since the last pass and waits for the paint.
+async function withPageMasks(tabId, masks, capture) {
+  const { hiding, redaction, anonymization } = masks;
+  if (!hiding && !redaction && !anonymization) {
+    return capture(null);
+  }
+  const maskContent = async () => {
+    if (redaction) {
+      await runLibHelper(tabId, redactPage, [redaction]);
+    }
+    if (anonymization) {
+      await runLibHelper(tabId, anonymizePage, [anonymization]);
+    }
+    // captureVisibleTab takes the last painted frame, so wait until the
+    // masked page has been painted.
+    await runPageHelper(tabId, () => new Promise((resolve) =>
+      requestAnimationFrame(() => requestAnimationFrame(resolve))
+    ));
+  };
+  try {
+    if (hiding) {
+      await runBestEffort(
+        "Applying hide rules",
+        () => runLibHelper(tabId, applyHideRules, [hiding])
+      );
+    }
+    await maskContent();
+    return await capture(redaction || anonymization ? maskContent : null);
+  } finally {
+    // Anonymized text may sit inside redaction wrappers, so it goes first.
+    if (anonymization) {
+      await runBestEffort(
+        "Restoring anonymized content",
+        () => runLibHelper(tabId, restoreAnonymization)
+      );
+    }
+    if (redaction) {
+      await runBestEffort(
+        "Restoring redacted content",
+        () => runLibHelper(tabId, restoreRedactions)
+      );
+    }
+    if (hiding) {
+      await runBestEffort(
+        "Restoring hidden elements",
+        () => runLibHelper(tabId, restoreHideRules)
+      );
+    }
+  }
+}
+
+// Full-page capture without the debugger: scroll the document (or its
+// nested scroll container) one viewport at a time, captureVisibleTab each
+// slice and stitch them on an OffscreenCanvas. Fixed/sticky elements are
+// hidden after the first slice so they don't repeat. In the nested case
+// the area above the container comes from the first slice, the area below
+// it from the last, and only the container's columns are extended.
+// `beforeSlice()`, when given, runs after each scroll step (withPageMasks()
+// re-masks content the step loaded).
+async function captureFullPageByScrolling(tab, output = PNG_OUTPUT, beforeSlice = null) {
+  const tabId = tab.id;
+
+  try {
+    const layout = await runPageHelper(tabId, beginScrollCapture);
+    if (!(layout?.area?.height > 0)) {
+      throw new Error("Measuring page for scrolling capture failed");
+    }
+    const { viewportWidth, viewportHeight, area } = layout;
+    const areaBottom = area.y + area.height;
+    const footerHeight = viewportHeight - areaBottom;
+
+    let canvas = null;
+    let ctx = null;
+    let scale = 1;
+    let contentHeight = Math.max(layout.scrollHeight, area.height);
+    let warning = null;
+    // Content rows (CSS px from the top of the scrolled content) already
+    // drawn onto the canvas.
+    let covered = 0;
+    let lastBitmap = null;
+
+    try {
+      while (covered < contentHeight) {
+        const scrollTop = await runPageHelper(tabId, scrollCaptureTo, [covered]);
+        const y = Number.isFinite(scrollTop) ? scrollTop : covered;
+        if (canvas && y + area.height <= covered) {
+          // Reached the end earlier than measured (content shrank).
+          break;
+        }
+        if (beforeSlice) {
+          await beforeSlice();
+        }
+
+        const dataUrl = await captureVisibleTabThrottled(tab.windowId, {
+          format: "png"
+        });
+        lastBitmap?.close?.();
+        lastBitmap = await createImageBitmap(
+          base64ToBlob(stripDataUrlPrefix(dataUrl))
+        );
+
+        if (!canvas) {
+          // The first slice fixes the pixel scale (DPR × zoom) and with it
+          // how tall the stitched image may get.
+          scale = lastBitmap.width / viewportWidth || 1;
+          const maxCanvasHeight = Math.min(
+            MAX_CANVAS_DIMENSION,
+            MAX_CANVAS_AREA / Math.round(viewportWidth * scale)
+          );
+          const maxContentHeight =
+            Math.floor(maxCanvasHeight / scale) - area.y - footerHeight;
+          if (contentHeight > maxContentHeight) {
+            contentHeight = maxContentHeight;
+            warning =
+              "Page is too tall to stitch — the screenshot was cut off at " +
+              `${area.y + contentHeight}px.`;
+          }
+          canvas = new OffscreenCanvas(
+            Math.round(viewportWidth * scale),
+            Math.round((area.y + contentHeight + footerHeight) * scale)
+          );
+          ctx = canvas.getContext("2d");
+          // Areas outside the scrolled container are only painted once.
+          ctx.fillStyle = "#fff";
+          ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        const rows = Math.min(y + area.height, contentHeight) - covered;
+        if (rows <= 0) {
+          break;
+        }
+        const destY = Math.round((area.y + covered) * scale);
+        const srcY = Math.round((area.y + covered - y) * scale);
+        const srcH = Math.round(rows * scale);
+        if (covered === 0) {
+          // First slice: everything above the container too, full width.
+          ctx.drawImage(lastBitmap, 0, 0, canvas.width, srcY + srcH, 0, 0, canvas.width, srcY + srcH);
+          await runPageHelper(tabId, hideFixedForScrollCapture);
+        } else {
+          const srcX = Math.round(area.x * scale);
+          const srcW = Math.round(area.width * scale);
+          ctx.drawImage(lastBitmap, srcX, srcY, srcW, srcH, srcX, destY, srcW, srcH);
+        }
+        covered += rows;
+      }
+
+      if (footerHeight > 0 && lastBitmap) {
+        const srcY = Math.round(areaBottom * scale);
+        const srcH = Math.round(footerHeight * scale);
+        ctx.drawImage(
+          lastBitmap,
+          0, srcY, canvas.width, srcH,
+          0, Math.round((area.y + covered) * scale), canvas.width, srcH
+        );
+      }
+    } finally {
+      lastBitmap?.close?.();
+    }
+
+    const height = Math.round((area.y + covered + footerHeight) * scale);
+    const data = height < canvas.height
+      ? await encodeBitmap(canvas, 0, 0, canvas.width, height, output)
+      : await blobToBase64(await canvas.convertToBlob(blobEncodeOptions(output)));
+    return { data, warning };
+  } finally {
+    await runBestEffort(
+      "Restoring page after scrolling capture",
+      () => runPageHelper(tabId, endScrollCapture)
+    );
+  }
+}
+
+// Capture a user-selected region. Regions that fit inside the current
+// viewport are cropped out of a captureVisibleTab shot (no debugger
+// banner); anything larger goes through a Page.captureScreenshot clip.
+async function captureRegion(tab, region, output = PNG_OUTPUT) {
+  const fitsViewport =
+    region.x >= region.scrollX &&
+    region.y >= region.scrollY &&
+    region.x + region.width <= region.scrollX + region.viewportWidth &&
+    region.y + region.height <= region.scrollY + region.viewportHeight;
+
+  if (!fitsViewport) {
+    return captureClip(tab, region, output);
+  }
+
+  // Capture losslessly and encode once, after cropping.
+  const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, {
+    format: "png"
+  });
+  const data = await cropImage(stripDataUrlPrefix(dataUrl), {
+    x: region.x - region.scrollX,
+    y: region.y - region.scrollY,
+    width: region.width,
+    height: region.height
+  }, region.viewportWidth, output);
+  return { data, warning: null };
+}
+
+// Capture an arbitrary document-coordinate rectangle (a large region or a
+// picked element's bounding box) via CDP. Unlike
+// captureFullPage this leaves the layout alone — the clip may extend past
+// the viewport thanks to captureBeyondViewport.
+async function captureClip(tab, clip, output = PNG_OUTPUT) {
+  const debuggee = { tabId: tab.id };
+  let attached = false;
+
+  try {
+    await chrome.debugger.attach(debuggee, "1.3");
+    attached = true;
+
+    const width = Math.max(1, Math.min(Math.round(clip.width), MAX_CAPTURE_WIDTH));
+    const height = Math.max(1, Math.round(clip.height));
+    const result = await chrome.debugger.sendCommand(
+      debuggee,
+      "Page.captureScreenshot",
+      {
+        ...captureFormatParams(output),
+        captureBeyondViewport: true,
+        clip: {
+          x: Math.max(0, Math.round(clip.x)),
+          y: Math.max(0, Math.round(clip.y)),
+          width,
+          height,
+          scale: 1
+        }
+      }
+    );
+
+    let warning = null;
+    if (height > GPU_TEXTURE_LIMIT) {
+      warning =
+        "Selection is extremely tall — the screenshot may contain " +
+        "repeating/tiled sections near the bottom.";
+    }
+    return { data: result.data, warning };
+  } finally {
+    if (attached) {
+      await runBestEffort("Detaching debugger", () => chrome.debugger.detach(debuggee));
+    }
+  }
+}
+
+// Capture the right-clicked image, selection or frame (context menu).
+async function captureContextTarget(tab, mode, info, settings = DEFAULT_SETTINGS) {
+  const tabId = tab.id;
+  const frameId = Number.isInteger(info.frameId) ? info.frameId : 0;
+  const output = outputFromSettings(settings);
+
+  if (mode === "frame") {
+    if (frameId === 0) {
+      // The top frame's "full document" is simply the full page.
+      return captureFullPageWithSettings(tab, settings);
+    }
+    return captureFrame(tab, frameId, info.frameUrl, output);
+  }
+
+  if (mode === "image") {
+    const [located] = await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frameId] },
+      func: (srcUrl) => {
+        const img = Array.from(document.images).find(
+          (el) => el.currentSrc === srcUrl || el.src === srcUrl
+        );
+        if (!img) return null;
+        const r = img.getBoundingClientRect();
+        return {
+          left: r.left, top: r.top, width: r.width, height: r.height,
+          scrollX: window.scrollX, scrollY: window.scrollY
+        };
+      },
+      args: [info.srcUrl ?? ""]
+    });
+    if (located?.result) {
+      return captureClip(
+        tab,
+        await toPageRect(tabId, frameId, info.frameUrl, located.result),
+        output
+      );
+    }
+    // Not found in the DOM (e.g. CSS-generated) — try loading the source,
+    // which fetchImage() can only do for some URLs.
+    if (!info.srcUrl) {
+      throw new Error("Could not locate the image on the page");
+    }
+    return { data: await fetchImage(info.srcUrl, output), warning: null };
+  }
+
+  // Selection: bounding box of the whole range, including lines that are
+  // currently scrolled off-screen.
+  const [located] = await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [frameId] },
+    func: () => {
+      const sel = window.getSelection();
+      if (!sel || sel.rangeCount === 0 || sel.isCollapsed) return null;
+      let left = Infinity;
+      let top = Infinity;
+      let right = -Infinity;
+      let bottom = -Infinity;
+      for (let i = 0; i < sel.rangeCount; i++) {
+        const r = sel.getRangeAt(i).getBoundingClientRect();
+        if (r.width === 0 && r.height === 0) continue;
+        left = Math.min(left, r.left);
+        top = Math.min(top, r.top);
+        right = Math.max(right, r.right);
+        bottom = Math.max(bottom, r.bottom);
+      }
+      if (!Number.isFinite(left)) return null;
+      // A little breathing room around the text.
+      const PAD = 4;
+      return {
+        left: left - PAD, top: top - PAD,
+        width: right - left + PAD * 2, height: bottom - top + PAD * 2,
+        scrollX: window.scrollX, scrollY: window.scrollY
+      };
+    }
+  });
+  if (!located?.result) {
+    throw new Error("Could not locate the selection on the page");
+  }
+  return captureClip(
+    tab,
+    await toPageRect(tabId, frameId, info.frameUrl, located.result),
+    output
+  );
+}
+
+// Convert a viewport-relative rect reported by a frame into top-document
+// coordinates.
+async function toPageRect(tabId, frameId, frameUrl, local) {
+  if (frameId === 0) {
+    return {
+      x: local.left + local.scrollX,
+      y: local.top + local.scrollY,
+      width: local.width,
+      height: local.height
+    };
+  }
+  const frame = await locateFrame(tabId, frameUrl);
+  if (!frame) {
+    throw new Error("Could not locate the frame on the page");
+  }
+  return {
+    x: frame.x + local.left,
+    y: frame.y + local.top,
+    width: local.width,
+    height: local.height
+  };
+}
+
+// Find the <iframe>/<frame> element showing `frameUrl` (searching
+// same-origin nested frames too) and return its content box in
+// top-document coordinates. When `expandToHeight` is given, the element is
+// temporarily resized to that height; undo with restoreFrame().
+async function locateFrame(tabId, frameUrl, expandToHeight = null) {
+  const [result] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (url, expandHeight) => {
+      function find(doc, offsetX, offsetY) {
+        const frames = Array.from(doc.querySelectorAll("iframe, frame"));
+        for (const el of frames) {
+          let href = el.src;
+          try {
+            href = el.contentWindow?.location.href || href;
+          } catch (_) {
+            // Cross-origin — fall back to the src attribute.
+          }
+          const r = el.getBoundingClientRect();
+          const x = offsetX + r.left + el.clientLeft;
+          const y = offsetY + r.top + el.clientTop;
+          if (href === url) return { el, x, y };
+          let childDoc = null;
+          try {
+            childDoc = el.contentDocument;
+          } catch (_) {}
+          if (childDoc) {
+            const nested = find(childDoc, x, y);
+            if (nested) return nested;
+          }
+        }
+        // A lone frame is unambiguous even when its URL changed.
+        if (doc === document && frames.length === 1) {
+          const el = frames[0];
+          const r = el.getBoundingClientRect();
+          return { el, x: r.left + el.clientLeft, y: r.top + el.clientTop };
+        }
+        return null;
+      }
+
+      const found = find(document, window.scrollX, window.scrollY);
+      if (!found) return null;
+      const { el } = found;
+
+      if (expandHeight !== null) {
+        el.dataset.__screenshotOldHeight = el.style.height;
+        el.dataset.__screenshotOldMaxHeight = el.style.maxHeight;
+        el.style.setProperty("height", `${expandHeight}px`, "important");
+        el.style.setProperty("max-height", "none", "important");
+        el.classList.add("__screenshot-frame-expanded__");
+      }
+
+      return {
+        x: Math.round(found.x),
+        y: Math.round(found.y),
+        width: el.clientWidth,
+        height: el.clientHeight
+      };
+    },
+    args: [frameUrl ?? "", expandToHeight]
+  });
+  return result?.result ?? null;
+}
+
+// Capture a sub-frame's full document: scroll it to the top, stretch the
+// frame element to the document height, clip-capture, then restore both.
+async function captureFrame(tab, frameId, frameUrl, output = PNG_OUTPUT) {
+  const tabId = tab.id;
+
+  // Cross-origin frames may refuse injection; then the frame is captured
+  // at its current size.
+  const measured = await runBestEffort(
+    "Measuring frame document",
+    () => chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frameId] },
+      func: () => {
+        window.__screenshotFrameScroll = { x: window.scrollX, y: window.scrollY };
+        window.scrollTo(0, 0);
+        const root = document.documentElement;
+        return Math.max(root.scrollHeight, document.body?.scrollHeight || 0);
+      }
+    })
+  );
+  const docHeight = measured?.[0]?.result;
+  const expandHeight =
+    Number.isFinite(docHeight) && docHeight > 0 ? docHeight : null;
+
+  try {
+    const frame = await locateFrame(tabId, frameUrl, expandHeight);
+    if (!frame) {
+      throw new Error("Could not locate the frame on the page");
+    }
+    return await captureClip(tab, frame, output);
+  } finally {
+    await runBestEffort(
+      "Restoring frame element",
+      () => chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => {
+          const restore = (doc) => {
+            doc.querySelectorAll(".__screenshot-frame-expanded__").forEach((el) => {
+              el.style.removeProperty("height");
+              el.style.removeProperty("max-height");
+              if (el.dataset.__screenshotOldHeight) el.style.height = el.dataset.__screenshotOldHeight;
+              if (el.dataset.__screenshotOldMaxHeight) el.style.maxHeight = el.dataset.__screenshotOldMaxHeight;
+              delete el.dataset.__screenshotOldHeight;
+              delete el.dataset.__screenshotOldMaxHeight;
+              el.classList.remove("__screenshot-frame-expanded__");
+            });
+            doc.querySelectorAll("iframe, frame").forEach((el) => {
+              try {
+                if (el.contentDocument) restore(el.contentDocument);
+              } catch (_) {}
+            });
+          };
+          restore(document);
+        }
+      })
+    );
+    if (measured) {
+      await runBestEffort(
+        "Restoring frame scroll position",
+        () => chrome.scripting.executeScript({
+          target: { tabId, frameIds: [frameId] },
+          func: () => {
+            const pos = window.__screenshotFrameScroll;
+            if (pos) window.scrollTo(pos.x, pos.y);
+            delete window.__screenshotFrameScroll;
+          }
+        })
+      );
+    }
+  }
+}
+
+// Start of the error fetchImage() throws for a source it can't load;
+// captureScreenshot() shows that error to the user as is.
+const IMAGE_SOURCE_ERROR = "The image isn't on the page";
+
+// Fetch an image URL and re-encode it in the output format (used when a
+// right-clicked image cannot be located in the DOM). The extension has no
+// host permissions: activeTab covers the tab's own site, data: URLs always
+// load, and other sites only answer if they allow cross-origin reads
+// (CORS). Anything else fails with an error saying so.
+async function fetchImage(url, output = PNG_OUTPUT) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (_) {
+    throw new Error(
+      `${IMAGE_SOURCE_ERROR}, and ${hostFromUrl(url) || "its source"} ` +
+        "doesn't let the extension load it (only the page's own site and " +
+        "sites that allow cross-origin reads do)."
+    );
+  }
+  if (!response.ok) {
+    throw new Error(`Fetching image failed: HTTP ${response.status}`);
+  }
+  const bitmap = await createImageBitmap(await response.blob());
+  try {
+    return encodeBitmap(bitmap, 0, 0, bitmap.width, bitmap.height, output);
+  } finally {
+    bitmap.close?.();
+  }
+}
+
+// Draw a bitmap region onto a fresh canvas and encode it. JPEG has no
+// alpha channel, so transparent pixels are flattened onto white instead
+// of turning black.
+async function encodeBitmap(bitmap, sx, sy, sw, sh, output = PNG_OUTPUT) {
+  const canvas = new OffscreenCanvas(sw, sh);
+  const ctx = canvas.getContext("2d");
+  if (output.format === "jpeg") {
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, sw, sh);
+  }
+  ctx.drawImage(bitmap, sx, sy, sw, sh, 0, 0, sw, sh);
+  return blobToBase64(await canvas.convertToBlob(blobEncodeOptions(output)));
+}
+
+// Stack PNG bands (top to bottom, equal widths) into as few images as the
+// canvas limits allow and encode each as `output`. Returns base64 images.
+async function stitchImageBands(bands, output = PNG_OUTPUT) {
+  const bitmaps = [];
+  try {
+    for (const band of bands) {
+      bitmaps.push(await createImageBitmap(base64ToBlob(band)));
+    }
+    const width = bitmaps[0].width;
+    const maxHeight = Math.min(
+      MAX_CANVAS_DIMENSION,
+      Math.floor(MAX_CANVAS_AREA / width)
+    );
+
+    const groups = [[]];
+    let groupHeight = 0;
+    for (const bitmap of bitmaps) {
+      if (groupHeight + bitmap.height > maxHeight && groupHeight > 0) {
+        groups.push([]);
+        groupHeight = 0;
+      }
+      groups[groups.length - 1].push(bitmap);
+      groupHeight += bitmap.height;
+    }
+
+    const parts = [];
+    for (const group of groups) {
+      const height = group.reduce((sum, bitmap) => sum + bitmap.height, 0);
+      const canvas = new OffscreenCanvas(width, height);
+      const ctx = canvas.getContext("2d");
+      if (output.format === "jpeg") {
+        ctx.fillStyle = "#fff";
+        ctx.fillRect(0, 0, width, height);
+      }
+      let y = 0;
+      for (const bitmap of group) {
+        ctx.drawImage(bitmap, 0, y);
+        y += bitmap.height;
+      }
+      parts.push(
+        await blobToBase64(await canvas.convertToBlob(blobEncodeOptions(output)))
+      );
+    }
+    return parts;
+  } finally {
+    bitmaps.forEach((bitmap) => bitmap.close?.());
+  }
+}
+
+// Re-encode a base64 image (of `fromFormat`) in another format.
+async function transcodeImage(base64Data, fromFormat, output) {
+  const bitmap = await createImageBitmap(
+    base64ToBlob(base64Data, imageMimeType(fromFormat))
+  );
+  try {
+    return await encodeBitmap(bitmap, 0, 0, bitmap.width, bitmap.height, output);
+  } finally {
+    bitmap.close?.();
+  }
+}
+
+function stripDataUrlPrefix(dataUrl) {
+  return dataUrl.replace(/^data:[^;,]+;base64,/, "");
+}
+
+function base64ToBlob(base64Data, type = "image/png") {
+  const binary = atob(base64Data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+}
+
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  // String.fromCharCode.apply overflows the call stack on large inputs,
+  // so convert in chunks.
+  const CHUNK = 0x8000;
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(binary);
+}
+
+// Crop a PNG to a CSS-pixel rect and encode it as `output`. `cssWidth` is
+// the CSS width the image represents, used to derive the pixel scale
+// (DPR × zoom).
+async function cropImage(base64Data, rect, cssWidth, output = PNG_OUTPUT) {
+  const bitmap = await createImageBitmap(base64ToBlob(base64Data));
+  try {
+    const scale = cssWidth > 0 ? bitmap.width / cssWidth : 1;
+    const sx = Math.max(0, Math.round(rect.x * scale));
+    const sy = Math.max(0, Math.round(rect.y * scale));
+    const sw = Math.max(1, Math.min(Math.round(rect.width * scale), bitmap.width - sx));
+    const sh = Math.max(1, Math.min(Math.round(rect.height * scale), bitmap.height - sy));
+
+    return await encodeBitmap(bitmap, sx, sy, sw, sh, output);
+  } finally {
+    bitmap.close?.();
+  }
+}
+
+// Copy and/or download a capture according to `destination`, then
+// finalize the badge and preview label. Only the current capture for the
+// tab may touch the UI; stale completions are dropped silently.
+function deliverScreenshot(
+  tab,
+  captureId,
+  base64Data,
+  { mode, destination, settings, format = "png", parts = null, partNames = null }
+) {
+  const tabId = tab.id;
+  const wantsClipboard = destination !== "download";
+  const wantsDownload = destination !== "clipboard";
+
+  // Resolves true/false for download success, or null when not requested.
+  // Split captures download every part; the clipboard gets the first.
+  const downloadPromise = wantsDownload
+    ? Promise.all((parts ?? [base64Data]).map((data, index) =>
+      downloadScreenshot(data, {
+        tab,
+        mode,
+        settings,
+        format,
+        part: parts ? partNames?.[index] ?? `part${index + 1}` : null
+      })
+    )).then(
+      () => true,
+      (err) => {
+        console.error("Download error:", err);
+        return false;
+      }
+    )
+    : Promise.resolve(null);
+  const copyPromise = wantsClipboard
+    ? copyToClipboard(tabId, base64Data, captureId, format)
+    : Promise.resolve({ ok: true, stale: false });
+
+  return copyPromise.then(
+    async (copyResult) => {
+      if (copyResult?.stale) {
+        finishCaptureIfCurrent(tabId, captureId);
+        return;
+      }
+      const saved = await downloadPromise;
+      if (!isCurrentCapture(tabId, captureId)) {
+        return;
+      }
+      if (saved === false) {
+        showBadge("✗", "#ef4444");
+        updatePreviewLabel(
+          tabId,
+          wantsClipboard ? "Copied \u2014 download failed" : "Download failed",
+          "#f87171",
+          false,
+          { captureId }
+        );
+      } else {
+        showBadge("✓", "#22c55e");
+        let text = "Copied to clipboard \u2713";
+        if (wantsDownload) {
+          text = wantsClipboard ? "Copied and saved \u2713" : "Saved to Downloads \u2713";
+        }
+        updatePreviewLabel(tabId, text, "#4ade80", true, { captureId });
+      }
+      finishCaptureIfCurrent(tabId, captureId);
+    },
+    async (clipErr) => {
+      if (!isCurrentCapture(tabId, captureId)) {
+        return;
+      }
+      console.error("Clipboard error:", clipErr);
+      const saved = await downloadPromise;
+      if (!isCurrentCapture(tabId, captureId)) {
+        return;
+      }
+      showBadge("✗", "#ef4444");
+      updatePreviewLabel(tabId,
+        saved
+          ? "Saved \u2014 clipboard failed, click tab and retry"
+          : "Clipboard failed — click tab and retry",
+        "#f87171",
+        false,
+        {
+          captureId,
+          retryVisible: true,
+          retryEnabled: true,
+          retryText: "Retry copy"
+        }
+      );
+      finishCaptureIfCurrent(tabId, captureId);
+    }
+  );
+}
+
+// Captures waiting to be opened in the annotation editor, by session id.
+// Kept in memory only: the editor claims its capture as soon as it loads,
+// and a few pending sessions at most are kept.
+const _editorSessions = new Map();
+const MAX_EDITOR_SESSIONS = 4;
+
+// Open a capture in the annotation editor, in a new tab next to the page
+// it was taken from.
+async function openAnnotationEditor(tab, base64Data, mimeType = "image/png") {
+  const session = crypto.randomUUID();
+  _editorSessions.set(session, {
+    tab: { id: tab.id, url: tab.url, title: tab.title, incognito: tab.incognito },
+    data: base64Data,
+    mimeType
+  });
+  while (_editorSessions.size > MAX_EDITOR_SESSIONS) {
+    _editorSessions.delete(_editorSessions.keys().next().value);
+  }
+  await chrome.tabs.create({
+    url: chrome.runtime.getURL(`editor.html?session=${encodeURIComponent(session)}`),
+    index: Number.isInteger(tab.index) ? tab.index + 1 : undefined,
+    openerTabId: tab.id
+  });
+}
 
-    let warning = null;
-    if (height > GPU_TEXTURE_LIMIT) {
-      warning =
-        "Page is extremely tall — the screenshot may contain " +
-        "repeating/tiled sections near the bottom.";
-    } else if (needsDPRFallback && !hasExpandedContainers) {
-      warning =
-        "Captured at reduced resolution (page too tall for native DPR).";
-    }
+// Hand a pending capture to the editor. Each session can be claimed once.
+function claimEditorSession(session) {
+  const entry = _editorSessions.get(session) ?? null;
+  _editorSessions.delete(session);
+  return entry;
+}
 
-    await chrome.debugger.sendCommand(
-      debuggee,
-      "Emulation.setDeviceMetricsOverride",
-      {
-        width: captureWidth,
-        height: height,
-        deviceScaleFactor: dpr,
-        mobile: false
-      }
+// Save an annotated image (PNG from the editor) and record it in the
+// history. The editor copies to the clipboard itself — it has focus — and
+// passes the `destination` it used. Resolves { saved }: true/false, or
+// null when downloads are not part of that destination.
+async function deliverAnnotation(tab, base64Data, destination) {
+  const settings = await getSettings();
+  const wantsDownload =
+    normalizeDestination(destination ?? settings.destination) !== "clipboard";
+  const output = outputFromSettings(settings);
+  let saved = null;
+
+  // Downloads and history use the configured format; if re-encoding
+  // fails the PNG is kept.
+  let data = base64Data;
+  let format = "png";
+  if (output.format !== "png") {
+    const encoded = await runBestEffort(
+      "Encoding annotated image",
+      () => transcodeImage(base64Data, "png", output)
     );
+    if (encoded) {
+      data = encoded;
+      format = output.format;
+    }
+  }
 
-    // Capture with a clip rect matching the exact content dimensions.
-    // scale=1 means "capture at the current DPR", not "force 1x".
-    const result = await chrome.debugger.sendCommand(
-      debuggee,
-      "Page.captureScreenshot",
-      {
-        format: "png",
-        clip: { x: 0, y: 0, width: captureWidth, height: height, scale: 1 }
-      }
-    );
+  if (wantsDownload) {
+    try {
+      await downloadScreenshot(data, { tab, mode: "annotated", settings, format });
+      saved = true;
+    } catch (err) {
+      console.error("Download error:", err);
+      saved = false;
+    }
+  }
 
-    return { data: result.data, warning };
-  } finally {
-    // Guarantee cleanup runs regardless of where a failure occurred.
-    // Each step is wrapped individually so a failure in one doesn't
-    // prevent the others from running.
-    if (attached) {
-      await runBestEffort(
-        "Clearing emulation override",
-        () => chrome.debugger.sendCommand(
-          debuggee,
-          "Emulation.clearDeviceMetricsOverride"
-        )
-      );
+  void recordHistory(tab, data, { mode: "annotated", format, warning: null, settings });
+  return { saved };
+}
 
-      await runBestEffort(
-        "Restoring resize handlers",
-        () => chrome.debugger.sendCommand(debuggee, "Runtime.evaluate", {
-          expression: `(() => {
-            if (window.__screenshotResizeBlocker) {
-              window.removeEventListener('resize', window.__screenshotResizeBlocker, true);
-              delete window.__screenshotResizeBlocker;
-            }
-            if (window.__screenshotOrigResizeObserver) {
-              window.ResizeObserver = window.__screenshotOrigResizeObserver;
-              delete window.__screenshotOrigResizeObserver;
-            }
-          })()`,
-          returnByValue: true
-        })
-      );
+// Thumbnails are scaled to this width; tall captures keep only the top.
+const HISTORY_THUMBNAIL_WIDTH = 320;
+const HISTORY_THUMBNAIL_MAX_HEIGHT = 480;
 
-      await runBestEffort(
-        "Removing scrollbar override style",
-        () => chrome.debugger.sendCommand(debuggee, "Runtime.evaluate", {
-          expression: `document.getElementById('__screenshot-hide-scrollbars__')?.remove()`,
-          returnByValue: true
-        })
+// Persist a capture (full image + small JPEG thumbnail) in the IndexedDB
+// history, then evict least recently used entries over the quota.
+// Best-effort: a failing history write never affects the capture.
+function recordHistory(tab, base64Data, { mode, format, warning, settings }) {
+  if (!settings.historyEnabled || (tab.incognito && !settings.historyIncognito)) {
+    return Promise.resolve();
+  }
+  return runBestEffort("Saving capture to history", async () => {
+    const image = base64ToBlob(base64Data, imageMimeType(format));
+    const bitmap = await createImageBitmap(image);
+    let thumbnail;
+    try {
+      const scale = Math.min(1, HISTORY_THUMBNAIL_WIDTH / bitmap.width);
+      const width = Math.max(1, Math.round(bitmap.width * scale));
+      const height = Math.max(1, Math.min(
+        Math.round(bitmap.height * scale),
+        HISTORY_THUMBNAIL_MAX_HEIGHT
+      ));
+      const canvas = new OffscreenCanvas(width, height);
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(0, 0, width, height);
+      ctx.drawImage(
+        bitmap,
+        0, 0, bitmap.width, Math.round(height / scale),
+        0, 0, width, height
       );
+      thumbnail = await canvas.convertToBlob({ type: "image/jpeg", quality: 0.7 });
+      await historyAdd({
+        url: tab.url,
+        host: hostFromUrl(tab.url),
+        title: tab.title || "",
+        mode,
+        format,
+        width: bitmap.width,
+        height: bitmap.height,
+        warning: warning ?? null,
+        size: image.size + thumbnail.size,
+        image,
+        thumbnail
+      });
+    } finally {
+      bitmap.close?.();
+    }
+    await historyPrune(settings.historyQuotaMB * 1024 * 1024);
+  });
+}
 
-      await runBestEffort(
-        "Restoring expanded page containers",
-        () => chrome.debugger.sendCommand(debuggee, "Runtime.evaluate", {
-          expression: `typeof restoreExpandedContainers === 'function' && restoreExpandedContainers()`,
-          returnByValue: true
-        })
-      );
+// Read width/height from a base64 PNG's IHDR chunk without decoding it.
+function readPngSize(base64Data) {
+  try {
+    const header = atob(base64Data.slice(0, 44));
+    if (header.slice(1, 4) !== "PNG") return null;
+    const u32 = (offset) =>
+      ((header.charCodeAt(offset) << 24) |
+        (header.charCodeAt(offset + 1) << 16) |
+        (header.charCodeAt(offset + 2) << 8) |
+        header.charCodeAt(offset + 3)) >>> 0;
+    return { width: u32(16), height: u32(20) };
+  } catch (_) {
+    return null;
+  }
+}
 
-      await runBestEffort("Detaching debugger", () => chrome.debugger.detach(debuggee));
+// Pixel size of a base64 image. PNG is read from its header; other
+// formats are decoded.
+async function readImageSize(base64Data, format = "png") {
+  if (format === "png") {
+    return readPngSize(base64Data);
+  }
+  try {
+    const bitmap = await createImageBitmap(
+      base64ToBlob(base64Data, imageMimeType(format))
+    );
+    const size = { width: bitmap.width, height: bitmap.height };
+    bitmap.close?.();
+    return size;
+  } catch (_) {
+    return null;
+  }
+}
+
+function hostFromUrl(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (_) {
+    return "";
+  }
+}
+
+// Save a capture to the Downloads folder using the configured filename
+// template. Falls back to the default template when Chrome rejects the
+// generated name.
+// `part` names one image of a multi-image capture ("part2" for a split
+// page, "375w" for a responsive width), appended as "…_part2.png".
+async function downloadScreenshot(
+  base64Data,
+  { tab, mode, settings, format = "png", part = null }
+) {
+  const size = await readImageSize(base64Data, format);
+  const extension = IMAGE_FORMAT_EXTENSIONS[format] ?? format;
+  const suffix = part ? `_${part}` : "";
+  const fields = {
+    host: hostFromUrl(tab.url),
+    title: tab.title,
+    mode,
+    width: size?.width,
+    height: size?.height,
+    date: new Date()
+  };
+  const request = {
+    url: `data:${imageMimeType(format)};base64,${base64Data}`,
+    filename: formatFilename(settings.filenameTemplate + suffix, fields, extension),
+    conflictAction: settings.conflictAction
+  };
+
+  try {
+    return await chrome.downloads.download(request);
+  } catch (err) {
+    if (!messageFromError(err).includes("filename")) {
+      throw err;
     }
+    console.warn(`Invalid download filename "${request.filename}", using default template`);
+    return chrome.downloads.download({
+      ...request,
+      filename: formatFilename(DEFAULT_SETTINGS.filenameTemplate + suffix, fields, extension)
+    });
   }
 }
 
-async function copyToClipboard(tabId, base64Data, captureId = null) {
-  // Write the PNG to the clipboard via a content script injected into
-  // the active tab.  navigator.clipboard.write() requires the document
-  // to have focus.  If the user has switched away, the write will fail
-  // and the caller shows an explanatory error toast — we never steal
-  // window or tab focus.
-  if (
+async function copyToClipboard(tabId, base64Data, captureId = null, format = "png") {
+  // Write the PNG to the clipboard from the offscreen document, which
+  // works wherever focus is (DevTools, omnibox, another window).  If that
+  // is unavailable or fails, fall back to a content script injected into
+  // the active tab: navigator.clipboard.write() there requires the
+  // document to have focus, and if the user has switched away the write
+  // fails and the caller shows an explanatory error toast — we never
+  // steal window or tab focus.
+  const isStale = () =>
     captureId !== null &&
     captureId !== undefined &&
-    !isCurrentCapture(tabId, captureId)
-  ) {
+    !isCurrentCapture(tabId, captureId);
+
+  if (isStale()) {
     return { ok: false, stale: true };
   }
 
-  const result = await clipboardWriteViaScript(tabId, base64Data, captureId);
-  if (result?.stale) {
+  // The clipboard only takes PNG images; JPEG/WebP captures are
+  // transcoded for the copy while downloads keep the original encoding.
+  const pngData = CLIPBOARD_FORMATS.includes(format)
+    ? base64Data
+    : await transcodeImage(base64Data, format, PNG_OUTPUT);
+  if (isStale()) {
     return { ok: false, stale: true };
   }
 
-  if (
-    captureId !== null &&
-    captureId !== undefined &&
-    !isCurrentCapture(tabId, captureId)
-  ) {
+  const offscreenResult = await runBestEffort(
+    "Offscreen clipboard write",
+    () => clipboardWriteViaOffscreen(pngData, isStale)
+  );
+  if (offscreenResult?.stale) {
+    return { ok: false, stale: true };
+  }
+  if (!offscreenResult?.ok) {
+    const result = await clipboardWriteViaScript(tabId, pngData, captureId);
+    if (result?.stale) {
+      return { ok: false, stale: true };
+    }
+  }
+
+  if (isStale()) {
     return { ok: false, stale: true };
   }
 
@@ -595,11 +2568,61 @@ async function clearCaptureOverlays(tabId) {
       func: () => {
         document.getElementById("__screenshot-preflash__")?.remove();
         document.getElementById("__screenshot-preview__")?.remove();
+        // Pending region/element selections resolve as cancelled.
+        document.getElementById("__screenshot-region__")?.__cancelSelection?.();
+        document.getElementById("__screenshot-picker__")?.__cancelSelection?.();
       }
     })
   );
 }
 
+const OFFSCREEN_DOCUMENT_PATH = "offscreen.html";
+let _offscreenCreating = null;
+
+async function ensureOffscreenDocument() {
+  const existing = await chrome.runtime.getContexts?.({
+    contextTypes: ["OFFSCREEN_DOCUMENT"],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
+  });
+  if (existing?.length > 0) {
+    return;
+  }
+  // Concurrent copies share one creation; a second createDocument call
+  // would throw "Only a single offscreen document may be created".
+  if (!_offscreenCreating) {
+    _offscreenCreating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: ["CLIPBOARD"],
+      justification: "Copy screenshots to the clipboard without focusing the page"
+    }).finally(() => {
+      _offscreenCreating = null;
+    });
+  }
+  await _offscreenCreating;
+}
+
+// Write a PNG to the clipboard from the offscreen document. Resolves null
+// when offscreen documents are unsupported, { stale: true } when the
+// capture was superseded before the write, and throws on failure.
+async function clipboardWriteViaOffscreen(base64Data, isStale = () => false) {
+  if (!chrome.offscreen?.createDocument) {
+    return null;
+  }
+  await ensureOffscreenDocument();
+  if (isStale()) {
+    return { stale: true };
+  }
+  const response = await chrome.runtime.sendMessage({
+    target: "offscreen",
+    action: "writeClipboard",
+    data: base64Data
+  });
+  if (!response?.ok) {
+    throw new Error(response?.error || "Offscreen clipboard write failed");
+  }
+  return { ok: true, stale: false };
+}
+
 // Inject a content script that writes a PNG blob to the clipboard.
 // Returns a promise that resolves on success, rejects on failure.
 async function clipboardWriteViaScript(tabId, base64Data, captureId = null) {
@@ -672,8 +2695,24 @@ async function clipboardWriteFromPreviewViaScript(tabId) {
         throw new Error("Document is not focused");
       }
 
-      const res = await fetch(`data:image/png;base64,${base64Data}`);
-      const blob = await res.blob();
+      const mimeType = preview.__screenshotMimeType || "image/png";
+      const res = await fetch(`data:${mimeType};base64,${base64Data}`);
+      let blob = await res.blob();
+      if (mimeType !== "image/png") {
+        // Clipboard only accepts PNG — re-encode the JPEG/WebP capture.
+        const bitmap = await createImageBitmap(blob);
+        const canvas = document.createElement("canvas");
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext("2d").drawImage(bitmap, 0, 0);
+        bitmap.close();
+        blob = await new Promise((resolve, reject) => {
+          canvas.toBlob(
+            (png) => (png ? resolve(png) : reject(new Error("PNG encoding failed"))),
+            "image/png"
+          );
+        });
+      }
       await navigator.clipboard.write([
         new ClipboardItem({ "image/png": blob })
       ]);
@@ -802,15 +2841,506 @@ function showPreFlash(tabId) {
   );
 }
 
+// Inject the drag-to-select overlay and wait for the user's choice.
+// Resolves with the selection in document coordinates (plus the scroll
+// position and viewport size at confirm time) or null when cancelled.
+async function selectRegion(tabId) {
+  const [result] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => {
+      return new Promise((resolve) => {
+        document.getElementById("__screenshot-region__")?.__cancelSelection?.();
+
+        const MIN_SIZE = 4;
+        const EDGE_SCROLL_ZONE = 24;
+        const HANDLES = ["nw", "n", "ne", "e", "se", "s", "sw", "w"];
+
+        const root = document.createElement("div");
+        root.id = "__screenshot-region__";
+        root.style.cssText =
+          "position:fixed;inset:0;z-index:2147483647;cursor:crosshair;" +
+          "background:rgba(0,0,0,0.35);user-select:none;touch-action:none;" +
+          "font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;";
+
+        const hint = document.createElement("div");
+        hint.style.cssText =
+          "position:fixed;top:12px;left:50%;transform:translateX(-50%);" +
+          "background:#1a1a1a;color:#e5e7eb;font-size:12px;padding:6px 12px;" +
+          "border-radius:6px;box-shadow:0 4px 16px rgba(0,0,0,0.35);" +
+          "pointer-events:none;white-space:nowrap;";
+        hint.textContent =
+          "Drag to select \u00b7 Enter to capture \u00b7 Esc to cancel";
+
+        const box = document.createElement("div");
+        box.style.cssText =
+          "position:fixed;display:none;cursor:move;" +
+          "outline:1px solid #fff;box-shadow:0 0 0 100000px rgba(0,0,0,0.35);";
+
+        const readout = document.createElement("div");
+        readout.style.cssText =
+          "position:absolute;left:0;top:100%;margin-top:6px;display:flex;gap:6px;" +
+          "align-items:center;font-size:11px;color:#e5e7eb;white-space:nowrap;";
+        const size = document.createElement("span");
+        size.style.cssText =
+          "background:#1a1a1a;padding:3px 6px;border-radius:4px;";
+        const confirmButton = document.createElement("button");
+        confirmButton.type = "button";
+        confirmButton.textContent = "Capture";
+        confirmButton.style.cssText =
+          "height:22px;padding:0 8px;border-radius:4px;border:none;" +
+          "background:#3b82f6;color:#fff;font-size:11px;font-weight:600;cursor:pointer;";
+        readout.appendChild(size);
+        readout.appendChild(confirmButton);
+        box.appendChild(readout);
+
+        for (const name of HANDLES) {
+          const handle = document.createElement("div");
+          handle.dataset.handle = name;
+          const vertical = name.includes("n") ? "top:-5px;" : name.includes("s") ? "bottom:-5px;" : "top:calc(50% - 5px);";
+          const horizontal = name.includes("w") ? "left:-5px;" : name.includes("e") ? "right:-5px;" : "left:calc(50% - 5px);";
+          handle.style.cssText =
+            "position:absolute;width:10px;height:10px;background:#fff;" +
+            "border:1px solid #3b82f6;border-radius:2px;" +
+            vertical + horizontal + `cursor:${name}-resize;`;
+          box.appendChild(handle);
+        }
+
+        root.appendChild(box);
+        root.appendChild(hint);
+        document.documentElement.appendChild(root);
+
+        // Selection in document coordinates; null until the first drag.
+        let sel = null;
+        let drag = null;
+        let lastPointer = null;
+        let settled = false;
+
+        function docPoint(e) {
+          return { x: e.clientX + window.scrollX, y: e.clientY + window.scrollY };
+        }
+
+        function render() {
+          if (!sel) {
+            box.style.display = "none";
+            root.style.background = "rgba(0,0,0,0.35)";
+            return;
+          }
+          root.style.background = "transparent";
+          box.style.display = "block";
+          box.style.left = `${sel.x - window.scrollX}px`;
+          box.style.top = `${sel.y - window.scrollY}px`;
+          box.style.width = `${sel.width}px`;
+          box.style.height = `${sel.height}px`;
+          size.textContent =
+            `${Math.round(sel.width)} \u00d7 ${Math.round(sel.height)}`;
+          // Keep the readout on screen when the box reaches the bottom edge.
+          const nearBottom = sel.y + sel.height - window.scrollY > window.innerHeight - 36;
+          readout.style.top = nearBottom ? "auto" : "100%";
+          readout.style.bottom = nearBottom ? "6px" : "auto";
+          readout.style.left = nearBottom ? "6px" : "0";
+          readout.style.marginTop = nearBottom ? "0" : "6px";
+        }
+
+        function normalize(a, b) {
+          return {
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(a.x - b.x),
+            height: Math.abs(a.y - b.y)
+          };
+        }
+
+        function applyDrag(point) {
+          if (!drag) return;
+          if (drag.kind === "create") {
+            sel = normalize(drag.anchor, point);
+          } else if (drag.kind === "move") {
+            sel = {
+              ...drag.start,
+              x: Math.max(0, drag.start.x + point.x - drag.origin.x),
+              y: Math.max(0, drag.start.y + point.y - drag.origin.y)
+            };
+          } else {
+            // Resize: move the dragged edges, then renormalize so handles
+            // can be pulled past the opposite edge.
+            const s = drag.start;
+            let left = s.x;
+            let top = s.y;
+            let right = s.x + s.width;
+            let bottom = s.y + s.height;
+            if (drag.handle.includes("w")) left = point.x;
+            if (drag.handle.includes("e")) right = point.x;
+            if (drag.handle.includes("n")) top = point.y;
+            if (drag.handle.includes("s")) bottom = point.y;
+            sel = normalize({ x: left, y: top }, { x: right, y: bottom });
+          }
+          render();
+        }
+
+        function onPointerDown(e) {
+          if (e.button !== 0 || e.target === confirmButton) return;
+          e.preventDefault();
+          e.stopPropagation();
+          const point = docPoint(e);
+          const handle = e.target?.dataset?.handle;
+          if (sel && handle) {
+            drag = { kind: "resize", handle, start: { ...sel } };
+          } else if (sel && e.target === box) {
+            drag = { kind: "move", origin: point, start: { ...sel } };
+          } else {
+            drag = { kind: "create", anchor: point };
+            sel = { x: point.x, y: point.y, width: 0, height: 0 };
+          }
+          lastPointer = { clientX: e.clientX, clientY: e.clientY };
+          root.setPointerCapture?.(e.pointerId);
+          render();
+        }
+
+        function onPointerMove(e) {
+          if (!drag) return;
+          lastPointer = { clientX: e.clientX, clientY: e.clientY };
+          applyDrag(docPoint(e));
+          // Scroll while dragging near the top/bottom edge so selections
+          // can extend past the viewport.
+          if (e.clientY < EDGE_SCROLL_ZONE) {
+            window.scrollBy(0, -EDGE_SCROLL_ZONE);
+          } else if (e.clientY > window.innerHeight - EDGE_SCROLL_ZONE) {
+            window.scrollBy(0, EDGE_SCROLL_ZONE);
+          }
+        }
+
+        function onPointerUp(e) {
+          if (!drag) return;
+          root.releasePointerCapture?.(e.pointerId);
+          drag = null;
+          if (sel && (sel.width < MIN_SIZE || sel.height < MIN_SIZE)) {
+            sel = null;
+          }
+          render();
+        }
+
+        function onScroll() {
+          if (drag && lastPointer) {
+            applyDrag(docPoint(lastPointer));
+          } else {
+            render();
+          }
+        }
+
+        function onKey(e) {
+          if (e.key === "Escape") {
+            e.preventDefault();
+            e.stopPropagation();
+            cancel();
+          } else if (e.key === "Enter" && sel) {
+            e.preventDefault();
+            e.stopPropagation();
+            confirm();
+          }
+        }
+
+        function cleanup() {
+          settled = true;
+          document.removeEventListener("keydown", onKey, true);
+          window.removeEventListener("scroll", onScroll, true);
+          root.remove();
+        }
+
+        function cancel() {
+          if (settled) return;
+          cleanup();
+          resolve(null);
+        }
+
+        function confirm() {
+          if (settled || !sel) return;
+          const selection = {
+            x: Math.round(sel.x),
+            y: Math.round(sel.y),
+            width: Math.round(sel.width),
+            height: Math.round(sel.height),
+            scrollX: window.scrollX,
+            scrollY: window.scrollY,
+            viewportWidth: window.innerWidth,
+            viewportHeight: window.innerHeight
+          };
+          cleanup();
+          // Wait for the overlay removal to paint before the capture runs.
+          requestAnimationFrame(() => requestAnimationFrame(() => resolve(selection)));
+        }
+
+        root.addEventListener("pointerdown", onPointerDown);
+        root.addEventListener("pointermove", onPointerMove);
+        root.addEventListener("pointerup", onPointerUp);
+        root.addEventListener("pointercancel", onPointerUp);
+        box.addEventListener("dblclick", (e) => {
+          e.preventDefault();
+          confirm();
+        });
+        confirmButton.addEventListener("click", (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          confirm();
+        });
+        document.addEventListener("keydown", onKey, true);
+        window.addEventListener("scroll", onScroll, true);
+        root.__cancelSelection = cancel;
+      });
+    }
+  });
+
+  return result?.result ?? null;
+}
+
+// Inject the element picker: hovering highlights the element under the
+// cursor, ArrowUp/ArrowDown walk to the parent/child, click or Enter picks.
+// Resolves with the element's bounding box in document coordinates, or
+// null when cancelled.
+async function pickElement(tabId, options = {}) {
+  const [result] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (hintText, mark) => {
+      return new Promise((resolve) => {
+        document.getElementById("__screenshot-picker__")?.__cancelSelection?.();
+
+        const root = document.createElement("div");
+        root.id = "__screenshot-picker__";
+        root.style.cssText =
+          "position:fixed;inset:0;z-index:2147483647;pointer-events:none;" +
+          "font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;";
+
+        const highlight = document.createElement("div");
+        highlight.style.cssText =
+          "position:fixed;display:none;pointer-events:none;" +
+          "background:rgba(59,130,246,0.18);outline:2px solid #3b82f6;";
+
+        const label = document.createElement("div");
+        label.style.cssText =
+          "position:fixed;display:none;pointer-events:none;" +
+          "background:#1a1a1a;color:#e5e7eb;font-size:11px;padding:3px 6px;" +
+          "border-radius:4px;white-space:nowrap;max-width:60vw;" +
+          "overflow:hidden;text-overflow:ellipsis;";
+
+        const hint = document.createElement("div");
+        hint.style.cssText =
+          "position:fixed;top:12px;left:50%;transform:translateX(-50%);" +
+          "background:#1a1a1a;color:#e5e7eb;font-size:12px;padding:6px 12px;" +
+          "border-radius:6px;box-shadow:0 4px 16px rgba(0,0,0,0.35);" +
+          "pointer-events:none;white-space:nowrap;";
+        hint.textContent = hintText;
+
+        root.appendChild(highlight);
+        root.appendChild(label);
+        root.appendChild(hint);
+        document.documentElement.appendChild(root);
+
+        let current = null;
+        // Elements we walked up from, so ArrowDown retraces the path.
+        let trail = [];
+        let settled = false;
+
+        function describe(el) {
+          let text = el.tagName.toLowerCase();
+          if (el.id) text += `#${el.id}`;
+          const classes = Array.from(el.classList).slice(0, 3);
+          if (classes.length) text += `.${classes.join(".")}`;
+          return text;
+        }
+
+        function render() {
+          if (!current || !current.isConnected) {
+            highlight.style.display = "none";
+            label.style.display = "none";
+            return;
+          }
+          const rect = current.getBoundingClientRect();
+          highlight.style.display = "block";
+          highlight.style.left = `${rect.left}px`;
+          highlight.style.top = `${rect.top}px`;
+          highlight.style.width = `${rect.width}px`;
+          highlight.style.height = `${rect.height}px`;
+
+          label.style.display = "block";
+          label.textContent =
+            `${describe(current)}  ${Math.round(rect.width)} \u00d7 ${Math.round(rect.height)}`;
+          label.style.left = `${Math.max(0, rect.left)}px`;
+          label.style.top = rect.top >= 24
+            ? `${rect.top - 22}px`
+            : `${Math.min(window.innerHeight - 22, Math.max(0, rect.bottom) + 4)}px`;
+        }
+
+        function select(el) {
+          if (!el || el === root || root.contains(el)) return;
+          current = el;
+          render();
+        }
+
+        function onMove(e) {
+          const el = document.elementFromPoint(e.clientX, e.clientY);
+          if (el && el !== current) {
+            trail = [];
+            select(el);
+          }
+        }
+
+        function swallow(e) {
+          e.preventDefault();
+          e.stopPropagation();
+          e.stopImmediatePropagation();
+        }
+
+        function onClick(e) {
+          swallow(e);
+          if (e.type === "click") {
+            confirm();
+          }
+        }
+
+        function onKey(e) {
+          if (e.key === "Escape") {
+            swallow(e);
+            cancel();
+          } else if (e.key === "Enter") {
+            swallow(e);
+            confirm();
+          } else if (e.key === "ArrowUp" && current) {
+            swallow(e);
+            const parent = current.parentElement;
+            if (parent && parent !== document.documentElement) {
+              trail.push(current);
+              select(parent);
+            }
+          } else if (e.key === "ArrowDown" && current) {
+            swallow(e);
+            const child = trail.pop() || current.firstElementChild;
+            if (child) select(child);
+          }
+        }
+
+        const blockedEvents = ["mousedown", "mouseup", "pointerdown", "pointerup", "click", "dblclick", "contextmenu"];
+
+        function cleanup() {
+          settled = true;
+          document.removeEventListener("mousemove", onMove, true);
+          document.removeEventListener("keydown", onKey, true);
+          window.removeEventListener("scroll", render, true);
+          for (const type of blockedEvents) {
+            document.removeEventListener(type, onClick, true);
+          }
+          root.remove();
+        }
+
+        function cancel() {
+          if (settled) return;
+          cleanup();
+          resolve(null);
+        }
+
+        function confirm() {
+          if (settled || !current) return;
+          const rect = current.getBoundingClientRect();
+          const selection = {
+            x: Math.round(rect.left + window.scrollX),
+            y: Math.round(rect.top + window.scrollY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+          };
+          cleanup();
+          if (selection.width < 1 || selection.height < 1) {
+            resolve(null);
+            return;
+          }
+          if (mark) {
+            document.querySelectorAll("[data-screenshot-picked]").forEach(
+              (el) => el.removeAttribute("data-screenshot-picked")
+            );
+            current.setAttribute("data-screenshot-picked", "");
+          }
+          // Wait for the highlight removal to paint before capturing.
+          requestAnimationFrame(() => requestAnimationFrame(() => resolve(selection)));
+        }
+
+        document.addEventListener("mousemove", onMove, true);
+        document.addEventListener("keydown", onKey, true);
+        window.addEventListener("scroll", render, true);
+        for (const type of blockedEvents) {
+          document.addEventListener(type, onClick, true);
+        }
+        root.__cancelSelection = cancel;
+      });
+    },
+    args: [
+      options.hint ??
+        "Click to capture \u00b7 \u2191/\u2193 parent/child \u00b7 Esc to cancel",
+      Boolean(options.mark)
+    ]
+  });
+
+  return result?.result ?? null;
+}
+
+// "Hide an element" (popup): let the user pick an element and add a rule
+// hiding it on this site in later captures. The picker marks the element
+// so pickedElementSelector() can build a selector for it.
+async function pickHideRule(tab) {
+  if (!tab || isRestrictedUrl(tab.url)) {
+    return;
+  }
+  try {
+    // Clicks land on the frame or shadow host, not on what is inside.
+    const picked = await pickElement(tab.id, {
+      hint: "Click to hide in captures \u00b7 \u2191/\u2193 parent/child \u00b7 " +
+        "Esc to cancel \u00b7 Not inside frames or shadow DOM",
+      mark: true
+    });
+    if (!picked) {
+      return;
+    }
+    const selector = await runPageHelper(tab.id, pickedElementSelector);
+    if (!selector) {
+      return;
+    }
+    const settings = await getSettings();
+    const hideRules = addHideRule(settings.hideRules, {
+      host: hostFromUrl(tab.url),
+      mode: "hide",
+      selector
+    });
+    await chrome.storage.sync.set({ hideRules });
+    showBadge("✓", "#22c55e");
+  } catch (err) {
+    console.error("Hide rule error:", err);
+    showBadge("✗", "#ef4444");
+    showError(tab.id, `Could not add the hide rule: ${messageFromError(err)}`);
+  } finally {
+    // pickedElementSelector() removes the mark itself, but not when it
+    // never ran or threw.
+    await runBestEffort(
+      "Clearing the picked element mark",
+      () => runPageHelper(tab.id, () => {
+        document.querySelectorAll("[data-screenshot-picked]").forEach(
+          (el) => el.removeAttribute("data-screenshot-picked")
+        );
+      })
+    );
+  }
+}
+
 // Combined flash + preview in a single executeScript call.
 // The flash animation plays, then the preview is built on the same
 // backdrop element — no extra round-trip, no gap, no pointer-events issues.
-function showFlashAndPreview(tabId, base64Data, warning, captureId = null) {
+function showFlashAndPreview(
+  tabId,
+  base64Data,
+  warning,
+  captureId = null,
+  previewOptions = {}
+) {
   return runBestEffort(
     "Showing capture preview overlay",
     () => chrome.scripting.executeScript({
       target: { tabId },
-      func: (b64, warn, id, retryTabId) => {
+      func: (b64, warn, id, retryTabId, opts) => {
         return new Promise((resolve) => {
         // Remove leftovers
         document.getElementById("__screenshot-preflash__")?.remove();
@@ -835,6 +3365,7 @@ function showFlashAndPreview(tabId, base64Data, warning, captureId = null) {
         backdrop.id = "__screenshot-preview__";
         backdrop.dataset.captureId = id === null ? "" : String(id);
         backdrop.__screenshotBase64 = b64;
+        backdrop.__screenshotMimeType = opts?.mimeType || "image/png";
         backdrop.__retryUsed = false;
         backdrop.style.cssText =
           "position:fixed;inset:0;z-index:2147483647;pointer-events:none;" +
@@ -859,14 +3390,18 @@ function showFlashAndPreview(tabId, base64Data, warning, captureId = null) {
           backdrop.style.pointerEvents = "auto";
           backdrop.style.cursor = "not-allowed";
           backdrop.style.display = "flex";
-          backdrop.style.alignItems = "flex-start";
-          backdrop.style.justifyContent = "flex-end";
+          const [vertical, horizontal] =
+            (opts?.position || "top-right").split("-");
+          backdrop.style.alignItems =
+            vertical === "bottom" ? "flex-end" : "flex-start";
+          backdrop.style.justifyContent =
+            horizontal === "left" ? "flex-start" : "flex-end";
           backdrop.style.padding = "12px";
           backdrop.style.transition = "opacity 0.2s ease-out";
           backdrop.style.fontFamily =
             "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
 
-          const FADE_TIMEOUT = 4000;
+          const FADE_TIMEOUT = opts?.durationMs || 4000;
           let timer = null;
           let dismissed = false;
 
@@ -914,7 +3449,7 @@ function showFlashAndPreview(tabId, base64Data, warning, captureId = null) {
           const labelText = document.createElement("span");
           labelText.id = "__screenshot-preview-label__";
           labelText.style.color = "#9ca3af";
-          labelText.textContent = "Copying to clipboard\u2026";
+          labelText.textContent = opts?.statusText || "Copying to clipboard\u2026";
 
           labelLeft.appendChild(spinner);
           labelLeft.appendChild(labelText);
@@ -952,9 +3487,31 @@ function showFlashAndPreview(tabId, base64Data, warning, captureId = null) {
             });
           });
 
+          // Opens the capture in the annotation editor (new tab).
+          const editButton = document.createElement("button");
+          editButton.id = "__screenshot-preview-edit__";
+          editButton.type = "button";
+          editButton.textContent = "Annotate";
+          editButton.style.cssText =
+            "height:22px;padding:0 8px;border-radius:6px;" +
+            "border:1px solid rgba(255,255,255,0.25);" +
+            "background:rgba(255,255,255,0.08);color:#e5e7eb;" +
+            "font-size:11px;font-weight:600;cursor:pointer;";
+          editButton.addEventListener("click", (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            chrome.runtime.sendMessage({
+              action: "openEditor",
+              data: backdrop.__screenshotBase64,
+              mimeType: backdrop.__screenshotMimeType
+            }).catch(() => {});
+            dismiss();
+          });
+
           const labelRight = document.createElement("span");
           labelRight.style.cssText = "display:flex;align-items:center;gap:8px;";
           labelRight.appendChild(labelDims);
+          labelRight.appendChild(editButton);
           labelRight.appendChild(retryButton);
 
           label.appendChild(labelLeft);
@@ -973,9 +3530,12 @@ function showFlashAndPreview(tabId, base64Data, warning, captureId = null) {
             display: block; width: 100%;
             border-radius: 0 0 8px 8px;
           `;
+          // "1280 × 800 px · JPEG 412 KB" — the size matters for upload
+          // limits, so it is shown for every format.
+          let sizeText = "";
           img.addEventListener("load", () => {
             labelDims.textContent =
-              `${img.naturalWidth} \u00d7 ${img.naturalHeight} px`;
+              `${img.naturalWidth} \u00d7 ${img.naturalHeight} px` + sizeText;
           });
 
           // Convert base64 → blob URL to save memory
@@ -984,7 +3544,11 @@ function showFlashAndPreview(tabId, base64Data, warning, captureId = null) {
             const bytes = new Uint8Array(binary.length);
             for (let i = 0; i < binary.length; i++)
               bytes[i] = binary.charCodeAt(i);
-            const blob = new Blob([bytes], { type: "image/png" });
+            const blob = new Blob([bytes], { type: backdrop.__screenshotMimeType });
+            const kb = blob.size / 1024;
+            sizeText =
+              ` \u00b7 ${backdrop.__screenshotMimeType.slice(6).toUpperCase()} ` +
+              (kb >= 1024 ? `${(kb / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(kb))} KB`);
             img.src = URL.createObjectURL(blob);
             img.addEventListener(
               "load", () => URL.revokeObjectURL(img.src), { once: true }
@@ -993,13 +3557,13 @@ function showFlashAndPreview(tabId, base64Data, warning, captureId = null) {
               "error", () => URL.revokeObjectURL(img.src), { once: true }
             );
           } catch (_) {
-            img.src = `data:image/png;base64,${b64}`;
+            img.src = `data:${backdrop.__screenshotMimeType};base64,${b64}`;
           }
 
           imgWrap.appendChild(img);
           panel.appendChild(label);
 
-          // Show a warning banner when the page exceeded GPU texture limits
+          // Show a warning banner (reduced resolution, split or cut-off page, …)
           if (warn) {
             const warnEl = document.createElement("div");
             warnEl.style.cssText =
@@ -1077,7 +3641,7 @@ function showFlashAndPreview(tabId, base64Data, warning, captureId = null) {
         }
         });
       },
-      args: [base64Data, warning ?? null, captureId, tabId]
+      args: [base64Data, warning ?? null, captureId, tabId, previewOptions]
     })
   );
 }
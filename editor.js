@@ -0,0 +1,515 @@
+// Annotation editor for a capture, opened from the preview panel.
+// normalizeRect, arrowHeadPoints, nextStepNumber, createEditHistory,
+// normalizeSettings and DEFAULT_SETTINGS are provided by lib.js (loaded
+// before this script).
+
+const stage = document.getElementById("stage");
+const canvas = document.getElementById("canvas");
+const ctx = canvas.getContext("2d");
+const empty = document.getElementById("empty");
+const statusText = document.getElementById("status");
+const colorInput = document.getElementById("color");
+const sizeSelect = document.getElementById("size");
+const undoButton = document.getElementById("undo");
+const redoButton = document.getElementById("redo");
+const exportButton = document.getElementById("export");
+const toolButtons = [...document.querySelectorAll("button[data-tool]")];
+
+// Export button label per destination.
+const EXPORT_TEXT = {
+  clipboard: "Copy",
+  download: "Save",
+  both: "Copy and save"
+};
+
+// Single-key tool shortcuts.
+const TOOL_KEYS = {
+  r: "rect",
+  a: "arrow",
+  p: "pen",
+  t: "text",
+  n: "step",
+  h: "highlighter",
+  c: "crop"
+};
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+let image = null;
+// { tab, data, mimeType } handed over by the service worker.
+let source = null;
+let settings = DEFAULT_SETTINGS;
+let tool = "rect";
+// Sizes are given for a ~1280px wide capture and scale up for larger
+// (e.g. HiDPI or full-page) ones.
+let unit = 1;
+// Each state is { annotations, crop }; crop is null or a rect in image pixels.
+const edits = createEditHistory({ annotations: [], crop: null });
+// Shape being drawn while the pointer is down.
+let draft = null;
+
+// Selected size (3, 6 or 10); stroke widths, text and markers scale with it.
+function sizeStep() {
+  return Number(sizeSelect.value);
+}
+
+function lineWidth() {
+  return sizeStep() * unit;
+}
+
+function setStatus(text, isError = false) {
+  statusText.textContent = text;
+  statusText.classList.toggle("error", isError);
+}
+
+function selectTool(name) {
+  tool = name;
+  canvas.dataset.tool = name;
+  for (const button of toolButtons) {
+    button.setAttribute("aria-pressed", String(button.dataset.tool === name));
+  }
+}
+
+function commit(state) {
+  edits.push(state);
+  render();
+}
+
+// --- Drawing ---
+
+function tracePath(target, points) {
+  target.beginPath();
+  target.moveTo(points[0].x, points[0].y);
+  for (const point of points.slice(1)) {
+    target.lineTo(point.x, point.y);
+  }
+  // A single click still leaves a dot.
+  if (points.length === 1) {
+    target.lineTo(points[0].x, points[0].y);
+  }
+  target.stroke();
+}
+
+function drawAnnotation(target, annotation) {
+  target.save();
+  target.strokeStyle = annotation.color;
+  target.fillStyle = annotation.color;
+  target.lineWidth = annotation.lineWidth;
+  target.lineCap = "round";
+  target.lineJoin = "round";
+
+  switch (annotation.type) {
+    case "rect":
+      target.strokeRect(annotation.x, annotation.y, annotation.width, annotation.height);
+      break;
+    case "arrow": {
+      const { from, to } = annotation;
+      const head = arrowHeadPoints(from, to, annotation.lineWidth * 4);
+      // The shaft stops at the head's base so the round cap can't poke
+      // through the tip.
+      target.beginPath();
+      target.moveTo(from.x, from.y);
+      target.lineTo((head[0].x + head[1].x) / 2, (head[0].y + head[1].y) / 2);
+      target.stroke();
+      target.beginPath();
+      target.moveTo(to.x, to.y);
+      target.lineTo(head[0].x, head[0].y);
+      target.lineTo(head[1].x, head[1].y);
+      target.closePath();
+      target.fill();
+      break;
+    }
+    case "pen":
+      tracePath(target, annotation.points);
+      break;
+    case "highlighter":
+      target.globalAlpha = 0.35;
+      target.lineCap = "square";
+      tracePath(target, annotation.points);
+      break;
+    case "text":
+      target.font = `600 ${annotation.fontSize}px ${FONT_FAMILY}`;
+      target.textBaseline = "top";
+      // A white outline keeps labels readable on any background.
+      target.lineWidth = annotation.fontSize / 5;
+      target.strokeStyle = "#fff";
+      target.strokeText(annotation.text, annotation.x, annotation.y);
+      target.fillText(annotation.text, annotation.x, annotation.y);
+      break;
+    case "step":
+      target.beginPath();
+      target.arc(annotation.x, annotation.y, annotation.radius, 0, 2 * Math.PI);
+      target.fill();
+      target.lineWidth = annotation.radius / 6;
+      target.strokeStyle = "#fff";
+      target.stroke();
+      target.fillStyle = "#fff";
+      target.font = `700 ${Math.round(annotation.radius * 1.1)}px ${FONT_FAMILY}`;
+      target.textAlign = "center";
+      target.textBaseline = "middle";
+      target.fillText(String(annotation.number), annotation.x, annotation.y);
+      break;
+  }
+  target.restore();
+}
+
+// Dim everything outside the crop rectangle.
+function drawCropShade(rect) {
+  ctx.save();
+  ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+  ctx.beginPath();
+  ctx.rect(0, 0, canvas.width, canvas.height);
+  ctx.rect(rect.x, rect.y, rect.width, rect.height);
+  ctx.fill("evenodd");
+  ctx.setLineDash([6 * unit, 4 * unit]);
+  ctx.strokeStyle = "#fff";
+  ctx.lineWidth = unit;
+  ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+  ctx.restore();
+}
+
+function render() {
+  const { annotations, crop } = edits.current;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0);
+  for (const annotation of annotations) {
+    drawAnnotation(ctx, annotation);
+  }
+  if (draft && draft.type !== "crop") {
+    drawAnnotation(ctx, draft);
+  }
+  const cropRect = draft?.type === "crop" ? draft : crop;
+  if (cropRect) {
+    drawCropShade(cropRect);
+  }
+  undoButton.disabled = !edits.canUndo;
+  redoButton.disabled = !edits.canRedo;
+}
+
+// --- Pointer input ---
+
+// Pointer position in image pixels (the canvas is scaled down by CSS).
+function imagePoint(event) {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: Math.round((event.clientX - rect.left) * canvas.width / rect.width),
+    y: Math.round((event.clientY - rect.top) * canvas.height / rect.height)
+  };
+}
+
+// Drags shorter than this are treated as clicks.
+function isTinyDrag(annotation) {
+  const min = 3 * unit;
+  if (annotation.type === "arrow") {
+    return Math.hypot(annotation.to.x - annotation.from.x, annotation.to.y - annotation.from.y) < min;
+  }
+  if (annotation.type === "rect" || annotation.type === "crop") {
+    return annotation.width < min || annotation.height < min;
+  }
+  return false;
+}
+
+canvas.addEventListener("pointerdown", (event) => {
+  if (!image || event.button !== 0) return;
+  const point = imagePoint(event);
+  const { annotations, crop } = edits.current;
+
+  if (tool === "text") {
+    event.preventDefault();
+    startTextEntry(point);
+    return;
+  }
+  if (tool === "step") {
+    commit({
+      annotations: [...annotations, {
+        type: "step",
+        color: colorInput.value,
+        x: point.x,
+        y: point.y,
+        number: nextStepNumber(annotations),
+        radius: (10 + sizeStep() * 1.5) * unit
+      }],
+      crop
+    });
+    return;
+  }
+
+  canvas.setPointerCapture(event.pointerId);
+  const style = { color: colorInput.value, lineWidth: lineWidth() };
+  if (tool === "rect" || tool === "crop") {
+    draft = { type: tool, ...style, start: point, ...normalizeRect(point, point, canvas) };
+  } else if (tool === "arrow") {
+    draft = { type: "arrow", ...style, from: point, to: point };
+  } else if (tool === "highlighter") {
+    draft = { type: "highlighter", ...style, lineWidth: style.lineWidth * 4, points: [point] };
+  } else {
+    draft = { type: "pen", ...style, points: [point] };
+  }
+  render();
+});
+
+canvas.addEventListener("pointermove", (event) => {
+  if (!draft) return;
+  const point = imagePoint(event);
+  if (draft.type === "rect" || draft.type === "crop") {
+    // Clamped to the image: crops and rectangles past its edges would
+    // export with transparent margins.
+    Object.assign(draft, normalizeRect(draft.start, point, canvas));
+  } else if (draft.type === "arrow") {
+    draft.to = point;
+  } else {
+    draft.points.push(point);
+  }
+  render();
+});
+
+function finishDraft() {
+  if (!draft) return;
+  const finished = { ...draft };
+  delete finished.start;
+  draft = null;
+  const { annotations, crop } = edits.current;
+
+  if (finished.type === "crop") {
+    // Clicking without dragging removes the crop.
+    const next = isTinyDrag(finished)
+      ? null
+      : { x: finished.x, y: finished.y, width: finished.width, height: finished.height };
+    if (next || crop) {
+      commit({ annotations, crop: next });
+      return;
+    }
+  } else if (!isTinyDrag(finished)) {
+    commit({ annotations: [...annotations, finished], crop });
+    return;
+  }
+  render();
+}
+
+canvas.addEventListener("pointerup", finishDraft);
+canvas.addEventListener("pointercancel", () => {
+  draft = null;
+  render();
+});
+
+// Text labels are typed into an input over the canvas and drawn on Enter
+// (or when the input loses focus); Escape discards them.
+function startTextEntry(point) {
+  const rect = canvas.getBoundingClientRect();
+  const stageRect = stage.getBoundingClientRect();
+  const scale = rect.width / canvas.width;
+  const fontSize = (12 + sizeStep() * 2) * unit;
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "text-entry";
+  input.style.left = `${rect.left - stageRect.left + stage.scrollLeft + point.x * scale}px`;
+  input.style.top = `${rect.top - stageRect.top + stage.scrollTop + point.y * scale}px`;
+  input.style.fontSize = `${fontSize * scale}px`;
+  input.style.color = colorInput.value;
+  stage.appendChild(input);
+  requestAnimationFrame(() => input.focus());
+
+  let done = false;
+  function finish(keep) {
+    if (done) return;
+    done = true;
+    const text = input.value.trim();
+    input.remove();
+    if (keep && text) {
+      const { annotations, crop } = edits.current;
+      commit({
+        annotations: [...annotations, {
+          type: "text",
+          color: colorInput.value,
+          lineWidth: lineWidth(),
+          x: point.x,
+          y: point.y,
+          text,
+          fontSize
+        }],
+        crop
+      });
+    }
+  }
+  input.addEventListener("keydown", (event) => {
+    event.stopPropagation();
+    if (event.key === "Enter") finish(true);
+    if (event.key === "Escape") finish(false);
+  });
+  input.addEventListener("blur", () => finish(true));
+}
+
+// --- Undo / redo, tools, keyboard ---
+
+function undo() {
+  edits.undo();
+  render();
+}
+
+function redo() {
+  edits.redo();
+  render();
+}
+
+undoButton.addEventListener("click", undo);
+redoButton.addEventListener("click", redo);
+for (const button of toolButtons) {
+  button.addEventListener("click", () => selectTool(button.dataset.tool));
+}
+
+document.addEventListener("keydown", (event) => {
+  if (!image || event.target.closest?.("input, select")) return;
+  const key = event.key.toLowerCase();
+  if (event.ctrlKey || event.metaKey) {
+    if (key === "z" && !event.shiftKey) {
+      event.preventDefault();
+      undo();
+    } else if (key === "y" || (key === "z" && event.shiftKey)) {
+      event.preventDefault();
+      redo();
+    }
+    return;
+  }
+  if (event.key === "Escape" && draft) {
+    draft = null;
+    render();
+  } else if (TOOL_KEYS[key] && !event.altKey) {
+    selectTool(TOOL_KEYS[key]);
+  }
+});
+
+// Unsaved annotations would be lost: the capture can't be reopened.
+window.addEventListener("beforeunload", (event) => {
+  if (edits.canUndo) {
+    event.preventDefault();
+  }
+});
+
+// --- Export ---
+
+// Render the annotated (and cropped) image at full resolution.
+function exportBlob() {
+  const { annotations, crop } = edits.current;
+  const area = crop ?? { x: 0, y: 0, width: canvas.width, height: canvas.height };
+  const output = document.createElement("canvas");
+  output.width = area.width;
+  output.height = area.height;
+  const outputCtx = output.getContext("2d");
+  outputCtx.translate(-area.x, -area.y);
+  outputCtx.drawImage(image, 0, 0);
+  for (const annotation of annotations) {
+    drawAnnotation(outputCtx, annotation);
+  }
+  return new Promise((resolve, reject) => {
+    output.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Encoding the image failed"))),
+      "image/png"
+    );
+  });
+}
+
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]+,/, ""));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function describeExport(copied, saved) {
+  if (copied === false) {
+    return saved ? "Saved — clipboard failed" : "Clipboard failed";
+  }
+  if (saved === false) {
+    return copied ? "Copied — download failed" : "Download failed";
+  }
+  if (copied && saved) return "Copied and saved ✓";
+  return saved ? "Saved to Downloads ✓" : "Copied to clipboard ✓";
+}
+
+exportButton.addEventListener("click", async () => {
+  exportButton.disabled = true;
+  setStatus("Exporting…");
+  const { destination } = settings;
+  try {
+    const blob = await exportBlob();
+    // This page has focus, so it writes the clipboard itself; the service
+    // worker only saves the download and the history entry.
+    let copied = null;
+    if (destination !== "download") {
+      try {
+        await navigator.clipboard.write([new ClipboardItem({ "image/png": blob })]);
+        copied = true;
+      } catch (err) {
+        console.error("Clipboard error:", err);
+        copied = false;
+      }
+    }
+    const result = await chrome.runtime.sendMessage({
+      action: "exportAnnotation",
+      tab: source.tab,
+      data: await blobToBase64(blob),
+      destination
+    });
+    if (!result) {
+      throw new Error("No response from the extension");
+    }
+    const failed = copied === false || result.saved === false;
+    setStatus(describeExport(copied, result.saved), failed);
+  } catch (err) {
+    console.error("Export error:", err);
+    setStatus("Export failed", true);
+  } finally {
+    exportButton.disabled = false;
+  }
+});
+
+// --- Startup ---
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("The capture could not be decoded"));
+    img.src = url;
+  });
+}
+
+async function load() {
+  selectTool(tool);
+  const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS).catch(() => null);
+  settings = normalizeSettings({ ...DEFAULT_SETTINGS, ...(stored || {}) });
+  exportButton.textContent = EXPORT_TEXT[settings.destination] ?? EXPORT_TEXT.clipboard;
+
+  const session = new URL(document.URL).searchParams.get("session");
+  source = session
+    ? await chrome.runtime.sendMessage({ action: "editorSession", session })
+    : null;
+  if (!source?.data) {
+    empty.hidden = false;
+    empty.textContent =
+      "This capture is no longer available. Open the editor again from the capture preview.";
+    return;
+  }
+
+  try {
+    image = await loadImage(`data:${source.mimeType};base64,${source.data}`);
+  } catch (err) {
+    empty.hidden = false;
+    empty.textContent = err.message;
+    return;
+  }
+  canvas.width = image.naturalWidth;
+  canvas.height = image.naturalHeight;
+  canvas.hidden = false;
+  unit = Math.max(1, image.naturalWidth / 1280);
+  if (source.tab?.title) {
+    document.title = `Annotate — ${source.tab.title}`;
+  }
+  exportButton.disabled = false;
+  render();
+}
+
+load();
@@ -25,9 +25,9 @@ module.exports = [
     },
   },
 
-  // Chrome extension files (service worker + popup)
+  // Chrome extension files (service worker + popup + extension pages)
   {
-    files: ["background.js", "popup.js"],
+    files: ["background.js", "popup.js", "options.js", "history.js", "editor.js", "offscreen.js"],
     languageOptions: {
       ecmaVersion: 2021,
       sourceType: "script",
@@ -43,17 +43,75 @@ module.exports = [
         requestAnimationFrame: "readonly",
         fetch: "readonly",
         atob: "readonly",
+        btoa: "readonly",
         Blob: "readonly",
         Uint8Array: "readonly",
         URL: "readonly",
         Image: "readonly",
         navigator: "readonly",
         ClipboardItem: "readonly",
+        OffscreenCanvas: "readonly",
+        createImageBitmap: "readonly",
+        FileReader: "readonly",
+        crypto: "readonly",
         // Chrome extension
         chrome: "readonly",
         importScripts: "readonly",
-        // Provided by lib.js loaded before popup.js
+        // Provided by lib.js (importScripts / loaded before the extension pages)
         isRestrictedUrl: "readonly",
+        DESTINATIONS: "readonly",
+        DEFAULT_SETTINGS: "readonly",
+        normalizeSettings: "readonly",
+        emulatedMediaParams: "readonly",
+        responsiveViewports: "readonly",
+        deviceViewport: "readonly",
+        DEVICE_PRESETS: "readonly",
+        redactionOptions: "readonly",
+        anonymizationOptions: "readonly",
+        hideRulesFor: "readonly",
+        addHideRule: "readonly",
+        invalidSettingLine: "readonly",
+        IMAGE_FORMAT_EXTENSIONS: "readonly",
+        formatFilename: "readonly",
+        matchesHistoryQuery: "readonly",
+        normalizeRect: "readonly",
+        arrowHeadPoints: "readonly",
+        nextStepNumber: "readonly",
+        createEditHistory: "readonly",
+        beginScrollCapture: "readonly",
+        scrollCaptureTo: "readonly",
+        hideFixedForScrollCapture: "readonly",
+        endScrollCapture: "readonly",
+        redactPage: "readonly",
+        restoreRedactions: "readonly",
+        anonymizePage: "readonly",
+        restoreAnonymization: "readonly",
+        applyHideRules: "readonly",
+        restoreHideRules: "readonly",
+        pickedElementSelector: "readonly",
+        // Provided by history-store.js
+        historyAdd: "readonly",
+        historyList: "readonly",
+        historyTouch: "readonly",
+        historyDelete: "readonly",
+        historyClear: "readonly",
+        historyPrune: "readonly",
+      },
+    },
+  },
+
+  // Capture history store (service worker + history page)
+  {
+    files: ["history-store.js"],
+    languageOptions: {
+      ecmaVersion: 2021,
+      sourceType: "script",
+      globals: {
+        indexedDB: "readonly",
+        // Conditional Node.js export
+        module: "readonly",
+        // Provided by lib.js
+        selectHistoryEvictions: "readonly",
       },
     },
   },
@@ -70,6 +128,12 @@ module.exports = [
         document: "readonly",
         console: "readonly",
         getComputedStyle: "readonly",
+        requestAnimationFrame: "readonly",
+        setTimeout: "readonly",
+        clearTimeout: "readonly",
+        MutationObserver: "readonly",
+        NodeFilter: "readonly",
+        Node: "readonly",
         // Conditional Node.js export
         module: "readonly",
       },
@@ -111,7 +175,11 @@ module.exports = [
         document: "readonly",
         navigator: "readonly",
         createImageBitmap: "readonly",
+        Blob: "readonly",
+        atob: "readonly",
+        btoa: "readonly",
         clipboardWriteViaScript: "writable",
+        clipboardWriteViaOffscreen: "writable",
       },
     },
   },
@@ -0,0 +1,111 @@
+// IndexedDB-backed capture history, shared by the service worker
+// (importScripts) and the history page (<script>).
+//
+// Each record: { id, createdAt, lastAccessedAt, url, host, title, mode,
+// format, width, height, warning, size, image: Blob, thumbnail: Blob }.
+// `size` is image + thumbnail bytes and drives quota eviction.
+
+const HISTORY_DB_NAME = "simple-screenshots";
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = "captures";
+
+let _historyDbPromise = null;
+
+function openHistoryDb() {
+  if (!_historyDbPromise) {
+    _historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(HISTORY_STORE, {
+          keyPath: "id",
+          autoIncrement: true
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        // Allow a later call to retry opening.
+        _historyDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return _historyDbPromise;
+}
+
+// Run `fn(store)` in a transaction and resolve with the result of the
+// request it returns once the transaction has committed.
+async function historyTransaction(mode, fn) {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(HISTORY_STORE, mode);
+    const request = fn(tx.objectStore(HISTORY_STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("History transaction aborted"));
+  });
+}
+
+/** Store a capture record; resolves with its new id. */
+function historyAdd(record) {
+  const now = Date.now();
+  return historyTransaction("readwrite", (store) =>
+    store.add({ createdAt: now, lastAccessedAt: now, ...record })
+  );
+}
+
+/** All records, newest first. */
+async function historyList() {
+  const records = await historyTransaction("readonly", (store) => store.getAll());
+  return (records || []).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function historyGet(id) {
+  return historyTransaction("readonly", (store) => store.get(id));
+}
+
+/** Mark a record as used (re-copied, downloaded, viewed) for LRU eviction. */
+async function historyTouch(id) {
+  const record = await historyGet(id);
+  if (!record) return;
+  record.lastAccessedAt = Date.now();
+  await historyTransaction("readwrite", (store) => store.put(record));
+}
+
+function historyDelete(id) {
+  return historyTransaction("readwrite", (store) => store.delete(id));
+}
+
+function historyClear() {
+  return historyTransaction("readwrite", (store) => store.clear());
+}
+
+/**
+ * Evict least recently used records until the history fits in `maxBytes`.
+ * Resolves with the number of records deleted.
+ */
+async function historyPrune(maxBytes) {
+  const evicted = selectHistoryEvictions(await historyList(), maxBytes);
+  if (evicted.length > 0) {
+    await historyTransaction("readwrite", (store) => {
+      for (const id of evicted) {
+        store.delete(id);
+      }
+      return null;
+    });
+  }
+  return evicted.length;
+}
+
+// Export for Node.js tests (no-op in browser where `module` is undefined)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    openHistoryDb,
+    historyAdd,
+    historyList,
+    historyGet,
+    historyTouch,
+    historyDelete,
+    historyClear,
+    historyPrune,
+  };
+}
@@ -0,0 +1,202 @@
+// Capture history gallery.
+// matchesHistoryQuery, formatFilename, normalizeSettings, DEFAULT_SETTINGS
+// and IMAGE_FORMAT_EXTENSIONS are provided by lib.js; history* by
+// history-store.js (both loaded before this script).
+
+const grid = document.getElementById("grid");
+const search = document.getElementById("search");
+const empty = document.getElementById("empty");
+const usage = document.getElementById("usage");
+
+let entries = [];
+let settings = DEFAULT_SETTINGS;
+// Object URLs for the rendered thumbnails; revoked on every re-render.
+let thumbnailUrls = [];
+
+function formatSize(bytes) {
+  const kb = bytes / 1024;
+  return kb >= 1024 ? `${(kb / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(kb))} KB`;
+}
+
+async function load() {
+  entries = await historyList();
+  render();
+}
+
+function render() {
+  thumbnailUrls.forEach((url) => URL.revokeObjectURL(url));
+  thumbnailUrls = [];
+
+  const visible = entries.filter((entry) => matchesHistoryQuery(entry, search.value));
+  grid.replaceChildren(...visible.map(renderCard));
+
+  empty.hidden = visible.length > 0;
+  empty.textContent = entries.length > 0
+    ? "No captures match your search."
+    : "No captures yet. Screenshots you take are kept here.";
+
+  const total = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  usage.textContent =
+    `${entries.length} capture${entries.length === 1 ? "" : "s"} · ` +
+    `${formatSize(total)} of ${settings.historyQuotaMB} MB`;
+}
+
+function renderCard(entry) {
+  const card = document.createElement("div");
+  card.className = "card";
+
+  const thumb = document.createElement("a");
+  thumb.className = "thumb";
+  thumb.title = "Open full image";
+  thumb.addEventListener("click", () => openEntry(entry));
+  const img = document.createElement("img");
+  img.alt = "";
+  if (entry.thumbnail) {
+    img.src = URL.createObjectURL(entry.thumbnail);
+    thumbnailUrls.push(img.src);
+  }
+  thumb.appendChild(img);
+
+  const info = document.createElement("div");
+  info.className = "info";
+  const title = document.createElement("div");
+  title.className = "title";
+  title.textContent = entry.title || entry.host || entry.url;
+  title.title = entry.url;
+  const meta = document.createElement("div");
+  meta.className = "meta";
+  meta.textContent = [
+    entry.host,
+    new Date(entry.createdAt).toLocaleString(),
+    entry.mode,
+    `${entry.width} × ${entry.height}`,
+    `${String(entry.format).toUpperCase()} ${formatSize(entry.image?.size || 0)}`
+  ].filter(Boolean).join(" · ");
+  info.append(title, meta);
+  if (entry.warning) {
+    const warning = document.createElement("div");
+    warning.className = "warning";
+    warning.textContent = "⚠ " + entry.warning;
+    info.appendChild(warning);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "actions";
+  actions.append(
+    actionButton("Copy", (button) => copyEntry(entry, button)),
+    actionButton("Download", () => downloadEntry(entry)),
+    actionButton("Delete", () => deleteEntry(entry), "danger")
+  );
+
+  card.append(thumb, info, actions);
+  return card;
+}
+
+function actionButton(text, onClick, className = "") {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = text;
+  button.className = className;
+  button.addEventListener("click", async () => {
+    button.disabled = true;
+    try {
+      await onClick(button);
+    } catch (err) {
+      console.error(`${text} failed:`, err);
+      button.textContent = `${text} failed`;
+    } finally {
+      button.disabled = false;
+    }
+  });
+  return button;
+}
+
+async function openEntry(entry) {
+  // The tab keeps the object URL alive; it is released with this page.
+  window.open(URL.createObjectURL(entry.image), "_blank");
+  try {
+    await historyTouch(entry.id);
+  } catch (err) {
+    console.error("Updating history failed:", err);
+  }
+}
+
+// The clipboard only accepts PNG, so JPEG/WebP captures are re-encoded.
+async function toPngBlob(blob) {
+  if (blob.type === "image/png") return blob;
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (png) => (png ? resolve(png) : reject(new Error("PNG encoding failed"))),
+      "image/png"
+    );
+  });
+}
+
+async function copyEntry(entry, button) {
+  const png = await toPngBlob(entry.image);
+  await navigator.clipboard.write([new ClipboardItem({ "image/png": png })]);
+  button.textContent = "Copied ✓";
+  setTimeout(() => {
+    button.textContent = "Copy";
+  }, 1500);
+  await historyTouch(entry.id);
+}
+
+async function downloadEntry(entry) {
+  const filename = formatFilename(
+    settings.filenameTemplate,
+    {
+      host: entry.host,
+      title: entry.title,
+      mode: entry.mode,
+      width: entry.width,
+      height: entry.height,
+      date: new Date(entry.createdAt)
+    },
+    IMAGE_FORMAT_EXTENSIONS[entry.format] ?? "png"
+  );
+  // download() resolves once the download has started, after which the
+  // object URL is no longer needed.
+  const url = URL.createObjectURL(entry.image);
+  try {
+    await chrome.downloads.download({
+      url,
+      filename,
+      conflictAction: settings.conflictAction
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+  await historyTouch(entry.id);
+}
+
+async function deleteEntry(entry) {
+  await historyDelete(entry.id);
+  entries = entries.filter((other) => other.id !== entry.id);
+  render();
+}
+
+document.getElementById("clear").addEventListener("click", async () => {
+  if (!window.confirm("Delete all saved captures?")) return;
+  await historyClear();
+  entries = [];
+  render();
+});
+
+search.addEventListener("input", render);
+
+// Pick up captures taken while this page was in the background.
+document.addEventListener("visibilitychange", () => {
+  if (!document.hidden) load();
+});
+
+chrome.storage.sync.get(DEFAULT_SETTINGS, (stored) => {
+  settings = normalizeSettings(stored);
+  load();
+});
@@ -16,17 +16,868 @@ function isRestrictedUrl(url) {
   return !url || RESTRICTED_URL_PREFIXES.some((prefix) => url.startsWith(prefix));
 }
 
+// Where a capture goes: the clipboard, a file in Downloads, or both.
+const DESTINATIONS = ["clipboard", "download", "both"];
+const IMAGE_FORMATS = ["png", "jpeg", "webp"];
+// File extension per output format.
+const IMAGE_FORMAT_EXTENSIONS = { png: "png", jpeg: "jpg", webp: "webp" };
+// Corner of the page the preview panel is pinned to.
+const PREVIEW_POSITIONS = ["top-right", "top-left", "bottom-right", "bottom-left"];
+// Full-page device pixel ratio strategy:
+// - "auto":   native DPR when the page fits the GPU texture limit, else 1x
+// - "native": always native DPR (sharpest, largest files)
+// - "1x":     always DPR=1 (smallest files)
+const DPR_POLICIES = ["auto", "native", "1x"];
+// Full-page capture engine:
+// - "auto":     debugger, falling back to scrolling when it can't attach
+// - "debugger": one Page.captureScreenshot of the stretched viewport
+// - "scroll":   scroll viewport by viewport and stitch captureVisibleTab
+//               shots (no debugger infobar, works with DevTools open)
+const FULL_PAGE_ENGINES = ["auto", "debugger", "scroll"];
+// Nested scroll containers expanded by measurePageDimensions():
+// - "largest": only the tallest (the page's main scroller)
+// - "all":     every sizeable one, e.g. each pane of a split-pane app
+const SCROLL_CONTAINER_STRATEGIES = ["largest", "all"];
+// prefers-color-scheme during full-page captures: "page" leaves it alone.
+const COLOR_SCHEMES = ["page", "light", "dark"];
+// Responsive sheet output: one side-by-side image with width labels, or
+// one image per width.
+const RESPONSIVE_OUTPUTS = ["composite", "separate"];
+
+// Safari's user agents for the iOS presets. Android presets derive theirs
+// from the running Chrome (see deviceViewport()).
+const IOS_USER_AGENTS = {
+  phone:
+    "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) " +
+    "AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 " +
+    "Safari/604.1",
+  tablet:
+    "Mozilla/5.0 (iPad; CPU OS 17_5 like Mac OS X) AppleWebKit/605.1.15 " +
+    "(KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1",
+};
+
+/**
+ * Device presets for emulated mobile captures: CSS viewport, device pixel
+ * ratio and platform (which picks the user agent).
+ */
+const DEVICE_PRESETS = {
+  "iphone-se": {
+    name: "iPhone SE", width: 375, height: 667, deviceScaleFactor: 2,
+    platform: "ios", tablet: false,
+  },
+  "iphone-15": {
+    name: "iPhone 15", width: 393, height: 852, deviceScaleFactor: 3,
+    platform: "ios", tablet: false,
+  },
+  "iphone-15-pro-max": {
+    name: "iPhone 15 Pro Max", width: 430, height: 932, deviceScaleFactor: 3,
+    platform: "ios", tablet: false,
+  },
+  "pixel-8": {
+    name: "Pixel 8", width: 412, height: 915, deviceScaleFactor: 2.625,
+    platform: "android", tablet: false,
+  },
+  "galaxy-s23": {
+    name: "Galaxy S23", width: 360, height: 780, deviceScaleFactor: 3,
+    platform: "android", tablet: false,
+  },
+  "ipad-air": {
+    name: "iPad Air", width: 820, height: 1180, deviceScaleFactor: 2,
+    platform: "ios", tablet: true,
+  },
+  "galaxy-tab-s9": {
+    name: "Galaxy Tab S9", width: 800, height: 1280, deviceScaleFactor: 2,
+    platform: "android", tablet: true,
+  },
+};
+// "none" captures as the desktop browser.
+const DEVICE_PRESET_IDS = ["none", ...Object.keys(DEVICE_PRESETS)];
+const CONFLICT_ACTIONS = ["uniquify", "overwrite", "prompt"];
+// What a hide rule does with its elements during a capture (see
+// applyHideRules()): `hide` keeps their space (visibility: hidden),
+// `remove` takes them out of the layout (display: none).
+const HIDE_RULE_MODES = ["hide", "remove"];
+// How redactPage() hides sensitive content.
+const REDACTION_STYLES = ["blur", "mask"];
+// Built-in redaction patterns (regular expression sources, matched
+// case-insensitively), keyed by the setting that enables them.
+const REDACTION_PATTERNS = {
+  redactEmails: "[\\w.%+-]+@[\\w-]+(?:\\.[\\w-]+)*\\.[a-z]{2,}",
+  // 13–19 digits, optionally grouped by spaces or dashes.
+  redactCardNumbers: "\\b\\d(?:[ -]?\\d){12,18}\\b",
+  // Well-known token prefixes (Stripe, GitHub, Slack, AWS access keys)
+  // and JWTs.
+  redactApiKeys:
+    "\\b(?:[spr]k_(?:live|test)_[a-z0-9]{10,}|gh[pousr]_[a-z0-9]{20,}|" +
+    "xox[abprs]-[a-z0-9-]{10,}|AKIA[a-z0-9]{16}|" +
+    "eyJ[\\w-]{8,}\\.[\\w-]{8,}\\.[\\w-]{8,})",
+};
+
+/**
+ * Settings persisted in `chrome.storage.sync`. Read them with
+ * `chrome.storage.sync.get(DEFAULT_SETTINGS)` so missing keys fall back to
+ * these defaults, then pass the result through `normalizeSettings()`.
+ */
+const DEFAULT_SETTINGS = {
+  format: "png",
+  // JPEG/WebP quality, 1–100 (ignored for PNG).
+  quality: 90,
+  destination: "clipboard",
+  // Tokens: {host} {title} {date} {time} {mode} {width} {height}.
+  // "/" separates subfolders inside the Downloads directory.
+  filenameTemplate: "screenshot_{host}_{date}_{time}",
+  // chrome.downloads conflictAction: "uniquify" | "overwrite" | "prompt"
+  conflictAction: "uniquify",
+  // Seconds the preview stays up after a successful copy/save.
+  previewDuration: 4,
+  previewPosition: "top-right",
+  dprPolicy: "auto",
+  fullPageEngine: "auto",
+  scrollContainers: "largest",
+  // Readiness stage before a full-page capture (see waitForPageReady()):
+  // fonts and images, optionally network idle and a CSS selector, for at
+  // most readyTimeout seconds.
+  waitForReady: true,
+  readyTimeout: 5,
+  readyNetworkIdle: false,
+  readySelector: "",
+  // Pre-scroll pass before measuring (see preScrollPage()), stopping after
+  // preScrollMaxSteps viewports or at preScrollMaxHeight px of content.
+  preScroll: false,
+  preScrollMaxSteps: 30,
+  preScrollMaxHeight: 30000,
+  // Deterministic full-page captures for visual regression baselines:
+  // animations paused, carets/focus rings hidden, videos on their first
+  // frame; freezeTime additionally pauses the page's virtual time.
+  deterministic: false,
+  freezeTime: false,
+  // Emulated media for full-page captures (popup toggles, see
+  // emulatedMediaParams()).
+  colorScheme: "page",
+  reducedMotion: false,
+  forcedColors: false,
+  printMedia: false,
+  // Responsive sheet: a full-page capture at each of these CSS widths (see
+  // parseResponsiveWidths()), composited or saved as separate images.
+  responsiveWidths: "375, 768, 1280, 1920",
+  responsiveOutput: "composite",
+  // Device emulation for full-page captures (popup, see DEVICE_PRESETS);
+  // deviceReload reloads the page first so the server sees the device's
+  // user agent.
+  devicePreset: "none",
+  deviceReload: false,
+  // Redaction before every capture (see redactionOptions()): password
+  // fields, elements matching redactSelectors (one CSS selector per line)
+  // and text matching the enabled built-in patterns or redactPatterns
+  // (one regular expression per line) are blurred or masked.
+  redact: false,
+  redactStyle: "blur",
+  redactPasswords: true,
+  redactEmails: true,
+  redactCardNumbers: true,
+  redactApiKeys: true,
+  redactSelectors: "",
+  redactPatterns: "",
+  // Anonymization before every capture (see anonymizationOptions()): text
+  // and form field values are swapped for placeholder text of the same
+  // length — only inside elements matching anonymizeSelectors (one CSS
+  // selector per line) when there are any — and, with anonymizeImages,
+  // images for neutral boxes.
+  anonymize: false,
+  anonymizeSelectors: "",
+  anonymizeImages: false,
+  // Per-site hide rules (see parseHideRules()), one per line:
+  // "<host pattern> <hide|remove> <CSS selector>".
+  hideRules: "",
+  // Capture history (IndexedDB). Incognito captures are only kept when
+  // explicitly allowed, since the extension's storage is shared with the
+  // regular profile.
+  historyEnabled: true,
+  historyQuotaMB: 200,
+  historyIncognito: false,
+};
+
+const PREVIEW_DURATION_RANGE = { min: 1, max: 60 };
+const QUALITY_RANGE = { min: 1, max: 100 };
+const HISTORY_QUOTA_RANGE = { min: 10, max: 2000 };
+const READY_TIMEOUT_RANGE = { min: 1, max: 30 };
+const PRE_SCROLL_STEPS_RANGE = { min: 1, max: 200 };
+const PRE_SCROLL_HEIGHT_RANGE = { min: 1000, max: 200000 };
+const RESPONSIVE_WIDTH_RANGE = { min: 240, max: 3840 };
+const MAX_RESPONSIVE_WIDTHS = 8;
+// Responsive widths up to this are emulated as phones (mobile viewport
+// and user agent).
+const RESPONSIVE_MOBILE_MAX_WIDTH = 767;
+
+/**
+ * Properties `freezeViewportUnits()` pins → dataset key of the old value
+ * (its priority goes under the same key + "Priority").
+ */
+const FROZEN_VIEWPORT_PROPERTIES = {
+  height: "__screenshotFrozenHeight",
+  "min-height": "__screenshotFrozenMinHeight",
+  "max-height": "__screenshotFrozenMaxHeight",
+};
+
+/** Multi-line settings checked line by line → problem with a line, or null. */
+const SETTING_LINE_CHECKS = {
+  redactSelectors: (line) =>
+    isValidSelector(line) ? null : "is not a valid CSS selector",
+  redactPatterns: (line) =>
+    isValidPattern(line) ? null : "is not a valid regular expression",
+  anonymizeSelectors: (line) =>
+    isValidSelector(line) ? null : "is not a valid CSS selector",
+  hideRules: (line) => {
+    const [rule] = parseHideRules(line);
+    if (!rule) return "is not a rule (site, hide or remove, CSS selector)";
+    return isValidSelector(rule.selector) ? null : "has an invalid CSS selector";
+  },
+};
+
+function clampSetting(value, range, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number)
+    ? Math.min(Math.max(number, range.min), range.max)
+    : fallback;
+}
+
+/** Non-empty, trimmed lines of a multi-line text setting. */
+function settingLines(text) {
+  if (typeof text !== "string") return [];
+  return text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+}
+
+/** Whether a `redactPatterns` line is a valid regular expression. */
+function isValidPattern(pattern) {
+  try {
+    new RegExp(pattern, "gi");
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Validate stored settings. Unknown keys are dropped and invalid values
+ * (e.g. from an older version or a hand-edited sync store) fall back to
+ * the defaults, so callers can trust every field.
+ *
+ * @param {object} [raw]
+ * @returns {typeof DEFAULT_SETTINGS}
+ */
+function normalizeSettings(raw = {}) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const pick = (key, allowed) =>
+    allowed.includes(source[key]) ? source[key] : DEFAULT_SETTINGS[key];
+  const bool = (key) =>
+    typeof source[key] === "boolean" ? source[key] : DEFAULT_SETTINGS[key];
+
+  const template =
+    typeof source.filenameTemplate === "string"
+      ? source.filenameTemplate.trim()
+      : "";
+
+  return {
+    format: pick("format", IMAGE_FORMATS),
+    quality: Math.round(
+      clampSetting(source.quality, QUALITY_RANGE, DEFAULT_SETTINGS.quality)
+    ),
+    destination: pick("destination", DESTINATIONS),
+    filenameTemplate: template || DEFAULT_SETTINGS.filenameTemplate,
+    conflictAction: pick("conflictAction", CONFLICT_ACTIONS),
+    previewDuration: clampSetting(
+      source.previewDuration,
+      PREVIEW_DURATION_RANGE,
+      DEFAULT_SETTINGS.previewDuration
+    ),
+    previewPosition: pick("previewPosition", PREVIEW_POSITIONS),
+    dprPolicy: pick("dprPolicy", DPR_POLICIES),
+    fullPageEngine: pick("fullPageEngine", FULL_PAGE_ENGINES),
+    scrollContainers: pick("scrollContainers", SCROLL_CONTAINER_STRATEGIES),
+    waitForReady: bool("waitForReady"),
+    readyTimeout: clampSetting(
+      source.readyTimeout,
+      READY_TIMEOUT_RANGE,
+      DEFAULT_SETTINGS.readyTimeout
+    ),
+    readyNetworkIdle: bool("readyNetworkIdle"),
+    readySelector:
+      typeof source.readySelector === "string"
+        ? source.readySelector.trim()
+        : DEFAULT_SETTINGS.readySelector,
+    preScroll: bool("preScroll"),
+    preScrollMaxSteps: Math.round(
+      clampSetting(
+        source.preScrollMaxSteps,
+        PRE_SCROLL_STEPS_RANGE,
+        DEFAULT_SETTINGS.preScrollMaxSteps
+      )
+    ),
+    preScrollMaxHeight: Math.round(
+      clampSetting(
+        source.preScrollMaxHeight,
+        PRE_SCROLL_HEIGHT_RANGE,
+        DEFAULT_SETTINGS.preScrollMaxHeight
+      )
+    ),
+    deterministic: bool("deterministic"),
+    freezeTime: bool("freezeTime"),
+    colorScheme: pick("colorScheme", COLOR_SCHEMES),
+    reducedMotion: bool("reducedMotion"),
+    forcedColors: bool("forcedColors"),
+    printMedia: bool("printMedia"),
+    responsiveWidths: (
+      parseResponsiveWidths(source.responsiveWidths).join(", ") ||
+      DEFAULT_SETTINGS.responsiveWidths
+    ),
+    responsiveOutput: pick("responsiveOutput", RESPONSIVE_OUTPUTS),
+    devicePreset: pick("devicePreset", DEVICE_PRESET_IDS),
+    deviceReload: bool("deviceReload"),
+    redact: bool("redact"),
+    redactStyle: pick("redactStyle", REDACTION_STYLES),
+    redactPasswords: bool("redactPasswords"),
+    redactEmails: bool("redactEmails"),
+    redactCardNumbers: bool("redactCardNumbers"),
+    redactApiKeys: bool("redactApiKeys"),
+    redactSelectors: settingLines(source.redactSelectors).join("\n"),
+    // Patterns that aren't valid regular expressions are dropped.
+    redactPatterns: settingLines(source.redactPatterns)
+      .filter(isValidPattern)
+      .join("\n"),
+    anonymize: bool("anonymize"),
+    anonymizeSelectors: settingLines(source.anonymizeSelectors).join("\n"),
+    anonymizeImages: bool("anonymizeImages"),
+    // Lines that aren't valid rules are dropped.
+    hideRules: formatHideRules(parseHideRules(source.hideRules)),
+    historyEnabled: bool("historyEnabled"),
+    historyQuotaMB: Math.round(
+      clampSetting(
+        source.historyQuotaMB,
+        HISTORY_QUOTA_RANGE,
+        DEFAULT_SETTINGS.historyQuotaMB
+      )
+    ),
+    historyIncognito: bool("historyIncognito"),
+  };
+}
+
+/**
+ * Pick history entries to delete so the total size fits in `maxBytes`,
+ * least recently used first. The most recently used entry is always kept,
+ * even if it alone exceeds the quota.
+ *
+ * @param {{ id: number, size?: number, createdAt: number,
+ *           lastAccessedAt?: number }[]} entries
+ * @param {number} maxBytes
+ * @returns {number[]} ids to delete
+ */
+function selectHistoryEvictions(entries, maxBytes) {
+  const lastUsed = (entry) => entry.lastAccessedAt ?? entry.createdAt ?? 0;
+  const byAge = [...entries].sort((a, b) => lastUsed(a) - lastUsed(b));
+  let total = byAge.reduce((sum, entry) => sum + (entry.size || 0), 0);
+
+  const evicted = [];
+  for (const entry of byAge.slice(0, -1)) {
+    if (total <= maxBytes) break;
+    evicted.push(entry.id);
+    total -= entry.size || 0;
+  }
+  return evicted;
+}
+
+/**
+ * Case-insensitive history search: every whitespace-separated term must
+ * appear in the entry's host or title.
+ *
+ * @param {{ host?: string, title?: string }} entry
+ * @param {string} query
+ * @returns {boolean}
+ */
+function matchesHistoryQuery(entry, query) {
+  const haystack = `${entry.host || ""} ${entry.title || ""}`.toLowerCase();
+  return String(query || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((term) => haystack.includes(term));
+}
+
+/**
+ * Rectangle spanned by two points, with a non-negative width and height.
+ * With `bounds`, both points are first clamped to `0..bounds.width` and
+ * `0..bounds.height` (a captured pointer can be dragged past the canvas).
+ *
+ * @param {{ x: number, y: number }} a
+ * @param {{ x: number, y: number }} b
+ * @param {{ width: number, height: number }} [bounds]
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+function normalizeRect(a, b, bounds = null) {
+  if (bounds) {
+    const clamp = (point) => ({
+      x: Math.min(Math.max(point.x, 0), bounds.width),
+      y: Math.min(Math.max(point.y, 0), bounds.height),
+    });
+    a = clamp(a);
+    b = clamp(b);
+  }
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y),
+  };
+}
+
+/**
+ * The two outer corners of an arrow head pointing at `to`.
+ *
+ * @param {{ x: number, y: number }} from
+ * @param {{ x: number, y: number }} to
+ * @param {number} size length of the head's sides
+ * @returns {{ x: number, y: number }[]}
+ */
+function arrowHeadPoints(from, to, size) {
+  const angle = Math.atan2(to.y - from.y, to.x - from.x);
+  const spread = Math.PI / 7;
+  return [angle - spread, angle + spread].map((side) => ({
+    x: to.x - size * Math.cos(side),
+    y: to.y - size * Math.sin(side),
+  }));
+}
+
+/**
+ * Number for the next step marker: one past the highest one placed, so
+ * numbering continues after undoing or deleting markers in between.
+ *
+ * @param {{ type: string, number?: number }[]} annotations
+ * @returns {number}
+ */
+function nextStepNumber(annotations) {
+  return annotations.reduce(
+    (next, annotation) =>
+      annotation.type === "step" ? Math.max(next, annotation.number + 1) : next,
+    1
+  );
+}
+
+/**
+ * Undo/redo history for the annotation editor. States are stored as
+ * given, so callers push a fresh object for every change.
+ *
+ * @template T
+ * @param {T} initial
+ */
+function createEditHistory(initial) {
+  const past = [];
+  const future = [];
+  let current = initial;
+  return {
+    /** @returns {T} */
+    get current() {
+      return current;
+    },
+    get canUndo() {
+      return past.length > 0;
+    },
+    get canRedo() {
+      return future.length > 0;
+    },
+    /** Record a new state; anything undone before is dropped. */
+    push(state) {
+      past.push(current);
+      current = state;
+      future.length = 0;
+    },
+    undo() {
+      if (past.length > 0) {
+        future.push(current);
+        current = past.pop();
+      }
+      return current;
+    },
+    redo() {
+      if (future.length > 0) {
+        past.push(current);
+        current = future.pop();
+      }
+      return current;
+    },
+  };
+}
+
+function sanitizeFilenameSegment(segment) {
+  let clean = "";
+  for (const ch of segment) {
+    // Control characters and characters Windows/Chrome reject in names
+    clean += ch.charCodeAt(0) < 32 || '<>:"|?*~'.includes(ch) ? "_" : ch;
+  }
+  return clean
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^[.\s]+|[.\s]+$/g, "")
+    .slice(0, 120);
+}
+
+/**
+ * `Emulation.setEmulatedMedia` parameters for the emulated media settings
+ * (`colorScheme`, `reducedMotion`, `forcedColors`, `printMedia`).
+ *
+ * @param {typeof DEFAULT_SETTINGS} settings normalized settings
+ * @returns {{ media: string, features: { name: string, value: string }[] } | null}
+ *   null when nothing is emulated
+ */
+function emulatedMediaParams(settings) {
+  const features = [];
+  if (settings.colorScheme !== "page") {
+    features.push({ name: "prefers-color-scheme", value: settings.colorScheme });
+  }
+  if (settings.reducedMotion) {
+    features.push({ name: "prefers-reduced-motion", value: "reduce" });
+  }
+  if (settings.forcedColors) {
+    features.push({ name: "forced-colors", value: "active" });
+  }
+  if (features.length === 0 && !settings.printMedia) return null;
+  return { media: settings.printMedia ? "print" : "", features };
+}
+
+/**
+ * Parse a list of viewport widths ("375, 768 1280px"). Widths are clamped
+ * to RESPONSIVE_WIDTH_RANGE, deduplicated and sorted; anything that isn't
+ * a number is skipped and at most MAX_RESPONSIVE_WIDTHS are kept.
+ *
+ * @param {unknown} text
+ * @returns {number[]}
+ */
+function parseResponsiveWidths(text) {
+  if (typeof text !== "string") return [];
+  const widths = new Set();
+  for (const token of text.split(/[\s,;]+/)) {
+    const match = token.match(/^(\d+)(?:px)?$/i);
+    if (match) {
+      widths.add(clampSetting(match[1], RESPONSIVE_WIDTH_RANGE, 0));
+    }
+  }
+  return [...widths].sort((a, b) => a - b).slice(0, MAX_RESPONSIVE_WIDTHS);
+}
+
+/**
+ * Turn a desktop Chrome user agent into the Android phone equivalent of
+ * the same Chrome version. Mobile user agents are returned unchanged.
+ *
+ * @param {string} userAgent
+ * @returns {string}
+ */
+function mobileUserAgent(userAgent) {
+  if (/\bMobile\b/.test(userAgent)) return userAgent;
+  return userAgent
+    .replace(/\([^)]*\)/, "(Linux; Android 10; K)")
+    .replace(/ Safari\//, " Mobile Safari/");
+}
+
+/**
+ * Viewports of the responsive sheet, narrowest first. Phone widths get
+ * the mobile flag and a mobile variant of `userAgent`.
+ *
+ * @param {typeof DEFAULT_SETTINGS} settings normalized settings
+ * @param {string} [userAgent] the browser's own user agent
+ * @returns {{ width: number, mobile: boolean, userAgent: string | null }[]}
+ */
+function responsiveViewports(settings, userAgent = "") {
+  return parseResponsiveWidths(settings.responsiveWidths).map((width) => {
+    const mobile = width <= RESPONSIVE_MOBILE_MAX_WIDTH;
+    return {
+      width,
+      mobile,
+      userAgent: mobile && userAgent ? mobileUserAgent(userAgent) : null,
+    };
+  });
+}
+
+/**
+ * Viewport of the selected device preset, in the shape captureFullPage()
+ * takes (see responsiveViewports()), or null without a preset.
+ *
+ * @param {typeof DEFAULT_SETTINGS} settings normalized settings
+ * @param {string} [userAgent] the browser's own user agent, the base for
+ *   Android presets
+ * @returns {{ name: string, width: number, height: number,
+ *   deviceScaleFactor: number, mobile: true, touch: true,
+ *   userAgent: string | null, reload: boolean } | null}
+ */
+function deviceViewport(settings, userAgent = "") {
+  const preset = DEVICE_PRESETS[settings.devicePreset];
+  if (!preset) return null;
+  let deviceUserAgent;
+  if (preset.platform === "ios") {
+    deviceUserAgent = IOS_USER_AGENTS[preset.tablet ? "tablet" : "phone"];
+  } else if (userAgent) {
+    deviceUserAgent = mobileUserAgent(userAgent);
+    // Android tablets leave "Mobile" out.
+    if (preset.tablet) {
+      deviceUserAgent = deviceUserAgent.replace(" Mobile Safari/", " Safari/");
+    }
+  }
+  return {
+    name: preset.name,
+    width: preset.width,
+    height: preset.height,
+    deviceScaleFactor: preset.deviceScaleFactor,
+    mobile: true,
+    touch: true,
+    userAgent: deviceUserAgent ?? null,
+    reload: settings.deviceReload,
+  };
+}
+
+/**
+ * `redactPage()` options for the redaction settings.
+ *
+ * @param {typeof DEFAULT_SETTINGS} settings normalized settings
+ * @returns {{ style: string, passwords: boolean, selectors: string[],
+ *   patterns: string[] } | null} null when redaction is off
+ */
+function redactionOptions(settings) {
+  if (!settings.redact) return null;
+  const patterns = Object.keys(REDACTION_PATTERNS)
+    .filter((key) => settings[key])
+    .map((key) => REDACTION_PATTERNS[key]);
+  return {
+    style: settings.redactStyle,
+    passwords: settings.redactPasswords,
+    selectors: settingLines(settings.redactSelectors),
+    patterns: [...patterns, ...settingLines(settings.redactPatterns)],
+  };
+}
+
+/**
+ * `anonymizePage()` options for the anonymization settings.
+ *
+ * @param {typeof DEFAULT_SETTINGS} settings normalized settings
+ * @returns {{ selectors: string[], images: boolean } | null} null when
+ *   anonymization is off; no selectors means the whole page
+ */
+function anonymizationOptions(settings) {
+  if (!settings.anonymize) return null;
+  return {
+    selectors: settingLines(settings.anonymizeSelectors),
+    images: settings.anonymizeImages,
+  };
+}
+
+/**
+ * Parse the `hideRules` setting: one rule per line, `<host pattern>
+ * <hide|remove> <CSS selector>` (the selector may contain spaces). Lines
+ * that don't fit are dropped.
+ *
+ * @param {string} text
+ * @returns {{ host: string, mode: "hide" | "remove", selector: string }[]}
+ */
+function parseHideRules(text) {
+  const rules = [];
+  for (const line of settingLines(text)) {
+    const match = line.match(/^(\S+)\s+(\S+)\s+(.+)$/);
+    const mode = match?.[2].toLowerCase();
+    if (!HIDE_RULE_MODES.includes(mode)) continue;
+    rules.push({ host: match[1].toLowerCase(), mode, selector: match[3] });
+  }
+  return rules;
+}
+
+/** The `hideRules` setting for a list of rules. */
+function formatHideRules(rules) {
+  return rules.map((rule) => `${rule.host} ${rule.mode} ${rule.selector}`).join("\n");
+}
+
+/**
+ * Whether `host` matches a hide rule's host pattern. `*` matches any run
+ * of characters (`*` alone matches every site); a pattern without one
+ * also matches subdomains, so `example.com` covers `www.example.com`.
+ */
+function hostMatchesPattern(host, pattern) {
+  if (!host) return false;
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`, "i").test(host) ||
+    (!pattern.includes("*") && host.toLowerCase().endsWith(`.${pattern}`));
+}
+
+/**
+ * `applyHideRules()` options for the rules whose host pattern matches
+ * `host`.
+ *
+ * @param {typeof DEFAULT_SETTINGS} settings normalized settings
+ * @param {string} host page host name
+ * @returns {{ hide: string[], remove: string[] } | null} null when no
+ *   rule applies
+ */
+function hideRulesFor(settings, host) {
+  const rules = parseHideRules(settings.hideRules)
+    .filter((rule) => hostMatchesPattern(host, rule.host));
+  if (rules.length === 0) return null;
+  const selectors = (mode) =>
+    rules.filter((rule) => rule.mode === mode).map((rule) => rule.selector);
+  return { hide: selectors("hide"), remove: selectors("remove") };
+}
+
+/** The `hideRules` setting with `rule` added, unless it is already there. */
+function addHideRule(text, rule) {
+  const rules = parseHideRules(text);
+  const exists = rules.some((other) =>
+    other.host === rule.host && other.mode === rule.mode && other.selector === rule.selector
+  );
+  return formatHideRules(exists ? rules : [...rules, rule]);
+}
+
+/**
+ * Whether `selector` is a valid CSS selector. Without a DOM (the service
+ * worker) every selector passes; the page helpers skip invalid ones.
+ */
+function isValidSelector(selector) {
+  if (typeof document === "undefined") return true;
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * The first line of a multi-line setting that `normalizeSettings()` would
+ * drop or that can never match, so the options page can name it instead
+ * of saving without it.
+ *
+ * @param {string} key setting name, e.g. "redactPatterns"
+ * @param {string} text the field's text
+ * @returns {{ line: number, text: string, reason: string } | null} `line`
+ *   counts from 1, blank lines included; null when every line is valid
+ *   or `key` isn't checked
+ */
+function invalidSettingLine(key, text) {
+  const check = SETTING_LINE_CHECKS[key];
+  if (!check || typeof text !== "string") return null;
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const reason = line ? check(line) : null;
+    if (reason) return { line: i + 1, text: line, reason };
+  }
+  return null;
+}
+
+/**
+ * Expand a filename template into a relative download path.
+ *
+ * Unknown tokens are left as-is. Slashes inside token values (e.g. a title
+ * like "Issues / PR #12") become `_`, so only the template itself creates
+ * subfolders. Each path segment is sanitized, empty and `.`/`..` segments
+ * are dropped, and `extension` is appended (replacing the same extension
+ * if the template already ends with it).
+ *
+ * @param {string} template e.g. "Screenshots/{host}/{date}_{time}"
+ * @param {{ host?: string, title?: string, mode?: string,
+ *           width?: number, height?: number, date?: Date }} fields
+ * @param {string} [extension]
+ * @returns {string}
+ */
+function formatFilename(template, fields = {}, extension = "png") {
+  // Duck-typed so Dates from another realm (tests, frames) are accepted.
+  const now = typeof fields.date?.getFullYear === "function" ? fields.date : new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  const values = {
+    host: fields.host || "page",
+    title: fields.title || "untitled",
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`,
+    mode: fields.mode || "screenshot",
+    width: fields.width ?? 0,
+    height: fields.height ?? 0,
+  };
+
+  const filled = String(template || "").replace(/\{(\w+)\}/g, (match, token) =>
+    Object.prototype.hasOwnProperty.call(values, token)
+      ? String(values[token]).replace(/[\\/]/g, "_")
+      : match
+  );
+
+  const segments = filled
+    .split(/[\\/]+/)
+    .map(sanitizeFilenameSegment)
+    .filter((segment) => segment && segment !== "." && segment !== "..");
+  if (segments.length === 0) segments.push("screenshot");
+
+  const last = segments.length - 1;
+  const suffix = `.${extension}`;
+  if (segments[last].toLowerCase().endsWith(suffix)) {
+    segments[last] = segments[last].slice(0, -suffix.length) || "screenshot";
+  }
+  segments[last] += suffix;
+  return segments.join("/");
+}
+
+/**
+ * Like `document.querySelectorAll(selector)`, but also searches open shadow
+ * roots and the documents of same-origin iframes, so web components and
+ * embedded apps are seen too. Closed shadow roots and cross-origin frames
+ * stay invisible.
+ *
+ * @param {string} selector
+ * @param {Document|ShadowRoot} [root]
+ * @param {Element[]} [found] accumulator for the recursion
+ * @returns {Element[]}
+ */
+function querySelectorAllDeep(selector, root = document, found = []) {
+  for (const el of root.querySelectorAll("*")) {
+    if (el.matches(selector)) found.push(el);
+    if (el.shadowRoot) querySelectorAllDeep(selector, el.shadowRoot, found);
+    if (el.tagName === "IFRAME" || el.tagName === "FRAME") {
+      let doc = null;
+      try {
+        doc = el.contentDocument;
+      } catch (_) {
+        // Cross-origin — not traversable.
+      }
+      if (doc) querySelectorAllDeep(selector, doc, found);
+    }
+  }
+  return found;
+}
+
+/**
+ * Parent element of `el` across shadow and frame boundaries: the shadow
+ * host for top-level nodes of a shadow root, the `<iframe>` element for the
+ * root element of a frame document.
+ *
+ * @param {Element} el
+ * @returns {Element|null}
+ */
+function composedParentElement(el) {
+  if (el.parentElement) return el.parentElement;
+  if (el.parentNode?.host) return el.parentNode.host;
+  return el.ownerDocument.defaultView?.frameElement ?? null;
+}
+
 /**
  * Measure the full page dimensions, handling pages that scroll inside a
  * nested container (e.g. SPAs with `overflow: hidden` on the body).
+ * Containers inside open shadow roots and same-origin iframes count too.
  *
  * When a nested scroll container is found it is temporarily expanded so the
- * browser lays out all the content. Call `restoreExpandedContainers()` after
- * taking the screenshot to undo the changes.
+ * browser lays out all the content. Horizontally scrolling containers (wide
+ * tables, Gantt charts) are expanded too, so `width` covers their content.
+ * Call `restoreExpandedContainers()` after taking the screenshot to undo
+ * the changes.
  *
+ * @param {{ scrollContainers?: "largest" | "all" }} [options]
+ *   `scrollContainers` (see SCROLL_CONTAINER_STRATEGIES): expand only the
+ *   tallest nested scroll container (default) or every sizeable one.
  * @returns {{ width: number, height: number }}
  */
-function measurePageDimensions() {
+function measurePageDimensions(options = {}) {
   // Guard against pages without a body (framesets, edge cases)
   if (!document.body) {
     return {
@@ -35,6 +886,10 @@ function measurePageDimensions() {
     };
   }
 
+  // Resolve vh-sized elements at the real viewport size before the
+  // viewport is stretched to the page height.
+  freezeViewportUnits();
+
   // Standard document-level dimensions
   let w = Math.max(
     document.documentElement.scrollWidth,
@@ -45,9 +900,16 @@ function measurePageDimensions() {
     document.body.scrollHeight
   );
 
-  // Look for a nested scroll container that is taller than the viewport
+  // Look for a nested scroll container that is taller than the viewport.
+  // With `scrollContainers: "all"` every scroll container of at least
+  // MIN_PANE_SIZE px in both directions is expanded instead, so each pane
+  // of a split-pane app (mail client, IDE, chat sidebar) shows in full.
+  const expandAll = options.scrollContainers === "all";
+  const MIN_PANE_SIZE = 100;
   let scrollContainer = null;
-  const els = document.querySelectorAll("*");
+  const scrollContainers = [];
+  const frames = new Set();
+  const els = querySelectorAllDeep("*");
   for (const el of els) {
     if (el.scrollHeight > el.clientHeight + 10) {
       const s = getComputedStyle(el);
@@ -56,7 +918,14 @@ function measurePageDimensions() {
         s.overflowY === "scroll" ||
         s.overflowY === "overlay"
       ) {
-        if (el.scrollHeight > h) {
+        if (
+          expandAll &&
+          el.clientHeight >= MIN_PANE_SIZE &&
+          el.clientWidth >= MIN_PANE_SIZE
+        ) {
+          scrollContainers.push(el);
+          w = Math.max(w, el.scrollWidth);
+        } else if (!expandAll && el.scrollHeight > h) {
           h = el.scrollHeight;
           w = Math.max(w, el.scrollWidth);
           scrollContainer = el;
@@ -64,31 +933,47 @@ function measurePageDimensions() {
       }
     }
   }
+  if (scrollContainer) {
+    scrollContainers.push(scrollContainer);
+  }
 
-  // If we found a nested scroll container, expand it so the browser
+  // If we found nested scroll containers, expand them so the browser
   // renders all content for the screenshot.
-  if (scrollContainer) {
+  for (const container of scrollContainers) {
     // Scroll to top so all content is captured from the beginning
-    scrollContainer.scrollTop = 0;
-
-    scrollContainer.dataset.__screenshotOldOverflow =
-      scrollContainer.style.overflow;
-    scrollContainer.dataset.__screenshotOldHeight =
-      scrollContainer.style.height;
-    scrollContainer.dataset.__screenshotOldMaxHeight =
-      scrollContainer.style.maxHeight;
+    container.scrollTop = 0;
+
+    container.dataset.__screenshotOldOverflow = container.style.overflow;
+    container.dataset.__screenshotOldHeight = container.style.height;
+    container.dataset.__screenshotOldMaxHeight = container.style.maxHeight;
     // Use !important to override framework/Tailwind rules that may
     // also use !important on overflow, height, etc.
-    scrollContainer.style.setProperty("overflow", "visible", "important");
-    scrollContainer.style.setProperty("height", "auto", "important");
-    scrollContainer.style.setProperty("max-height", "none", "important");
-    scrollContainer.classList.add("__screenshot-expanded__");
+    container.style.setProperty("overflow", "visible", "important");
+    container.style.setProperty("height", "auto", "important");
+    container.style.setProperty("max-height", "none", "important");
+    container.classList.add("__screenshot-expanded__");
+
+    // Panes pinned with top+bottom (absolute/fixed) would keep their
+    // height despite height:auto and overlap what follows them.
+    const cs = getComputedStyle(container);
+    if (expandAll && (cs.position === "fixed" || cs.position === "absolute")) {
+      container.dataset.__screenshotOldBottom = container.style.bottom;
+      container.style.setProperty("bottom", "auto", "important");
+    }
 
-    // Also expand ancestors that might clip the container
-    let parent = scrollContainer.parentElement;
+    // Also expand ancestors that might clip the container, crossing
+    // shadow hosts and frames up to the top document. Ancestors shared
+    // with an earlier pane are already visible and skipped.
+    let parent = composedParentElement(container);
     while (parent && parent !== document.documentElement) {
+      if (parent.tagName === "IFRAME" || parent.tagName === "FRAME") {
+        frames.add(parent);
+      }
       const ps = getComputedStyle(parent);
-      if (ps.overflow === "hidden" || ps.overflowY === "hidden") {
+      if (
+        parent !== parent.ownerDocument.documentElement &&
+        (ps.overflow === "hidden" || ps.overflowY === "hidden")
+      ) {
         parent.dataset.__screenshotOldOverflow = parent.style.overflow;
         parent.dataset.__screenshotOldHeight = parent.style.height;
         parent.dataset.__screenshotOldMaxHeight = parent.style.maxHeight;
@@ -103,9 +988,47 @@ function measurePageDimensions() {
         }
         parent.classList.add("__screenshot-expanded__");
       }
-      parent = parent.parentElement;
+      parent = composedParentElement(parent);
     }
+  }
+
+  // A frame keeps its own height however tall its document grows, so
+  // stretch each frame around an expanded container to its content —
+  // innermost first, so outer frames measure the already grown inner ones.
+  const frameDepth = (el) => {
+    let depth = 0;
+    for (let f = el; f; f = f.ownerDocument.defaultView?.frameElement) depth++;
+    return depth;
+  };
+  for (const frame of [...frames].sort((a, b) => frameDepth(b) - frameDepth(a))) {
+    const doc = frame.contentDocument;
+    if (!frame.classList.contains("__screenshot-expanded__")) {
+      frame.dataset.__screenshotOldOverflow = frame.style.overflow;
+      frame.dataset.__screenshotOldHeight = frame.style.height;
+      frame.dataset.__screenshotOldMaxHeight = frame.style.maxHeight;
+      frame.classList.add("__screenshot-expanded__");
+    }
+    const contentHeight = Math.max(
+      doc.documentElement.scrollHeight,
+      doc.body?.scrollHeight ?? 0
+    );
+    frame.style.setProperty("height", contentHeight + "px", "important");
+    frame.style.setProperty("max-height", "none", "important");
+  }
+
+  // Horizontal containers go before the final height measurement: one
+  // that also scrolls vertically has its height released and grows the
+  // page.
+  const contentRight = expandHorizontalScrollContainers();
+  if (contentRight > 0) {
+    h = Math.max(
+      h,
+      document.documentElement.scrollHeight,
+      document.body.scrollHeight
+    );
+  }
 
+  if (scrollContainers.length > 0) {
     // Convert ALL position:fixed and position:sticky elements on the page
     // to position:absolute / position:relative respectively.
     //
@@ -117,8 +1040,9 @@ function measurePageDimensions() {
     // normal full-page screenshot on a long page.
     //
     // Sticky elements are converted to relative because they can re-stick
-    // at wrong positions when the viewport is stretched.
-    document.querySelectorAll("*").forEach((el) => {
+    // at wrong positions when the viewport is stretched. Same inside shadow
+    // roots and stretched frames.
+    querySelectorAllDeep("*").forEach((el) => {
       const pos = getComputedStyle(el).position;
       if (pos === "fixed") {
         el.dataset.__screenshotOldPosition = el.style.position;
@@ -132,13 +1056,22 @@ function measurePageDimensions() {
     });
 
     // Re-measure after expanding. Use getBoundingClientRect() on the
-    // expanded container as well, because position:absolute elements
+    // expanded containers as well, because position:absolute elements
     // (converted from fixed) don't contribute to document.scrollHeight.
-    const expandedRect = scrollContainer.getBoundingClientRect();
+    // Containers inside frames are measured by their outermost frame,
+    // whose rect is in top-document coordinates.
+    const topLevel = (el) => {
+      while (el.ownerDocument !== document) {
+        el = el.ownerDocument.defaultView.frameElement;
+      }
+      return el;
+    };
     h = Math.max(
       document.documentElement.scrollHeight,
       document.body.scrollHeight,
-      Math.ceil(expandedRect.bottom + window.scrollY)
+      ...scrollContainers.map((container) =>
+        Math.ceil(topLevel(container).getBoundingClientRect().bottom + window.scrollY)
+      )
     );
     w = Math.max(
       document.documentElement.scrollWidth,
@@ -171,11 +1104,171 @@ function measurePageDimensions() {
     );
   }
 
+  w = Math.max(w, contentRight);
+
   return { width: w, height: h };
 }
 
 /**
- * Undo the DOM changes made by `measurePageDimensions()`.
+ * Let horizontally scrolling containers (`overflowX: auto|scroll`) and
+ * ancestors that clip them overflow visibly, marked with
+ * `__screenshot-expanded-x__` and restored like vertical containers.
+ * Containers that also scroll vertically get their height released too.
+ * Open shadow roots and same-origin frames are searched as well; a frame
+ * keeps its width, so content inside one ends at the frame's edge.
+ * Used by `measurePageDimensions()`.
+ *
+ * @returns {number} right edge of the widest content, in document px
+ */
+function expandHorizontalScrollContainers() {
+  const markers = ".__screenshot-expanded__, .__screenshot-expanded-x__";
+  const expand = (el) => {
+    el.dataset.__screenshotOldOverflow = el.style.overflow;
+    el.style.setProperty("overflow", "visible", "important");
+    el.classList.add("__screenshot-expanded-x__");
+  };
+
+  let right = 0;
+  const els = querySelectorAllDeep("*");
+  for (const el of els) {
+    if (
+      el === el.ownerDocument.documentElement ||
+      el === el.ownerDocument.body ||
+      el.scrollWidth <= el.clientWidth + 10 ||
+      el.matches(markers)
+    ) {
+      continue;
+    }
+    const s = getComputedStyle(el);
+    if (
+      s.overflowX !== "auto" &&
+      s.overflowX !== "scroll" &&
+      s.overflowX !== "overlay"
+    ) {
+      continue;
+    }
+
+    let edge = el.getBoundingClientRect().left + el.scrollWidth;
+    for (let doc = el.ownerDocument; doc !== document; ) {
+      const frame = doc.defaultView.frameElement;
+      const frameRect = frame.getBoundingClientRect();
+      edge = Math.min(frameRect.left + frame.clientLeft + edge, frameRect.right);
+      doc = frame.ownerDocument;
+    }
+    right = Math.max(right, Math.ceil(edge + window.scrollX));
+
+    // `overflow-x: visible` alone would compute to `auto` next to a
+    // scrolling y axis, so both axes are released.
+    expand(el);
+    if (el.scrollHeight > el.clientHeight + 10) {
+      el.dataset.__screenshotOldHeight = el.style.height;
+      el.dataset.__screenshotOldMaxHeight = el.style.maxHeight;
+      el.style.setProperty("height", "auto", "important");
+      el.style.setProperty("max-height", "none", "important");
+    }
+
+    let parent = composedParentElement(el);
+    while (parent && parent !== document.documentElement) {
+      const ps = getComputedStyle(parent);
+      if (
+        (ps.overflowX === "hidden" || ps.overflowX === "clip") &&
+        parent !== parent.ownerDocument.documentElement &&
+        !parent.matches(markers)
+      ) {
+        expand(parent);
+      }
+      parent = composedParentElement(parent);
+    }
+  }
+
+  if (right > 0) {
+    right = Math.max(
+      right,
+      document.documentElement.scrollWidth,
+      document.body.scrollWidth
+    );
+  }
+  return right;
+}
+
+/**
+ * Pin heights given in viewport units (`vh`, `dvh`, `svh`, `lvh`, `vb`,
+ * `vmin`, `vmax`) to their current pixel value, so stretching the viewport
+ * for a full-page capture doesn't blow `min-height: 100vh` heroes and
+ * splash screens up to the whole page height. Reads inline styles and the
+ * rules of readable stylesheets (skipping `@media` blocks that don't match)
+ * in the document, open shadow roots and same-origin frames. Pinned
+ * elements are marked `__screenshot-frozen-vh__` and reverted by
+ * `restoreExpandedContainers()`. Used by `measurePageDimensions()`.
+ *
+ * @returns {number} number of elements pinned
+ */
+function freezeViewportUnits() {
+  const unit = /\d(?:[dsl]?v[hb]|vmin|vmax)\b/i;
+  const pins = new Map();
+  const pin = (el, style) => {
+    for (const prop of Object.keys(FROZEN_VIEWPORT_PROPERTIES)) {
+      if (unit.test(style.getPropertyValue(prop))) {
+        if (!pins.has(el)) pins.set(el, new Set());
+        pins.get(el).add(prop);
+      }
+    }
+  };
+
+  const visitRules = (rules, root, win) => {
+    for (const rule of rules) {
+      if (rule.media && win.matchMedia?.(rule.media.mediaText).matches === false) {
+        continue;
+      }
+      if (rule.selectorText && rule.style && unit.test(rule.style.cssText)) {
+        let matches = [];
+        try {
+          matches = root.querySelectorAll(rule.selectorText);
+        } catch (_) {
+          // Nested (`&`) or unsupported selector.
+        }
+        for (const el of matches) pin(el, rule.style);
+      }
+      if (rule.cssRules) visitRules(rule.cssRules, root, win);
+    }
+  };
+
+  const els = querySelectorAllDeep("*");
+  for (const root of new Set(els.map((el) => el.getRootNode()))) {
+    const win = (root.ownerDocument ?? root).defaultView;
+    const sheets = [...(root.styleSheets ?? []), ...(root.adoptedStyleSheets ?? [])];
+    for (const sheet of sheets) {
+      let rules;
+      try {
+        rules = sheet.cssRules;
+      } catch (_) {
+        continue; // Cross-origin stylesheet.
+      }
+      visitRules(rules, root, win);
+    }
+  }
+  for (const el of els) {
+    if (el.style && unit.test(el.getAttribute("style") ?? "")) pin(el, el.style);
+  }
+
+  for (const [el, pinned] of pins) {
+    const cs = getComputedStyle(el);
+    for (const prop of pinned) {
+      const value = cs.getPropertyValue(prop);
+      if (!value.endsWith("px")) continue; // Not rendered, or `none`.
+      const key = FROZEN_VIEWPORT_PROPERTIES[prop];
+      el.dataset[key] = el.style.getPropertyValue(prop);
+      el.dataset[`${key}Priority`] = el.style.getPropertyPriority(prop);
+      el.style.setProperty(prop, value, "important");
+      el.classList.add("__screenshot-frozen-vh__");
+    }
+  }
+  return pins.size;
+}
+
+/**
+ * Undo the DOM changes made by `measurePageDimensions()`, including those
+ * inside open shadow roots and same-origin frames.
  * Also removes the scrollbar-hiding style element if present.
  */
 function restoreExpandedContainers() {
@@ -195,23 +1288,32 @@ function restoreExpandedContainers() {
   // Restore position on overlays/sticky elements that were repositioned.
   // Use removeProperty first to clear any !important flag, then re-set
   // the original value.
-  document.querySelectorAll(".__screenshot-repositioned__").forEach((el) => {
+  querySelectorAllDeep(".__screenshot-repositioned__").forEach((el) => {
     const old = el.dataset.__screenshotOldPosition || "";
     el.style.removeProperty("position");
     if (old) el.style.position = old;
     delete el.dataset.__screenshotOldPosition;
     el.classList.remove("__screenshot-repositioned__");
   });
-  document.querySelectorAll(".__screenshot-expanded__").forEach((el) => {
+  const expanded = ".__screenshot-expanded__, .__screenshot-expanded-x__";
+  querySelectorAllDeep(expanded).forEach((el) => {
     const oldOverflow = el.dataset.__screenshotOldOverflow || "";
-    const oldHeight = el.dataset.__screenshotOldHeight || "";
-    const oldMaxHeight = el.dataset.__screenshotOldMaxHeight || "";
     el.style.removeProperty("overflow");
-    el.style.removeProperty("height");
-    el.style.removeProperty("max-height");
     if (oldOverflow) el.style.overflow = oldOverflow;
-    if (oldHeight) el.style.height = oldHeight;
-    if (oldMaxHeight) el.style.maxHeight = oldMaxHeight;
+    // Horizontal expansions only release the height of containers that
+    // also scroll vertically; otherwise nothing was stored for it.
+    if (el.dataset.__screenshotOldHeight !== undefined) {
+      el.style.removeProperty("height");
+      if (el.dataset.__screenshotOldHeight) {
+        el.style.height = el.dataset.__screenshotOldHeight;
+      }
+    }
+    if (el.dataset.__screenshotOldMaxHeight !== undefined) {
+      el.style.removeProperty("max-height");
+      if (el.dataset.__screenshotOldMaxHeight) {
+        el.style.maxHeight = el.dataset.__screenshotOldMaxHeight;
+      }
+    }
     if (el.dataset.__screenshotOldBottom !== undefined) {
       el.style.removeProperty("bottom");
       if (el.dataset.__screenshotOldBottom) {
@@ -222,16 +1324,865 @@ function restoreExpandedContainers() {
     delete el.dataset.__screenshotOldOverflow;
     delete el.dataset.__screenshotOldHeight;
     delete el.dataset.__screenshotOldMaxHeight;
-    el.classList.remove("__screenshot-expanded__");
+    el.classList.remove("__screenshot-expanded__", "__screenshot-expanded-x__");
+  });
+
+  // Viewport-unit pins go last: an expanded element may have stored its
+  // pinned height as the "old" one above.
+  querySelectorAllDeep(".__screenshot-frozen-vh__").forEach((el) => {
+    for (const [prop, key] of Object.entries(FROZEN_VIEWPORT_PROPERTIES)) {
+      if (el.dataset[key] === undefined) continue;
+      el.style.removeProperty(prop);
+      if (el.dataset[key]) {
+        el.style.setProperty(prop, el.dataset[key], el.dataset[`${key}Priority`] || "");
+      }
+      delete el.dataset[key];
+      delete el.dataset[`${key}Priority`];
+    }
+    el.classList.remove("__screenshot-frozen-vh__");
+  });
+}
+
+/**
+ * Scroll through the page before it is measured, so content that loads on
+ * intersection (lazy images, infinite feeds) is rendered. Steps the
+ * document — or the tallest nested scroll container, chosen as in
+ * `beginScrollCapture()` — down one viewport at a time and gives new
+ * content `options.settleMs` to arrive after each step. Stops at the
+ * bottom, after `options.maxSteps` steps or once the content is
+ * `options.maxHeight` px tall, then scrolls back to the top.
+ * `restorePreScroll()` returns to the original position after the capture.
+ *
+ * @param {{ maxSteps?: number, maxHeight?: number, settleMs?: number }} [options]
+ * @returns {Promise<{ steps: number, scrollHeight: number, capped: boolean }>}
+ *   `capped` is set when a limit ended the pass before the bottom.
+ */
+async function preScrollPage(options = {}) {
+  const maxSteps = options.maxSteps ?? 30;
+  const maxHeight = options.maxHeight ?? 30000;
+  const settleMs = options.settleMs ?? 300;
+  const root = document.scrollingElement || document.documentElement;
+  const heightOf = (el) =>
+    el === root
+      ? Math.max(root.scrollHeight, document.body?.scrollHeight || 0)
+      : el.scrollHeight;
+
+  let target = root;
+  for (const el of querySelectorAllDeep("*")) {
+    if (el === root || el.scrollHeight <= el.clientHeight + 10) continue;
+    const s = getComputedStyle(el);
+    if (
+      (s.overflowY === "auto" || s.overflowY === "scroll" || s.overflowY === "overlay") &&
+      el.scrollHeight > heightOf(target)
+    ) {
+      target = el;
+    }
+  }
+
+  const scroller = target === root ? window : target;
+  const top = () => (target === root ? window.scrollY : target.scrollTop);
+  const left = target === root ? window.scrollX : target.scrollLeft;
+  window.__screenshotPreScroll = { target, top: top(), left };
+  const viewportHeight = target === root ? window.innerHeight : target.clientHeight;
+
+  let steps = 0;
+  let capped = false;
+  // At the bottom after the settle time means nothing new arrived.
+  while (top() + viewportHeight < heightOf(target) - 1) {
+    if (steps >= maxSteps || heightOf(target) >= maxHeight) {
+      capped = true;
+      break;
+    }
+    // "instant" overrides `scroll-behavior: smooth`.
+    scroller.scrollTo({ left, top: top() + viewportHeight, behavior: "instant" });
+    steps++;
+    await new Promise((resolve) => setTimeout(resolve, settleMs));
+  }
+
+  scroller.scrollTo({ left, top: 0, behavior: "instant" });
+  await new Promise((resolve) =>
+    requestAnimationFrame(() => requestAnimationFrame(resolve))
+  );
+  return { steps, scrollHeight: heightOf(target), capped };
+}
+
+/** Return to the scroll position `preScrollPage()` started from. */
+function restorePreScroll() {
+  const state = window.__screenshotPreScroll;
+  if (!state) return;
+  const root = document.scrollingElement || document.documentElement;
+  const scroller = state.target === root ? window : state.target;
+  scroller.scrollTo({ left: state.left, top: state.top, behavior: "instant" });
+  delete window.__screenshotPreScroll;
+}
+
+/**
+ * Hold still what pausing animations over CDP doesn't cover, for
+ * deterministic captures: text carets and focus rings are hidden (in the
+ * document, open shadow roots and same-origin frames) and every `<video>`
+ * is paused on its first frame. Undo with `resumePageMotion()`.
+ *
+ * @returns {Promise<number>} number of videos paused
+ */
+async function pausePageMotion() {
+  const addStyle = (parent) => {
+    const style = (parent.ownerDocument ?? parent).createElement("style");
+    style.id = "__screenshot-deterministic__";
+    style.textContent =
+      "*, *::before, *::after { caret-color: transparent !important } " +
+      ":focus, :focus-visible { outline: none !important }";
+    parent.appendChild(style);
+  };
+  // Styles don't cross shadow or frame boundaries, so each open shadow
+  // root and same-origin frame document gets its own copy.
+  addStyle(document.documentElement);
+  for (const el of querySelectorAllDeep("*")) {
+    if (el.shadowRoot) addStyle(el.shadowRoot);
+    if (el.tagName === "IFRAME" || el.tagName === "FRAME") {
+      let doc = null;
+      try {
+        doc = el.contentDocument;
+      } catch (_) {
+        // Cross-origin — not reachable.
+      }
+      if (doc?.documentElement) addStyle(doc.documentElement);
+    }
+  }
+
+  const videos = querySelectorAllDeep("video");
+  await Promise.all(
+    videos.map((video) => {
+      video.dataset.__screenshotVideoTime = String(video.currentTime);
+      video.dataset.__screenshotVideoPaused = String(video.paused);
+      video.classList.add("__screenshot-paused-video__");
+      video.pause();
+      if (video.currentTime === 0) return undefined;
+      return new Promise((resolve) => {
+        video.addEventListener("seeked", resolve, { once: true });
+        // Streams that can't seek never fire "seeked".
+        setTimeout(resolve, 1000);
+        video.currentTime = 0;
+      });
+    })
+  );
+  return videos.length;
+}
+
+/** Undo `pausePageMotion()`: show carets again and resume the videos. */
+function resumePageMotion() {
+  querySelectorAllDeep("#__screenshot-deterministic__").forEach((style) => style.remove());
+  querySelectorAllDeep(".__screenshot-paused-video__").forEach((video) => {
+    video.currentTime = Number(video.dataset.__screenshotVideoTime) || 0;
+    if (video.dataset.__screenshotVideoPaused === "false") {
+      video.play().catch(() => {});
+    }
+    delete video.dataset.__screenshotVideoTime;
+    delete video.dataset.__screenshotVideoPaused;
+    video.classList.remove("__screenshot-paused-video__");
   });
 }
 
+/**
+ * Wait until the page looks finished before a full-page capture: web fonts
+ * loaded, images in the viewport decoded (after the viewport override that
+ * is the whole page, so lazy images have started loading) and, with
+ * `options.selector`, an element matching it present. Gives up after
+ * `options.timeoutMs`; broken images count as done.
+ *
+ * @param {{ selector?: string, timeoutMs?: number }} [options]
+ * @returns {Promise<{ pending: string[], invalidSelector: boolean }>}
+ *   `pending` lists what was still outstanding at the timeout ("fonts",
+ *   "images", "selector"); `invalidSelector` is set when the selector
+ *   isn't valid CSS, in which case it isn't waited for.
+ */
+async function waitForPageReady(options = {}) {
+  let timer = null;
+  const expired = new Promise((resolve) => {
+    timer = setTimeout(resolve, options.timeoutMs ?? 5000, false);
+  });
+  const settle = (promise) =>
+    Promise.race([promise.then(() => true, () => true), expired]);
+
+  const images = querySelectorAllDeep("img").filter((img) => {
+    const rect = img.getBoundingClientRect();
+    const view = img.ownerDocument.defaultView;
+    return (
+      rect.width > 0 &&
+      rect.height > 0 &&
+      rect.bottom > 0 &&
+      rect.top < view.innerHeight
+    );
+  });
+  const waits = {
+    fonts: document.fonts ? document.fonts.ready : Promise.resolve(),
+    images: Promise.all(images.map((img) => img.decode().catch(() => {}))),
+  };
+
+  let invalidSelector = false;
+  let observer = null;
+  if (options.selector) {
+    try {
+      document.querySelector(options.selector);
+      waits.selector = new Promise((resolve) => {
+        const found = () => document.querySelector(options.selector) !== null;
+        if (found()) {
+          resolve();
+          return;
+        }
+        observer = new MutationObserver(() => {
+          if (found()) resolve();
+        });
+        observer.observe(document, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+        });
+      });
+    } catch (_) {
+      invalidSelector = true;
+    }
+  }
+
+  const names = Object.keys(waits);
+  const done = await Promise.all(Object.values(waits).map(settle));
+  clearTimeout(timer);
+  observer?.disconnect();
+  return {
+    pending: names.filter((_, i) => !done[i]),
+    invalidSelector,
+  };
+}
+
+/**
+ * Prepare a scroll-and-stitch capture: pick the element to scroll — the
+ * document, or a nested scroll container taller than it (chosen like in
+ * `measurePageDimensions()`) — remember its scroll position and hide
+ * scrollbars. Undo with `endScrollCapture()`.
+ *
+ * Runs via `chrome.scripting.executeScript`, so it must be self-contained.
+ *
+ * @returns {{ viewportWidth: number, viewportHeight: number,
+ *             scrollHeight: number,
+ *             area: { x: number, y: number, width: number, height: number } }}
+ *   `area` is the viewport rect (CSS px) the scrolled content shows in.
+ */
+function beginScrollCapture() {
+  const root = document.scrollingElement || document.documentElement;
+
+  const style = document.createElement("style");
+  style.id = "__screenshot-hide-scrollbars__";
+  style.textContent =
+    "*::-webkit-scrollbar { display: none !important } " +
+    "* { scrollbar-width: none !important }";
+  document.documentElement.appendChild(style);
+
+  let target = root;
+  let scrollHeight = Math.max(root.scrollHeight, document.body?.scrollHeight || 0);
+  for (const el of document.querySelectorAll("*")) {
+    if (el === root || el.scrollHeight <= el.clientHeight + 10) continue;
+    const s = getComputedStyle(el);
+    if (
+      (s.overflowY === "auto" || s.overflowY === "scroll" || s.overflowY === "overlay") &&
+      el.scrollHeight > scrollHeight
+    ) {
+      target = el;
+      scrollHeight = el.scrollHeight;
+    }
+  }
+
+  window.__screenshotScrollCapture = {
+    target,
+    top: target === root ? window.scrollY : target.scrollTop,
+    left: target === root ? window.scrollX : target.scrollLeft,
+  };
+
+  const viewportWidth = window.innerWidth;
+  const viewportHeight = window.innerHeight;
+  let area = { x: 0, y: 0, width: viewportWidth, height: viewportHeight };
+  if (target !== root) {
+    // The container's content box, clamped to the viewport.
+    const r = target.getBoundingClientRect();
+    const x = Math.max(0, r.left + target.clientLeft);
+    const y = Math.max(0, r.top + target.clientTop);
+    area = {
+      x,
+      y,
+      width: Math.min(target.clientWidth, viewportWidth - x),
+      height: Math.min(target.clientHeight, viewportHeight - y),
+    };
+  }
+
+  return { viewportWidth, viewportHeight, scrollHeight, area };
+}
+
+/**
+ * Scroll the element chosen by `beginScrollCapture()` to `y` and wait for
+ * the next frame to be painted.
+ *
+ * @param {number} y
+ * @returns {Promise<number>} the scroll position actually reached
+ */
+async function scrollCaptureTo(y) {
+  const { target } = window.__screenshotScrollCapture;
+  const root = document.scrollingElement || document.documentElement;
+  // "instant" overrides `scroll-behavior: smooth`.
+  if (target === root) {
+    window.scrollTo({ left: 0, top: y, behavior: "instant" });
+  } else {
+    target.scrollTo({ left: 0, top: y, behavior: "instant" });
+  }
+  await new Promise((resolve) =>
+    requestAnimationFrame(() => requestAnimationFrame(resolve))
+  );
+  return target === root ? window.scrollY : target.scrollTop;
+}
+
+/**
+ * Hide fixed and sticky elements so headers, cookie bars etc. appear only
+ * in the first slice instead of repeating in every one. Elements that
+ * contain the scrolled container (e.g. a fixed modal) stay visible.
+ */
+function hideFixedForScrollCapture() {
+  const { target } = window.__screenshotScrollCapture;
+  document.querySelectorAll("*").forEach((el) => {
+    const pos = getComputedStyle(el).position;
+    if ((pos === "fixed" || pos === "sticky") && !el.contains(target)) {
+      el.dataset.__screenshotOldVisibility = el.style.visibility;
+      el.style.setProperty("visibility", "hidden", "important");
+      el.classList.add("__screenshot-hidden-fixed__");
+    }
+  });
+}
+
+/** Undo `beginScrollCapture()` and `hideFixedForScrollCapture()`. */
+function endScrollCapture() {
+  document.getElementById("__screenshot-hide-scrollbars__")?.remove();
+
+  document.querySelectorAll(".__screenshot-hidden-fixed__").forEach((el) => {
+    const old = el.dataset.__screenshotOldVisibility || "";
+    el.style.removeProperty("visibility");
+    if (old) el.style.visibility = old;
+    delete el.dataset.__screenshotOldVisibility;
+    el.classList.remove("__screenshot-hidden-fixed__");
+  });
+
+  const state = window.__screenshotScrollCapture;
+  if (state) {
+    const root = document.scrollingElement || document.documentElement;
+    const position = { left: state.left, top: state.top, behavior: "instant" };
+    if (state.target === root) {
+      window.scrollTo(position);
+    } else {
+      state.target.scrollTo(position);
+    }
+    delete window.__screenshotScrollCapture;
+  }
+}
+
+/**
+ * Blur or mask sensitive content before a capture: password fields,
+ * elements matching `options.selectors`, form fields whose value matches
+ * one of `options.patterns`, and the matching parts of text nodes — in the
+ * document, open shadow roots and same-origin frames. Elements get an
+ * inline filter (old value in their dataset, marked
+ * `__screenshot-redacted__`); matched text is wrapped in a
+ * `__screenshot-redacted-text__` span that keeps the original text node.
+ * Undo with `restoreRedactions()`.
+ *
+ * Runs in the page with the rest of lib.js injected (see
+ * `runLibHelper()` in background.js).
+ *
+ * @param {{ style?: "blur" | "mask", passwords?: boolean,
+ *           selectors?: string[], patterns?: string[] }} [options]
+ *   `patterns` are regular expression sources, matched case-insensitively.
+ *   Invalid selectors and patterns are skipped.
+ * @returns {{ elements: number, texts: number }} what was redacted
+ */
+function redactPage(options = {}) {
+  const mask = options.style === "mask";
+  const SKIPPED_PARENTS = ["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "TEXTAREA", "TITLE"];
+
+  const patterns = [];
+  for (const source of options.patterns ?? []) {
+    try {
+      patterns.push(new RegExp(source, "gi"));
+    } catch (_) {
+      // Invalid pattern — skipped.
+    }
+  }
+  const matchesPattern = (text) =>
+    patterns.some((pattern) => {
+      pattern.lastIndex = 0;
+      return pattern.test(text);
+    });
+
+  let elements = 0;
+  let texts = 0;
+  const redactElement = (el) => {
+    if (el.classList.contains("__screenshot-redacted__")) return;
+    el.dataset.__screenshotOldFilter = el.style.filter;
+    // brightness(0) over a black background leaves a solid box.
+    el.style.setProperty("filter", mask ? "brightness(0)" : "blur(6px)", "important");
+    if (mask) {
+      el.dataset.__screenshotOldBackgroundColor = el.style.backgroundColor;
+      el.style.setProperty("background-color", "#000", "important");
+    }
+    el.classList.add("__screenshot-redacted__");
+    elements++;
+  };
+
+  const redactText = (node) => {
+    const text = node.data;
+    const ranges = [];
+    for (const pattern of patterns) {
+      // matchAll() starts at the lastIndex matchesPattern() left behind.
+      pattern.lastIndex = 0;
+      for (const match of text.matchAll(pattern)) {
+        if (match[0]) ranges.push([match.index, match.index + match[0].length]);
+      }
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const doc = node.ownerDocument;
+    const wrapper = doc.createElement("span");
+    wrapper.className = "__screenshot-redacted-text__";
+    let pos = 0;
+    for (const [start, end] of ranges) {
+      if (end <= pos) continue;
+      const from = Math.max(start, pos);
+      if (from > pos) wrapper.append(text.slice(pos, from));
+      const hidden = doc.createElement("span");
+      hidden.textContent = text.slice(from, end);
+      hidden.style.cssText = mask
+        ? "background:#000 !important;color:transparent !important;" +
+          "-webkit-text-fill-color:transparent !important;text-shadow:none !important"
+        : "filter:blur(5px) !important";
+      wrapper.append(hidden);
+      pos = end;
+    }
+    if (pos < text.length) wrapper.append(text.slice(pos));
+    // The node itself is put back on restore, so references the page
+    // holds to it stay valid; the dataset copy covers a restore from
+    // another JavaScript world, which can't see the expando.
+    wrapper.dataset.__screenshotOldText = text;
+    wrapper.__screenshotOriginalText = node;
+    node.replaceWith(wrapper);
+    texts++;
+  };
+
+  if (options.passwords) {
+    querySelectorAllDeep('input[type="password"]').forEach(redactElement);
+  }
+  for (const selector of options.selectors ?? []) {
+    let matches = [];
+    try {
+      matches = querySelectorAllDeep(selector);
+    } catch (_) {
+      // Invalid selector — skipped.
+    }
+    matches.forEach(redactElement);
+  }
+  if (patterns.length === 0) return { elements, texts };
+
+  querySelectorAllDeep("input, textarea").forEach((field) => {
+    if (field.type !== "hidden" && matchesPattern(field.value)) redactElement(field);
+  });
+
+  const found = [];
+  for (const parent of querySelectorAllDeep("*")) {
+    if (
+      SKIPPED_PARENTS.includes(parent.tagName) ||
+      parent.closest(".__screenshot-redacted-text__")
+    ) {
+      continue;
+    }
+    for (const node of parent.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE && matchesPattern(node.data)) found.push(node);
+    }
+  }
+  for (const node of found) {
+    // Spans can't go inside SVG text, so the whole element is redacted.
+    if (node.parentElement.namespaceURI === "http://www.w3.org/2000/svg") {
+      redactElement(node.parentElement);
+    } else {
+      redactText(node);
+    }
+  }
+
+  return { elements, texts };
+}
+
+/**
+ * Undo `redactPage()`, including inside open shadow roots and same-origin
+ * frames. Needs the rest of lib.js like `redactPage()`.
+ */
+function restoreRedactions() {
+  const found = querySelectorAllDeep(".__screenshot-redacted-text__, .__screenshot-redacted__");
+  for (const el of found) {
+    if (el.classList.contains("__screenshot-redacted-text__")) {
+      el.replaceWith(
+        el.__screenshotOriginalText ??
+          el.ownerDocument.createTextNode(el.dataset.__screenshotOldText ?? el.textContent)
+      );
+      continue;
+    }
+    const oldFilter = el.dataset.__screenshotOldFilter || "";
+    el.style.removeProperty("filter");
+    if (oldFilter) el.style.filter = oldFilter;
+    if (el.dataset.__screenshotOldBackgroundColor !== undefined) {
+      el.style.removeProperty("background-color");
+      if (el.dataset.__screenshotOldBackgroundColor) {
+        el.style.backgroundColor = el.dataset.__screenshotOldBackgroundColor;
+      }
+      delete el.dataset.__screenshotOldBackgroundColor;
+    }
+    delete el.dataset.__screenshotOldFilter;
+    el.classList.remove("__screenshot-redacted__");
+  }
+}
+
+/**
+ * Swap real content for placeholders before a capture, keeping the
+ * layout: text nodes and text field values get placeholder text of the
+ * same length (letters keep their case, digits stay digits, whitespace
+ * and punctuation are kept) and, with `options.images`, images, videos,
+ * canvases and CSS background images become neutral grey boxes. Covers
+ * the document, open shadow roots and same-origin frames — or only what
+ * is inside elements matching `options.selectors`. The originals are kept
+ * in `window.__screenshotAnonymization`, so `restoreAnonymization()` must
+ * run in the same JavaScript world.
+ *
+ * Runs in the page with the rest of lib.js injected, like `redactPage()`.
+ *
+ * @param {{ selectors?: string[], images?: boolean }} [options] invalid
+ *   selectors are skipped
+ * @returns {{ texts: number, fields: number, images: number }} what was
+ *   replaced
+ */
+function anonymizePage(options = {}) {
+  const LETTERS =
+    "loremipsumdolorsitametconsecteturadipiscingelitseddoeiusmodtempor" +
+    "incididuntutlaboreetdoloremagnaaliqua";
+  const DIGITS = "4815162342";
+  const SKIPPED_PARENTS = ["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "TEXTAREA", "TITLE"];
+  const TEXT_FIELD_TYPES = ["text", "search", "email", "tel", "url", "number"];
+  const IMAGE_STYLES = [
+    // Moves the picture out of the (clipping) content box.
+    ["object-position", "-100000px 0"],
+    ["background-image", "none"],
+    ["background-color", "#d1d5db"],
+  ];
+  const BACKGROUND_STYLES = IMAGE_STYLES.slice(1);
+
+  const placeholder = (text) => {
+    let letter = 0;
+    let digit = 0;
+    return text.replace(/\p{L}|\p{N}/gu, (char) => {
+      if (/\p{N}/u.test(char)) return DIGITS[digit++ % DIGITS.length];
+      const next = LETTERS[letter++ % LETTERS.length];
+      return char === char.toLowerCase() ? next : next.toUpperCase();
+    });
+  };
+
+  const selectors = options.selectors ?? [];
+  const scopes = new Set();
+  for (const selector of selectors) {
+    try {
+      querySelectorAllDeep(selector).forEach((el) => scopes.add(el));
+    } catch (_) {
+      // Invalid selector — skipped.
+    }
+  }
+  // Walks up through shadow hosts and frame elements, so a selected
+  // region includes its shadow trees and frames.
+  const inScope = (el) => {
+    if (selectors.length === 0) return true;
+    for (let n = el; n; n = composedParentElement(n)) {
+      if (scopes.has(n)) return true;
+    }
+    return false;
+  };
+
+  const state = (window.__screenshotAnonymization ??= { texts: [], fields: [], images: [] });
+  const seen = new Set([
+    ...state.texts.map((entry) => entry.node),
+    ...state.fields.map((entry) => entry.el),
+    ...state.images.map((entry) => entry.el),
+  ]);
+  let texts = 0;
+  let fields = 0;
+  let images = 0;
+
+  const replaceStyles = (el, styles) => {
+    state.images.push({
+      el,
+      styles: styles.map(([property]) => [
+        property,
+        el.style.getPropertyValue(property),
+        el.style.getPropertyPriority(property),
+      ]),
+    });
+    for (const [property, value] of styles) {
+      el.style.setProperty(property, value, "important");
+    }
+    seen.add(el);
+    images++;
+  };
+
+  const els = querySelectorAllDeep("*");
+  const found = [];
+  for (const parent of els) {
+    if (SKIPPED_PARENTS.includes(parent.tagName) || !inScope(parent)) continue;
+    for (const node of parent.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE && node.data.trim() && !seen.has(node)) {
+        found.push(node);
+      }
+    }
+  }
+  for (const node of found) {
+    const text = node.data;
+    node.data = placeholder(text);
+    state.texts.push({ node, text, placeholder: node.data });
+    seen.add(node);
+    texts++;
+  }
+
+  querySelectorAllDeep("input, textarea").forEach((field) => {
+    if (
+      (field.tagName === "TEXTAREA" || TEXT_FIELD_TYPES.includes(field.type)) &&
+      field.value &&
+      !seen.has(field) &&
+      inScope(field)
+    ) {
+      const value = field.value;
+      field.value = placeholder(value);
+      state.fields.push({ el: field, value, placeholder: field.value });
+      seen.add(field);
+      fields++;
+    }
+  });
+
+  if (options.images) {
+    for (const el of els) {
+      if (seen.has(el) || !inScope(el)) continue;
+      if (["IMG", "VIDEO", "CANVAS"].includes(el.tagName)) {
+        replaceStyles(el, IMAGE_STYLES);
+      } else if (
+        el.ownerDocument.defaultView.getComputedStyle(el).backgroundImage.includes("url(")
+      ) {
+        replaceStyles(el, BACKGROUND_STYLES);
+      }
+    }
+  }
+
+  return { texts, fields, images };
+}
+
+/**
+ * Undo `anonymizePage()` in the same JavaScript world. Text and values the
+ * page changed in the meantime are left alone.
+ */
+function restoreAnonymization() {
+  const state = window.__screenshotAnonymization;
+  if (!state) return;
+  for (const { node, text, placeholder } of state.texts) {
+    if (node.data === placeholder) node.data = text;
+  }
+  for (const { el, value, placeholder } of state.fields) {
+    if (el.value === placeholder) el.value = value;
+  }
+  for (const { el, styles } of state.images) {
+    for (const [property, value, priority] of styles) {
+      el.style.removeProperty(property);
+      if (value) el.style.setProperty(property, value, priority);
+    }
+  }
+  delete window.__screenshotAnonymization;
+}
+
+/**
+ * Hide the elements of the site's hide rules (cookie banners, chat
+ * widgets, ad slots) for a capture: `remove` selectors get
+ * `display: none`, `hide` selectors `visibility: hidden` — inline and
+ * `!important`, in the document, open shadow roots and same-origin
+ * frames. An element matched by both is removed. Must run before
+ * `measurePageDimensions()`, which would otherwise turn fixed overlays
+ * into absolutely positioned elements in the middle of the page. The old
+ * inline value and priority go into `__screenshotRule*` dataset keys
+ * (marker class `__screenshot-rule-hidden__`); undo with
+ * `restoreHideRules()`.
+ *
+ * Runs in the page with the rest of lib.js injected, like `redactPage()`.
+ *
+ * @param {{ hide?: string[], remove?: string[] }} [rules] invalid
+ *   selectors are skipped
+ * @returns {number} how many elements were hidden
+ */
+function applyHideRules(rules = {}) {
+  let hidden = 0;
+  const hide = (el, property, value) => {
+    if (el.classList.contains("__screenshot-rule-hidden__")) return;
+    el.dataset.__screenshotRuleProperty = property;
+    el.dataset.__screenshotRuleOldValue = el.style.getPropertyValue(property);
+    el.dataset.__screenshotRuleOldPriority = el.style.getPropertyPriority(property);
+    el.style.setProperty(property, value, "important");
+    el.classList.add("__screenshot-rule-hidden__");
+    hidden++;
+  };
+
+  const passes = [
+    [rules.remove ?? [], "display", "none"],
+    [rules.hide ?? [], "visibility", "hidden"],
+  ];
+  for (const [selectors, property, value] of passes) {
+    for (const selector of selectors) {
+      let matches = [];
+      try {
+        matches = querySelectorAllDeep(selector);
+      } catch (_) {
+        // Invalid selector — skipped.
+      }
+      matches.forEach((el) => hide(el, property, value));
+    }
+  }
+  return hidden;
+}
+
+/**
+ * Undo `applyHideRules()`, including inside open shadow roots and
+ * same-origin frames. Needs the rest of lib.js like `applyHideRules()`.
+ */
+function restoreHideRules() {
+  for (const el of querySelectorAllDeep(".__screenshot-rule-hidden__")) {
+    const property = el.dataset.__screenshotRuleProperty;
+    if (property) {
+      el.style.removeProperty(property);
+      const oldValue = el.dataset.__screenshotRuleOldValue;
+      if (oldValue) {
+        el.style.setProperty(property, oldValue, el.dataset.__screenshotRuleOldPriority || "");
+      }
+    }
+    delete el.dataset.__screenshotRuleProperty;
+    delete el.dataset.__screenshotRuleOldValue;
+    delete el.dataset.__screenshotRuleOldPriority;
+    el.classList.remove("__screenshot-rule-hidden__");
+  }
+}
+
+/**
+ * A CSS selector for the element the picker marked with
+ * `data-screenshot-picked` (the mark is removed): the closest ancestor
+ * with a unique id, then tag names with up to two classes each, adding
+ * `:nth-of-type()` where a sibling would match too — as short as it can
+ * be while matching only that element.
+ *
+ * Runs via `chrome.scripting.executeScript`, so it must be self-contained.
+ *
+ * @returns {string | null} null when nothing is marked
+ */
+function pickedElementSelector() {
+  const el = document.querySelector("[data-screenshot-picked]");
+  if (!el) return null;
+  el.removeAttribute("data-screenshot-picked");
+
+  const escape = (value) => (
+    window.CSS?.escape
+      ? window.CSS.escape(value)
+      : value.replace(/^\d|[^\w-]/g, (char) => (/\d/.test(char) ? `\\3${char} ` : `\\${char}`))
+  );
+  const isUnique = (selector) => document.querySelectorAll(selector).length === 1;
+
+  const parts = [];
+  for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+    if (node.id && isUnique(`#${escape(node.id)}`)) {
+      parts.unshift(`#${escape(node.id)}`);
+      break;
+    }
+    let part = node.tagName.toLowerCase();
+    for (const name of [...node.classList].filter((c) => !c.startsWith("__screenshot")).slice(0, 2)) {
+      part += `.${escape(name)}`;
+    }
+    const siblings = node.parentElement
+      ? [...node.parentElement.children].filter((child) => child.tagName === node.tagName)
+      : [];
+    if (siblings.filter((child) => child.matches(part)).length > 1) {
+      part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+    }
+    parts.unshift(part);
+    if (isUnique(parts.join(" > "))) break;
+  }
+  return parts.join(" > ");
+}
+
 // Export for Node.js tests (no-op in browser where `module` is undefined)
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     RESTRICTED_URL_PREFIXES,
+    DESTINATIONS,
+    IMAGE_FORMATS,
+    IMAGE_FORMAT_EXTENSIONS,
+    PREVIEW_POSITIONS,
+    DPR_POLICIES,
+    FULL_PAGE_ENGINES,
+    SCROLL_CONTAINER_STRATEGIES,
+    COLOR_SCHEMES,
+    RESPONSIVE_OUTPUTS,
+    DEVICE_PRESETS,
+    DEVICE_PRESET_IDS,
+    CONFLICT_ACTIONS,
+    HIDE_RULE_MODES,
+    REDACTION_STYLES,
+    REDACTION_PATTERNS,
+    DEFAULT_SETTINGS,
+    PREVIEW_DURATION_RANGE,
+    QUALITY_RANGE,
+    HISTORY_QUOTA_RANGE,
+    READY_TIMEOUT_RANGE,
+    PRE_SCROLL_STEPS_RANGE,
+    PRE_SCROLL_HEIGHT_RANGE,
+    RESPONSIVE_WIDTH_RANGE,
     isRestrictedUrl,
+    normalizeSettings,
+    emulatedMediaParams,
+    parseResponsiveWidths,
+    mobileUserAgent,
+    responsiveViewports,
+    deviceViewport,
+    redactionOptions,
+    anonymizationOptions,
+    parseHideRules,
+    formatHideRules,
+    hostMatchesPattern,
+    hideRulesFor,
+    addHideRule,
+    invalidSettingLine,
+    formatFilename,
+    selectHistoryEvictions,
+    matchesHistoryQuery,
+    normalizeRect,
+    arrowHeadPoints,
+    nextStepNumber,
+    createEditHistory,
+    querySelectorAllDeep,
+    composedParentElement,
+    freezeViewportUnits,
     measurePageDimensions,
     restoreExpandedContainers,
+    waitForPageReady,
+    preScrollPage,
+    restorePreScroll,
+    pausePageMotion,
+    resumePageMotion,
+    beginScrollCapture,
+    scrollCaptureTo,
+    hideFixedForScrollCapture,
+    endScrollCapture,
+    redactPage,
+    restoreRedactions,
+    anonymizePage,
+    restoreAnonymization,
+    applyHideRules,
+    restoreHideRules,
+    pickedElementSelector,
   };
 }
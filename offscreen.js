@@ -0,0 +1,50 @@
+// Offscreen document (reason CLIPBOARD) that writes captures to the
+// clipboard from an extension-owned context, so copies don't depend on
+// the captured page having focus.
+//
+// navigator.clipboard.write() is tried first, but it requires document
+// focus, which an offscreen document normally never has. The fallback
+// loads the PNG into an iframe — a blob: URL image becomes an image
+// document, for which execCommand("copy") copies the image itself — the
+// same thing "Copy image" does.
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg?.target !== "offscreen" || msg.action !== "writeClipboard") {
+    return false;
+  }
+  writeImageToClipboard(msg.data).then(
+    () => sendResponse({ ok: true }),
+    (err) => sendResponse({ ok: false, error: String(err?.message ?? err) })
+  );
+  // Keep the channel open for the async response.
+  return true;
+});
+
+async function writeImageToClipboard(b64) {
+  const res = await fetch(`data:image/png;base64,${b64}`);
+  const blob = await res.blob();
+
+  try {
+    await navigator.clipboard.write([new ClipboardItem({ "image/png": blob })]);
+    return;
+  } catch (_) {
+    // Not focused — use the image document copy below.
+  }
+
+  const url = URL.createObjectURL(blob);
+  const frame = document.createElement("iframe");
+  try {
+    await new Promise((resolve, reject) => {
+      frame.addEventListener("load", resolve, { once: true });
+      frame.addEventListener("error", () => reject(new Error("Loading image failed")), { once: true });
+      frame.src = url;
+      document.body.appendChild(frame);
+    });
+    if (!frame.contentDocument.execCommand("copy")) {
+      throw new Error("Clipboard copy command was rejected");
+    }
+  } finally {
+    frame.remove();
+    URL.revokeObjectURL(url);
+  }
+}
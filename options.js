@@ -0,0 +1,107 @@
+// DEFAULT_SETTINGS, normalizeSettings and invalidSettingLine are provided by
+// lib.js (loaded before this script)
+
+const form = document.getElementById("options");
+const status = document.getElementById("status");
+const qualityRow = document.getElementById("quality-row");
+const qualityValue = document.getElementById("quality-value");
+let statusTimer = null;
+
+function fillForm(settings) {
+  for (const [key, value] of Object.entries(settings)) {
+    const field = form.elements.namedItem(key);
+    if (field?.type === "checkbox") {
+      field.checked = Boolean(value);
+    } else if (field) {
+      field.value = String(value);
+      showFieldError(field, "");
+    }
+  }
+  syncDependentFields();
+}
+
+// Quality only applies to lossy formats.
+function syncDependentFields() {
+  qualityRow.hidden = form.elements.namedItem("format").value === "png";
+  qualityValue.textContent = form.elements.namedItem("quality").value;
+}
+
+// Name an invalid line under its field (empty `text` clears the message).
+function showFieldError(field, text) {
+  const message = form.querySelector(`.field-error[data-for="${field.name}"]`);
+  if (message) {
+    message.textContent = text;
+    message.hidden = !text;
+  }
+  if (text) {
+    field.setAttribute("aria-invalid", "true");
+  } else {
+    field.removeAttribute("aria-invalid");
+  }
+}
+
+function showStatus(text) {
+  clearTimeout(statusTimer);
+  status.textContent = text;
+  statusTimer = setTimeout(() => {
+    status.textContent = "";
+  }, 1500);
+}
+
+chrome.storage.sync.get(DEFAULT_SETTINGS, (stored) => {
+  fillForm(normalizeSettings(stored));
+});
+
+// Settings save as soon as a field changes. The stored value is the
+// normalized one, so the form is refilled in case it was corrected
+// (e.g. an out-of-range preview duration).
+form.addEventListener("change", (event) => {
+  const field = event.target;
+  const key = field.name;
+  if (!key) return;
+  // Normalizing would drop an invalid line, so the text stays as typed
+  // and nothing is saved until it is fixed.
+  const invalid = invalidSettingLine(key, field.value);
+  if (invalid) {
+    showFieldError(
+      field,
+      `Line ${invalid.line} "${invalid.text}" ${invalid.reason} — not saved.`
+    );
+    return;
+  }
+  showFieldError(field, "");
+  const isCheckbox = field.type === "checkbox";
+  const value = normalizeSettings({
+    ...DEFAULT_SETTINGS,
+    [key]: isCheckbox ? field.checked : field.value
+  })[key];
+  if (!isCheckbox) {
+    field.value = String(value);
+  }
+  syncDependentFields();
+  chrome.storage.sync.set({ [key]: value }, () => showStatus("Saved"));
+});
+
+form.addEventListener("input", syncDependentFields);
+
+form.addEventListener("submit", (event) => event.preventDefault());
+
+document.getElementById("reset").addEventListener("click", () => {
+  chrome.storage.sync.set(DEFAULT_SETTINGS, () => {
+    fillForm(DEFAULT_SETTINGS);
+    showStatus("Defaults restored");
+  });
+});
+
+// Keep the form current when settings change elsewhere (e.g. a hide rule
+// added from the popup).
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "sync") return;
+  const updates = {};
+  for (const [key, change] of Object.entries(changes)) {
+    if (key in DEFAULT_SETTINGS) {
+      updates[key] = change.newValue ?? DEFAULT_SETTINGS[key];
+    }
+  }
+  fillForm(updates);
+});
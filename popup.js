@@ -1,19 +1,108 @@
-// isRestrictedUrl is provided by lib.js (loaded before this script)
+// isRestrictedUrl, DEFAULT_SETTINGS and DEVICE_PRESETS are provided by lib.js
+// (loaded before this script)
+
+const captureButtons = document.querySelectorAll("button[data-mode]");
+const hideRuleButton = document.getElementById("pick-hide-rule");
+const destinationSelect = document.getElementById("destination");
+const colorSchemeSelect = document.getElementById("colorScheme");
+const mediaToggles = ["reducedMotion", "forcedColors", "printMedia"].map(
+  (id) => document.getElementById(id)
+);
+const devicePresetSelect = document.getElementById("devicePreset");
+const deviceReloadToggle = document.getElementById("deviceReload");
+
+for (const [id, preset] of Object.entries(DEVICE_PRESETS)) {
+  const option = document.createElement("option");
+  option.value = id;
+  option.textContent = preset.name;
+  devicePresetSelect.append(option);
+}
 
 chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
   if (isRestrictedUrl(tab?.url)) {
-    document.getElementById("visible").disabled = true;
-    document.getElementById("full").disabled = true;
+    for (const button of captureButtons) {
+      button.disabled = true;
+    }
+    hideRuleButton.disabled = true;
     document.getElementById("notice").hidden = false;
   }
 });
 
-document.getElementById("visible").addEventListener("click", () => {
-  chrome.runtime.sendMessage({ action: "capture", fullPage: false });
+// The pickers start at the stored settings (the destination is set on the
+// options page) and only affect the capture they are sent with.
+chrome.storage.sync.get(DEFAULT_SETTINGS, (settings) => {
+  destinationSelect.value = settings.destination;
+  colorSchemeSelect.value = settings.colorScheme;
+  for (const toggle of mediaToggles) {
+    toggle.checked = settings[toggle.id];
+  }
+  devicePresetSelect.value = settings.devicePreset;
+  deviceReloadToggle.checked = settings.deviceReload;
+  syncDeviceReload();
+});
+
+// Emulated media (full page only) apply to one capture, like the
+// destination.
+function readMediaOptions() {
+  const media = { colorScheme: colorSchemeSelect.value };
+  for (const toggle of mediaToggles) {
+    media[toggle.id] = toggle.checked;
+  }
+  return media;
+}
+
+// So is the device preset.
+function readDeviceOptions() {
+  return {
+    devicePreset: devicePresetSelect.value,
+    deviceReload: deviceReloadToggle.checked
+  };
+}
+// Reloading only makes sense with a device selected.
+function syncDeviceReload() {
+  deviceReloadToggle.disabled = devicePresetSelect.value === "none";
+}
+devicePresetSelect.addEventListener("change", syncDeviceReload);
+
+// Show the currently bound keyboard shortcut next to each mode. Users can
+// rebind (or clear) them at chrome://extensions/shortcuts.
+chrome.commands.getAll((commands) => {
+  for (const command of commands) {
+    const hint = document.querySelector(
+      `button[data-command="${command.name}"] .shortcut`
+    );
+    if (hint && command.shortcut) {
+      hint.textContent = command.shortcut;
+      hint.hidden = false;
+    }
+  }
+});
+
+for (const button of captureButtons) {
+  button.addEventListener("click", () => {
+    chrome.runtime.sendMessage({
+      action: "capture",
+      mode: button.dataset.mode,
+      destination: destinationSelect.value,
+      media: readMediaOptions(),
+      device: readDeviceOptions()
+    });
+    window.close();
+  });
+}
+
+// Picks an element on the page and adds a hide rule for it on this site.
+hideRuleButton.addEventListener("click", () => {
+  chrome.runtime.sendMessage({ action: "pickHideRule" });
+  window.close();
+});
+
+document.getElementById("open-history").addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL("history.html") });
   window.close();
 });
 
-document.getElementById("full").addEventListener("click", () => {
-  chrome.runtime.sendMessage({ action: "capture", fullPage: true });
+document.getElementById("open-options").addEventListener("click", () => {
+  chrome.runtime.openOptionsPage();
   window.close();
 });
@@ -6,12 +6,25 @@ const assert = require("node:assert");
 const vm = require("node:vm");
 const fs = require("node:fs");
 const path = require("node:path");
+const { URL } = require("node:url");
 
 const backgroundSource = fs.readFileSync(
   path.join(__dirname, "..", "background.js"),
   "utf-8"
 );
 
+// background.js pulls these in via importScripts("lib.js"), which is a
+// no-op in the VM context, so the real exports are injected as globals.
+const libExports = (() => {
+  const libSource = fs.readFileSync(
+    path.join(__dirname, "..", "lib.js"),
+    "utf-8"
+  );
+  const libContext = vm.createContext({ module: { exports: {} } });
+  vm.runInContext(libSource, libContext);
+  return libContext.module.exports;
+})();
+
 /**
  * Creates a VM context with a fully-mocked Chrome extension environment,
  * loads background.js into it, and returns the context along with helpers
@@ -28,6 +41,15 @@ const backgroundSource = fs.readFileSync(
  *   captureVisibleTabResult - data URL returned by tabs.captureVisibleTab
  *   executeScriptResult - return value of scripting.executeScript
  *   executeScriptImpl - optional custom implementation for scripting.executeScript
+ *   bitmapSize - { width, height } reported by createImageBitmap
+ *   settings - stored chrome.storage.sync values (merged over defaults)
+ *   downloadImpl - optional custom implementation for downloads.download
+ *   historyAddImpl - optional custom implementation for historyAdd
+ *   offscreen - { sendMessageImpl?, existingContexts? } enables the
+ *     chrome.offscreen mock (omitted = offscreen documents unsupported)
+ *   pageReadyResult - value returned for the waitForPageReady() evaluate
+ *   preScrollResult - value returned for the preScrollPage() evaluate
+ *   animationPlaybackRate - value returned by Animation.getPlaybackRate
  */
 function createBackgroundContext(options = {}) {
   const {
@@ -42,6 +64,14 @@ function createBackgroundContext(options = {}) {
     captureVisibleTabResult = "data:image/png;base64,visibleBase64",
     executeScriptResult = [{ result: { ok: true } }],
     executeScriptImpl = null,
+    bitmapSize = { width: 1280, height: 800 },
+    settings = {},
+    downloadImpl = null,
+    historyAddImpl = null,
+    offscreen = null,
+    pageReadyResult = { pending: [], invalidSelector: false },
+    preScrollResult = { steps: 3, scrollHeight: 3000, capped: false },
+    animationPlaybackRate = 1,
   } = options;
 
   // --- Recording helper ---
@@ -56,6 +86,7 @@ function createBackgroundContext(options = {}) {
   }
 
   // --- Build chrome mock namespace ---
+  const debuggerEventListeners = [];
   const chrome = {
     runtime: {
       onInstalled: {
@@ -66,6 +97,11 @@ function createBackgroundContext(options = {}) {
       },
       getURL: mockFn("runtime.getURL", (p) => `chrome-extension://test/${p}`),
     },
+    commands: {
+      onCommand: {
+        addListener: mockFn("commands.onCommand.addListener"),
+      },
+    },
     contextMenus: {
       create: mockFn("contextMenus.create"),
       onClicked: {
@@ -89,11 +125,20 @@ function createBackgroundContext(options = {}) {
         return Promise.resolve(tab);
       }),
       update: mockFn("tabs.update", async () => ({})),
+      create: mockFn("tabs.create", async (props) => ({ id: 100, ...props })),
     },
     windows: {
       update: mockFn("windows.update", async () => ({})),
     },
     debugger: {
+      onEvent: {
+        addListener: mockFn("debugger.onEvent.addListener", (fn) => {
+          debuggerEventListeners.push(fn);
+        }),
+        removeListener: mockFn("debugger.onEvent.removeListener", (fn) => {
+          debuggerEventListeners.splice(debuggerEventListeners.indexOf(fn), 1);
+        }),
+      },
       attach: mockFn("debugger.attach", async () => {}),
       detach: mockFn("debugger.detach", async () => {}),
       sendCommand: mockFn(
@@ -107,7 +152,7 @@ function createBackgroundContext(options = {}) {
           switch (method) {
             case "Page.getLayoutMetrics":
               return {
-                cssLayoutViewport: { clientWidth: viewportWidth },
+                cssLayoutViewport: { clientWidth: viewportWidth, clientHeight: 800 },
               };
             case "Runtime.evaluate": {
               const expr = params?.expression || "";
@@ -127,7 +172,7 @@ function createBackgroundContext(options = {}) {
               ) {
                 return { result: { value: false } };
               }
-              if (expr.includes("JSON.stringify(measurePageDimensions())")) {
+              if (expr.includes("JSON.stringify(measurePageDimensions(")) {
                 return {
                   result: {
                     value: JSON.stringify({
@@ -143,12 +188,20 @@ function createBackgroundContext(options = {}) {
               if (expr.includes("devicePixelRatio")) {
                 return { result: { value: nativeDPR } };
               }
+              if (expr.includes("waitForPageReady(")) {
+                return { result: { value: pageReadyResult } };
+              }
+              if (expr.includes("preScrollPage(")) {
+                return { result: { value: preScrollResult } };
+              }
               // All other Runtime.evaluate calls (lib injection, scrollbar,
               // resize blocker, cleanup steps) — return benign value
               return { result: { value: undefined } };
             }
             case "Page.captureScreenshot":
               return { data: captureData };
+            case "Animation.getPlaybackRate":
+              return { playbackRate: animationPlaybackRate };
             case "Emulation.setDeviceMetricsOverride":
             case "Emulation.clearDeviceMetricsOverride":
             case "Overlay.setShowViewportSizeOnResize":
@@ -173,9 +226,72 @@ function createBackgroundContext(options = {}) {
       setBadgeText: mockFn("action.setBadgeText"),
       setBadgeBackgroundColor: mockFn("action.setBadgeBackgroundColor"),
     },
+    storage: {
+      sync: {
+        get: mockFn("storage.sync.get", async (defaults) => ({
+          ...defaults,
+          ...settings,
+        })),
+        set: mockFn("storage.sync.set", async () => {}),
+      },
+      onChanged: {
+        addListener: mockFn("storage.onChanged.addListener"),
+      },
+    },
+    downloads: {
+      download: mockFn(
+        "downloads.download",
+        async (...args) => (downloadImpl ? downloadImpl(...args) : 1)
+      ),
+    },
   };
 
+  if (offscreen) {
+    chrome.offscreen = {
+      createDocument: mockFn("offscreen.createDocument", async () => {}),
+    };
+    chrome.runtime.getContexts = mockFn(
+      "runtime.getContexts",
+      async () => offscreen.existingContexts ?? []
+    );
+    chrome.runtime.sendMessage = mockFn(
+      "runtime.sendMessage",
+      async (...args) => (
+        offscreen.sendMessageImpl
+          ? offscreen.sendMessageImpl(...args)
+          : { ok: true }
+      )
+    );
+  }
+
+  // --- Canvas mocks (service worker image processing) ---
+  const canvases = [];
+  class OffscreenCanvas {
+    constructor(width, height) {
+      this.width = width;
+      this.height = height;
+      this.drawImageCalls = [];
+      this.fillRectCalls = [];
+      this.fillTextCalls = [];
+      canvases.push(this);
+    }
+    getContext() {
+      const canvas = this;
+      return {
+        fillStyle: null,
+        fillRect: (...args) => canvas.fillRectCalls.push(args),
+        fillText: (...args) => canvas.fillTextCalls.push(args),
+        drawImage: (...args) => canvas.drawImageCalls.push(args),
+      };
+    }
+    async convertToBlob(opts) {
+      this.convertOptions = opts;
+      return new Blob(["canvas"], { type: opts?.type || "image/png" });
+    }
+  }
+
   // --- Captured timers ---
+  let sessionCount = 0;
   const timeouts = [];
   const intervals = [];
 
@@ -183,16 +299,14 @@ function createBackgroundContext(options = {}) {
   const context = vm.createContext({
     chrome,
     importScripts: mockFn("importScripts"), // no-op
-    // Provide the real isRestrictedUrl from lib.js
-    isRestrictedUrl: (() => {
-      const libSource = fs.readFileSync(
-        path.join(__dirname, "..", "lib.js"),
-        "utf-8"
-      );
-      const libContext = vm.createContext({ module: { exports: {} } });
-      vm.runInContext(libSource, libContext);
-      return libContext.module.exports.isRestrictedUrl;
-    })(),
+    // Provide the real lib.js exports (isRestrictedUrl, DEFAULT_SETTINGS, …)
+    ...libExports,
+    // history-store.js needs IndexedDB, so its API is mocked.
+    historyAdd: mockFn(
+      "historyAdd",
+      async (...args) => (historyAddImpl ? historyAddImpl(...args) : 1)
+    ),
+    historyPrune: mockFn("historyPrune", async () => 0),
     fetch: mockFn("fetch", async () => ({
       text: async () => "/* lib.js source */",
     })),
@@ -213,11 +327,30 @@ function createBackgroundContext(options = {}) {
       error: mockFn("console.error"),
       log: mockFn("console.log"),
     },
+    OffscreenCanvas,
+    navigator: {
+      userAgent:
+        "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 " +
+        "(KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36",
+    },
+    crypto: {
+      randomUUID: mockFn("crypto.randomUUID", () => `session-${++sessionCount}`),
+    },
+    createImageBitmap: mockFn("createImageBitmap", async () => ({
+      ...bitmapSize,
+      close: () => {},
+    })),
+    Blob,
+    Uint8Array,
+    atob,
+    btoa,
     Promise,
     JSON,
     Math,
     parseInt,
     String,
+    Date,
+    URL,
   });
 
   // --- Load background.js ---
@@ -233,17 +366,34 @@ function createBackgroundContext(options = {}) {
     chrome.contextMenus.onClicked.addListener.calls[0]?.[0];
   const onMessageCb =
     chrome.runtime.onMessage.addListener.calls[0]?.[0];
+  const onCommandCb =
+    chrome.commands.onCommand.addListener.calls[0]?.[0];
+  const onStorageChangedCb =
+    chrome.storage.onChanged.addListener.calls[0]?.[0];
 
   return {
     context,
     chrome,
     timeouts,
     intervals,
-    listeners: { onInstalledCb, onClickedCb, onMessageCb },
+    canvases,
+    listeners: {
+      onInstalledCb,
+      onClickedCb,
+      onMessageCb,
+      onCommandCb,
+      onStorageChangedCb,
+    },
     // Direct access to function declarations (hoisted, so available on context)
     captureScreenshot: context.captureScreenshot,
     captureFullPage: context.captureFullPage,
+    captureRegion: context.captureRegion,
+    captureClip: context.captureClip,
+    normalizeCaptureMode: context.normalizeCaptureMode,
     copyToClipboard: context.copyToClipboard,
+    clipboardWriteViaOffscreen: context.clipboardWriteViaOffscreen,
+    downloadScreenshot: context.downloadScreenshot,
+    readPngSize: context.readPngSize,
     clipboardWriteViaScript: context.clipboardWriteViaScript,
     clipboardWriteFromPreviewViaScript: context.clipboardWriteFromPreviewViaScript,
     retryClipboardFromPreview: context.retryClipboardFromPreview,
@@ -255,6 +405,11 @@ function createBackgroundContext(options = {}) {
     updatePreviewLabel: context.updatePreviewLabel,
     // Access const bindings
     evaluate: (expr) => vm.runInContext(expr, context),
+    // Dispatch a CDP event to chrome.debugger.onEvent listeners
+    emitDebuggerEvent: (method, params, tabId = 1) => {
+      for (const fn of [...debuggerEventListeners]) fn({ tabId }, method, params);
+    },
+    debuggerEventListeners,
   };
 }
 
@@ -272,6 +427,14 @@ function cdpCall(chrome, method) {
   return chrome.debugger.sendCommand.calls.find((c) => c[1] === method);
 }
 
+/**
+ * Name of the page helper a scripting.executeScript call runs, looking
+ * through callLibHelper() to the lib.js helper it calls.
+ */
+function pageHelperName({ func, args }) {
+  return func?.name === "callLibHelper" ? args[0] : func?.name;
+}
+
 /** Get all badge texts set via chrome.action.setBadgeText. */
 function badgeTexts(chrome) {
   return chrome.action.setBadgeText.calls.map((c) => c[0].text);
@@ -312,12 +475,12 @@ describe("event listener registration", () => {
     assert.equal(chrome.runtime.onMessage.addListener.calls.length, 1);
   });
 
-  it("onInstalled creates two context menu items with correct IDs", () => {
+  it("onInstalled creates context menu items with correct IDs", () => {
     const { chrome, listeners } = createBackgroundContext();
 
     listeners.onInstalledCb();
 
-    assert.equal(chrome.contextMenus.create.calls.length, 2);
+    assert.equal(chrome.contextMenus.create.calls.length, 7);
 
     const [visible] = chrome.contextMenus.create.calls[0];
     assert.equal(visible.id, "screenshot-visible");
@@ -331,6 +494,115 @@ describe("event listener registration", () => {
 
     const [full] = chrome.contextMenus.create.calls[1];
     assert.equal(full.id, "screenshot-full");
+
+    const [region] = chrome.contextMenus.create.calls[2];
+    assert.equal(region.id, "screenshot-region");
+
+    const [element] = chrome.contextMenus.create.calls[3];
+    assert.equal(element.id, "screenshot-element");
+
+    // Context-specific entries are limited to their own context
+    const specific = chrome.contextMenus.create.calls
+      .slice(4)
+      .map(([item]) => [item.id, item.contexts.join(",")]);
+    assert.deepEqual(specific, [
+      ["screenshot-image", "image"],
+      ["screenshot-selection", "selection"],
+      ["screenshot-frame", "frame"],
+    ]);
+  });
+
+  it("onClicked maps menu item IDs to capture modes", () => {
+    const { context, listeners } = createBackgroundContext();
+    const calls = [];
+    context.captureScreenshot = (tab, mode) => calls.push(mode);
+    const tab = { id: 1, url: "https://example.com", windowId: 1 };
+
+    listeners.onClickedCb({ menuItemId: "screenshot-visible" }, tab);
+    listeners.onClickedCb({ menuItemId: "screenshot-full" }, tab);
+    listeners.onClickedCb({ menuItemId: "screenshot-region" }, tab);
+    listeners.onClickedCb({ menuItemId: "screenshot-element" }, tab);
+    listeners.onClickedCb({ menuItemId: "screenshot-image" }, tab);
+    listeners.onClickedCb({ menuItemId: "screenshot-selection" }, tab);
+    listeners.onClickedCb({ menuItemId: "screenshot-frame" }, tab);
+    listeners.onClickedCb({ menuItemId: "unknown" }, tab);
+
+    assert.deepEqual(calls, [
+      "visible", "full", "region", "element", "image", "selection", "frame",
+    ]);
+  });
+
+  it("onClicked forwards the click info to captureScreenshot", () => {
+    const { context, listeners } = createBackgroundContext();
+    const calls = [];
+    context.captureScreenshot = (tab, mode, opts) => calls.push(opts);
+    const info = { menuItemId: "screenshot-image", srcUrl: "https://example.com/a.png" };
+
+    listeners.onClickedCb(info, { id: 1, url: "https://example.com", windowId: 1 });
+
+    assert.equal(calls[0].contextInfo, info);
+  });
+
+  it("onCommand maps keyboard shortcuts to capture modes", () => {
+    const { context, listeners } = createBackgroundContext();
+    const calls = [];
+    context.captureScreenshot = (tab, mode) => calls.push([tab.id, mode]);
+    const tab = { id: 5, url: "https://example.com", windowId: 1 };
+
+    listeners.onCommandCb("capture-visible", tab);
+    listeners.onCommandCb("capture-full", tab);
+    listeners.onCommandCb("capture-region", tab);
+    listeners.onCommandCb("capture-element", tab);
+    listeners.onCommandCb("unknown-command", tab);
+
+    assert.deepEqual(calls, [
+      [5, "visible"], [5, "full"], [5, "region"], [5, "element"],
+    ]);
+  });
+
+  it("onCommand falls back to the active tab when none is passed", () => {
+    const { context, listeners, chrome } = createBackgroundContext();
+    const calls = [];
+    context.captureScreenshot = (tab, mode) => calls.push([tab.id, mode]);
+
+    listeners.onCommandCb("capture-full");
+
+    assert.equal(chrome.tabs.query.calls.length, 1);
+    assert.deepEqual(calls, [[1, "full"]]);
+  });
+
+  it("declares a manifest command for every shortcut mode", () => {
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(__dirname, "..", "manifest.json"), "utf-8")
+    );
+    const { evaluate } = createBackgroundContext();
+    const commandModes = evaluate("COMMAND_MODES");
+
+    assert.deepEqual(
+      Object.keys(manifest.commands).sort(),
+      Object.keys(commandModes).sort()
+    );
+  });
+
+  it("onMessage forwards mode, falling back to the legacy fullPage flag", () => {
+    const { context, listeners } = createBackgroundContext();
+    const calls = [];
+    context.captureScreenshot = (tab, mode) => calls.push(mode);
+
+    listeners.onMessageCb({ action: "capture", mode: "region" });
+    listeners.onMessageCb({ action: "capture", fullPage: true });
+
+    assert.deepEqual(calls, ["region", true]);
+  });
+
+  it("onMessage forwards a per-capture destination", () => {
+    const { context, listeners } = createBackgroundContext();
+    const calls = [];
+    context.captureScreenshot = (tab, mode, opts) => calls.push(opts);
+
+    listeners.onMessageCb({ action: "capture", mode: "visible", destination: "both" });
+
+    assert.equal(calls[0].destination, "both");
   });
 
   it("onMessage queries the active tab and dispatches capture", () => {
@@ -481,9 +753,9 @@ describe("captureScreenshot — visible capture", () => {
     // The args passed should contain the stripped base64 data
     const execCalls = chrome.scripting.executeScript.calls;
     // Find the showFlashAndPreview call
-    // args: [b64, warning, captureId, retryTabId]
+    // args: [b64, warning, captureId, retryTabId, previewOptions]
     const previewCall = execCalls.find(
-      (c) => c[0].args && c[0].args.length === 4
+      (c) => c[0].args && c[0].args.length === 5
     );
     assert.ok(previewCall, "showFlashAndPreview should have been called");
     assert.equal(previewCall[0].args[0], "abc123");
@@ -574,9 +846,9 @@ describe("captureScreenshot — full page capture", () => {
     );
 
     // showFlashAndPreview call args are
-    // [base64, warning, captureId, retryTabId]
+    // [base64, warning, captureId, retryTabId, previewOptions]
     const previewCall = chrome.scripting.executeScript.calls.find(
-      (c) => c[0].args && c[0].args.length === 4
+      (c) => c[0].args && c[0].args.length === 5
     );
     assert.ok(previewCall, "Preview injection call should exist");
     assert.equal(previewCall[0].args[0].length, largeBase64.length);
@@ -626,13 +898,13 @@ describe("captureScreenshot — concurrency / latest wins", () => {
 
     const previewCalls = ctx.chrome.scripting.executeScript.calls.filter((c) => {
       const args = c[0].args;
-      return args && args.length === 4 && args[0] === "visibleBase64";
+      return args && args.length === 5 && args[0] === "visibleBase64";
     });
     assert.equal(previewCalls.length, 1);
 
     const stalePreviewCalls = ctx.chrome.scripting.executeScript.calls.filter((c) => {
       const args = c[0].args;
-      return args && args.length === 4 && args[0] === "fakeBase64Data";
+      return args && args.length === 5 && args[0] === "fakeBase64Data";
     });
     assert.equal(stalePreviewCalls.length, 0);
   });
@@ -721,196 +993,2129 @@ describe("captureScreenshot — concurrency / latest wins", () => {
   });
 });
 
-describe("retryClipboardFromPreview", () => {
-  it("sets progress badge and final success UI state", async () => {
-    const ctx = createBackgroundContext();
-    ctx.context.clipboardWriteFromPreviewViaScript = async () => {};
-
-    await ctx.retryClipboardFromPreview(1);
-
-    const texts = badgeTexts(ctx.chrome);
-    assert.ok(texts.includes("..."));
-    assert.ok(texts.includes("✓"));
-
-    const retryingUpdate = ctx.chrome.scripting.executeScript.calls.find((c) => {
-      const args = c[0].args || [];
-      return args[0] === "Retrying clipboard\u2026";
-    });
-    assert.ok(retryingUpdate, "Should set retrying label");
-    assert.equal(retryingUpdate[0].args[3].retryVisible, true);
-    assert.equal(retryingUpdate[0].args[3].retryEnabled, false);
-    assert.equal(retryingUpdate[0].args[3].retryText, "Retrying\u2026");
+describe("normalizeCaptureMode", () => {
+  it("maps legacy booleans and unknown values", () => {
+    const { normalizeCaptureMode } = createBackgroundContext();
 
-    const successUpdate = ctx.chrome.scripting.executeScript.calls.find((c) => {
-      const args = c[0].args || [];
-      return args[0] === "Copied to clipboard \u2713";
-    });
-    assert.ok(successUpdate, "Should set success label after retry");
-    assert.equal(successUpdate[0].args[2], true);
-    assert.equal(successUpdate[0].args[3].retryVisible, false);
+    assert.equal(normalizeCaptureMode(true), "full");
+    assert.equal(normalizeCaptureMode(false), "visible");
+    assert.equal(normalizeCaptureMode(undefined), "visible");
+    assert.equal(normalizeCaptureMode("region"), "region");
+    assert.equal(normalizeCaptureMode("element"), "element");
+    assert.equal(normalizeCaptureMode("bogus"), "visible");
   });
+});
 
-  it("sets failure UI state and disables retry after retry failure", async () => {
+describe("captureScreenshot — region capture", () => {
+  const viewportRegion = {
+    x: 100,
+    y: 250,
+    width: 300,
+    height: 200,
+    scrollX: 0,
+    scrollY: 200,
+    viewportWidth: 1280,
+    viewportHeight: 800,
+  };
+
+  it("does nothing when the selection is cancelled", async () => {
     const ctx = createBackgroundContext();
-    ctx.context.clipboardWriteFromPreviewViaScript = async () => {
-      throw new Error("Document is not focused");
-    };
+    ctx.context.selectRegion = async () => null;
 
-    await ctx.retryClipboardFromPreview(1);
+    await ctx.captureScreenshot(
+      { url: "https://example.com", id: 1, windowId: 1 },
+      "region"
+    );
 
-    const texts = badgeTexts(ctx.chrome);
-    assert.ok(texts.includes("..."));
-    assert.ok(texts.includes("✗"));
+    assert.equal(ctx.chrome.action.setBadgeText.calls.length, 0);
+    assert.equal(ctx.chrome.tabs.captureVisibleTab.calls.length, 0);
+    assert.equal(ctx.chrome.debugger.attach.calls.length, 0);
+  });
 
-    const failureUpdate = ctx.chrome.scripting.executeScript.calls.find((c) => {
-      const args = c[0].args || [];
-      return args[0] === "Clipboard failed — retry used, take a new screenshot";
+  it("crops a captureVisibleTab shot for regions inside the viewport", async () => {
+    const ctx = createBackgroundContext({
+      bitmapSize: { width: 2560, height: 1600 },
+      captureVisibleTabResult: "data:image/png;base64,aGVsbG8=",
     });
-    assert.ok(failureUpdate, "Should set retry-used failure label");
-    assert.equal(failureUpdate[0].args[3].retryVisible, true);
-    assert.equal(failureUpdate[0].args[3].retryEnabled, false);
-    assert.equal(failureUpdate[0].args[3].retryText, "Retry used");
-  });
-});
+    ctx.context.selectRegion = async () => viewportRegion;
 
-describe("captureFullPage — happy path", () => {
-  it("attaches debugger with protocol version 1.3", async () => {
-    const { captureFullPage, chrome } = createBackgroundContext();
+    await ctx.captureScreenshot(
+      { url: "https://example.com", id: 1, windowId: 1 },
+      "region"
+    );
 
-    await captureFullPage({ id: 1 });
+    assert.equal(ctx.chrome.tabs.captureVisibleTab.calls.length, 1);
+    assert.equal(ctx.chrome.debugger.attach.calls.length, 0);
 
-    assert.equal(chrome.debugger.attach.calls.length, 1);
-    const [debuggee, version] = chrome.debugger.attach.calls[0];
-    assert.deepEqual(debuggee, { tabId: 1 });
-    assert.equal(version, "1.3");
+    // DPR 2: bitmap is twice the CSS viewport width
+    const [canvas] = ctx.canvases;
+    assert.equal(canvas.width, 600);
+    assert.equal(canvas.height, 400);
+    const [, sx, sy, sw, sh] = canvas.drawImageCalls[0];
+    assert.deepEqual([sx, sy, sw, sh], [200, 100, 600, 400]);
+
+    const previewCall = ctx.chrome.scripting.executeScript.calls.find(
+      (c) => c[0].args && c[0].args.length === 5
+    );
+    assert.ok(previewCall, "Cropped image should be previewed");
+    // base64 of the mock canvas blob contents ("canvas")
+    assert.equal(previewCall[0].args[0], "Y2FudmFz");
   });
 
-  it("sends CDP commands in correct order", async () => {
-    const { captureFullPage, chrome } = createBackgroundContext();
+  it("uses a Page.captureScreenshot clip for regions taller than the viewport", async () => {
+    const ctx = createBackgroundContext();
+    ctx.context.selectRegion = async () => ({
+      ...viewportRegion,
+      y: 100,
+      height: 2400,
+    });
 
-    await captureFullPage({ id: 1 });
+    await ctx.captureScreenshot(
+      { url: "https://example.com", id: 1, windowId: 1 },
+      "region"
+    );
 
-    const methods = cdpMethods(chrome);
-    // Main sequence (before cleanup)
-    assert.equal(methods[0], "Page.getLayoutMetrics");
-    assert.equal(methods[1], "Runtime.evaluate"); // injected helpers check
-    assert.equal(methods[2], "Runtime.evaluate"); // inject lib.js
-    assert.equal(methods[3], "Runtime.evaluate"); // mark injected helpers
-    assert.equal(methods[4], "Runtime.evaluate"); // measurePageDimensions
-    assert.equal(methods[5], "Runtime.evaluate"); // expanded count
-    assert.equal(methods[6], "Runtime.evaluate"); // devicePixelRatio
-    assert.equal(methods[7], "Runtime.evaluate"); // scrollbar hiding
-    assert.equal(methods[8], "Overlay.setShowViewportSizeOnResize");
-    assert.equal(methods[9], "Runtime.evaluate"); // resize blocker
-    assert.equal(methods[10], "Emulation.setDeviceMetricsOverride");
-    assert.equal(methods[11], "Page.captureScreenshot");
-    // Cleanup
-    assert.equal(methods[12], "Emulation.clearDeviceMetricsOverride");
+    assert.equal(ctx.chrome.tabs.captureVisibleTab.calls.length, 0);
+    const screenshotCall = cdpCall(ctx.chrome, "Page.captureScreenshot");
+    assert.ok(screenshotCall);
+    assert.equal(screenshotCall[2].captureBeyondViewport, true);
+    assert.deepEqual(screenshotCall[2].clip, {
+      x: 100,
+      y: 100,
+      width: 300,
+      height: 2400,
+      scale: 1,
+    });
+    assert.ok(ctx.chrome.debugger.detach.calls.length > 0);
+    // The debugger path leaves the layout alone
+    assert.equal(cdpCall(ctx.chrome, "Emulation.setDeviceMetricsOverride"), undefined);
   });
+});
 
-  it("returns { data, warning } object", async () => {
-    const { captureFullPage } = createBackgroundContext({
-      captureData: "myBase64",
-    });
+describe("captureScreenshot — element capture", () => {
+  it("does nothing when picking is cancelled", async () => {
+    const ctx = createBackgroundContext();
+    ctx.context.pickElement = async () => null;
 
-    const result = await captureFullPage({ id: 1 });
+    await ctx.captureScreenshot(
+      { url: "https://example.com", id: 1, windowId: 1 },
+      "element"
+    );
 
-    assert.equal(result.data, "myBase64");
-    assert.equal(result.warning, null);
+    assert.equal(ctx.chrome.action.setBadgeText.calls.length, 0);
+    assert.equal(ctx.chrome.debugger.attach.calls.length, 0);
   });
 
-  it("captures with clip matching clamped dimensions", async () => {
-    const { captureFullPage, chrome } = createBackgroundContext({
-      pageHeight: 5000,
-      viewportWidth: 1280,
+  it("captures the picked element's bounding box with a clip", async () => {
+    const ctx = createBackgroundContext({ captureData: "elementBase64" });
+    // Even an element that fits the viewport uses the clip path
+    ctx.context.pickElement = async () => ({
+      x: 40,
+      y: 1200,
+      width: 320,
+      height: 180,
     });
 
-    await captureFullPage({ id: 1 });
+    await ctx.captureScreenshot(
+      { url: "https://example.com", id: 1, windowId: 1 },
+      "element"
+    );
 
-    const screenshotCall = cdpCall(chrome, "Page.captureScreenshot");
-    assert.ok(screenshotCall);
-    const params = screenshotCall[2];
-    assert.equal(params.format, "png");
-    assert.deepEqual(params.clip, {
-      x: 0,
-      y: 0,
-      width: 1280,
-      height: 5000,
+    assert.equal(ctx.chrome.tabs.captureVisibleTab.calls.length, 0);
+    const screenshotCall = cdpCall(ctx.chrome, "Page.captureScreenshot");
+    assert.deepEqual(screenshotCall[2].clip, {
+      x: 40,
+      y: 1200,
+      width: 320,
+      height: 180,
       scale: 1,
     });
+
+    const previewCall = ctx.chrome.scripting.executeScript.calls.find(
+      (c) => c[0].args && c[0].args.length === 5
+    );
+    assert.equal(previewCall[0].args[0], "elementBase64");
   });
 });
 
-describe("captureFullPage — DPR strategy", () => {
-  it("uses deviceScaleFactor 0 when no expanded containers and page fits", async () => {
-    const { captureFullPage, chrome } = createBackgroundContext({
-      expandedContainerCount: 0,
-      nativeDPR: 1,
-      pageHeight: 3000,
+describe("captureScreenshot — context menu targets", () => {
+  const tab = { url: "https://example.com", id: 1, windowId: 1 };
+
+  /** Route executeScript calls by a marker found in the injected source. */
+  function routeExecuteScript(routes) {
+    return async (injection) => {
+      const source = injection.func?.toString?.() || "";
+      for (const [marker, result] of routes) {
+        if (source.includes(marker)) {
+          return typeof result === "function" ? result(injection) : result;
+        }
+      }
+      return [{ result: { ok: true } }];
+    };
+  }
+
+  it("clips to the right-clicked image's rect in the top frame", async () => {
+    const ctx = createBackgroundContext({
+      executeScriptImpl: routeExecuteScript([
+        ["document.images", [{ result: {
+          left: 10, top: 20, width: 200, height: 100, scrollX: 0, scrollY: 500,
+        } }]],
+      ]),
     });
 
-    await captureFullPage({ id: 1 });
+    await ctx.captureScreenshot(tab, "image", {
+      contextInfo: { srcUrl: "https://example.com/a.png", frameId: 0 },
+    });
 
-    const emulationCall = cdpCall(chrome, "Emulation.setDeviceMetricsOverride");
-    assert.equal(emulationCall[2].deviceScaleFactor, 0);
+    const screenshotCall = cdpCall(ctx.chrome, "Page.captureScreenshot");
+    assert.deepEqual(screenshotCall[2].clip, {
+      x: 10, y: 520, width: 200, height: 100, scale: 1,
+    });
+    const locateCall = ctx.chrome.scripting.executeScript.calls.find(
+      (c) => c[0].func.toString().includes("document.images")
+    );
+    assert.deepEqual(locateCall[0].target, { tabId: 1, frameIds: [0] });
+    assert.deepEqual(locateCall[0].args, ["https://example.com/a.png"]);
   });
 
-  it("uses deviceScaleFactor 1 when expanded containers exist", async () => {
-    const { captureFullPage, chrome } = createBackgroundContext({
-      expandedContainerCount: 2,
-      nativeDPR: 1,
-      pageHeight: 3000,
+  it("falls back to fetching srcUrl when the image is not in the DOM", async () => {
+    const ctx = createBackgroundContext({
+      executeScriptImpl: routeExecuteScript([
+        ["document.images", [{ result: null }]],
+      ]),
+    });
+    ctx.context.fetch = async () => ({
+      ok: true,
+      blob: async () => new Blob(["img"]),
     });
 
-    await captureFullPage({ id: 1 });
+    await ctx.captureScreenshot(tab, "image", {
+      contextInfo: { srcUrl: "https://cdn.example.com/a.webp", frameId: 0 },
+    });
 
-    const emulationCall = cdpCall(chrome, "Emulation.setDeviceMetricsOverride");
-    assert.equal(emulationCall[2].deviceScaleFactor, 1);
+    assert.equal(ctx.chrome.debugger.attach.calls.length, 0);
+    const previewCall = ctx.chrome.scripting.executeScript.calls.find(
+      (c) => c[0].args && c[0].args.length === 5
+    );
+    assert.equal(previewCall[0].args[0], "Y2FudmFz");
   });
 
-  it("uses deviceScaleFactor 1 when physical height exceeds GPU limit", async () => {
-    const { captureFullPage, chrome } = createBackgroundContext({
-      expandedContainerCount: 0,
-      nativeDPR: 2, // 9000 * 2 = 18000 > 16384
-      pageHeight: 9000,
+  it("explains that a cross-origin source can't be loaded", async () => {
+    const ctx = createBackgroundContext({
+      executeScriptImpl: routeExecuteScript([
+        ["document.images", [{ result: null }]],
+      ]),
     });
+    ctx.context.fetch = async () => {
+      throw new TypeError("Failed to fetch");
+    };
 
-    await captureFullPage({ id: 1 });
+    await ctx.captureScreenshot(tab, "image", {
+      contextInfo: { srcUrl: "https://cdn.example.com/a.webp", frameId: 0 },
+    });
 
-    const emulationCall = cdpCall(chrome, "Emulation.setDeviceMetricsOverride");
-    assert.equal(emulationCall[2].deviceScaleFactor, 1);
+    assert.ok(badgeTexts(ctx.chrome).includes("✗"));
+    const errorCall = ctx.chrome.scripting.executeScript.calls.find((c) =>
+      (c[0].args ?? []).some((arg) => String(arg).includes("cdn.example.com doesn't let"))
+    );
+    assert.ok(errorCall);
   });
-});
 
-describe("captureFullPage — dimension clamping", () => {
-  it("clamps viewport width to MAX_CAPTURE_WIDTH (10000)", async () => {
-    const { captureFullPage, chrome } = createBackgroundContext({
-      viewportWidth: 15000,
+  it("translates a sub-frame selection through the frame's position", async () => {
+    const ctx = createBackgroundContext({
+      executeScriptImpl: routeExecuteScript([
+        ["getSelection", [{ result: {
+          left: 5, top: -300, width: 400, height: 900, scrollX: 0, scrollY: 0,
+        } }]],
+        ["querySelectorAll(\"iframe, frame\")", [{ result: {
+          x: 100, y: 1000, width: 600, height: 400,
+        } }]],
+      ]),
     });
 
-    await captureFullPage({ id: 1 });
-
-    const emulationCall = cdpCall(chrome, "Emulation.setDeviceMetricsOverride");
-    assert.equal(emulationCall[2].width, 10000);
+    await ctx.captureScreenshot(tab, "selection", {
+      contextInfo: { frameId: 3, frameUrl: "https://example.com/embed" },
+    });
 
-    const screenshotCall = cdpCall(chrome, "Page.captureScreenshot");
-    assert.equal(screenshotCall[2].clip.width, 10000);
+    const screenshotCall = cdpCall(ctx.chrome, "Page.captureScreenshot");
+    assert.deepEqual(screenshotCall[2].clip, {
+      x: 105, y: 700, width: 400, height: 900, scale: 1,
+    });
   });
 
-  it("clamps height minimum to 1", async () => {
-    const { captureFullPage, chrome } = createBackgroundContext({
-      pageHeight: 0,
+  it("shows an error badge when there is no selection", async () => {
+    const ctx = createBackgroundContext({
+      executeScriptImpl: routeExecuteScript([
+        ["getSelection", [{ result: null }]],
+      ]),
     });
 
-    await captureFullPage({ id: 1 });
+    await ctx.captureScreenshot(tab, "selection", { contextInfo: { frameId: 0 } });
 
-    const emulationCall = cdpCall(chrome, "Emulation.setDeviceMetricsOverride");
-    assert.equal(emulationCall[2].height, 1);
+    assert.ok(badgeTexts(ctx.chrome).includes("✗"));
+    assert.equal(ctx.chrome.debugger.attach.calls.length, 0);
   });
-});
 
-describe("captureFullPage — warnings", () => {
-  it("returns tiling warning when height exceeds GPU_TEXTURE_LIMIT", async () => {
+  it("expands the frame element to its document height and restores it", async () => {
+    const ctx = createBackgroundContext({
+      executeScriptImpl: routeExecuteScript([
+        ["__screenshotFrameScroll = {", [{ result: 4200 }]],
+        ["find(document", (injection) => [{ result: {
+          x: 50, y: 300, width: 800, height: injection.args[1],
+        } }]],
+      ]),
+    });
+
+    await ctx.captureScreenshot(tab, "frame", {
+      contextInfo: { frameId: 7, frameUrl: "https://example.com/embed" },
+    });
+
+    const calls = ctx.chrome.scripting.executeScript.calls.map((c) => c[0]);
+    const measure = calls.find((c) => c.func.toString().includes("__screenshotFrameScroll = {"));
+    assert.deepEqual(measure.target, { tabId: 1, frameIds: [7] });
+    const locate = calls.find((c) => c.func.toString().includes("find(document"));
+    assert.deepEqual(locate.args, ["https://example.com/embed", 4200]);
+
+    const screenshotCall = cdpCall(ctx.chrome, "Page.captureScreenshot");
+    assert.deepEqual(screenshotCall[2].clip, {
+      x: 50, y: 300, width: 800, height: 4200, scale: 1,
+    });
+
+    assert.ok(
+      calls.some((c) => c.func.toString().includes("classList.remove(\"__screenshot-frame-expanded__\")")),
+      "Should restore the frame element"
+    );
+    const restoreScroll = calls.find((c) => c.func.toString().includes("delete window.__screenshotFrameScroll"));
+    assert.deepEqual(restoreScroll.target, { tabId: 1, frameIds: [7] });
+  });
+
+  it("captures the full page for the top frame", async () => {
+    const ctx = createBackgroundContext();
+
+    await ctx.captureScreenshot(tab, "frame", { contextInfo: { frameId: 0 } });
+
+    assert.ok(cdpCall(ctx.chrome, "Emulation.setDeviceMetricsOverride"));
+  });
+});
+
+describe("captureClip", () => {
+  it("detaches the debugger when the capture fails", async () => {
+    const { captureClip, chrome } = createBackgroundContext({
+      sendCommandErrors: {
+        "Page.captureScreenshot": new Error("GPU OOM"),
+      },
+    });
+
+    await assert.rejects(() =>
+      captureClip({ id: 1 }, { x: 0, y: 0, width: 100, height: 100 })
+    );
+    assert.equal(chrome.debugger.detach.calls.length, 1);
+  });
+});
+
+describe("captureScreenshot — destinations", () => {
+  const tab = {
+    url: "https://example.com/docs",
+    title: "Docs",
+    id: 1,
+    windowId: 1,
+  };
+
+  function labelTexts(chrome) {
+    return chrome.scripting.executeScript.calls
+      .map((c) => c[0].args?.[0])
+      .filter((text) => typeof text === "string");
+  }
+
+  it("copies to the clipboard only by default", async () => {
+    const ctx = createBackgroundContext();
+
+    await ctx.captureScreenshot(tab, "visible");
+    await new Promise((r) => setTimeout(r, 0));
+
+    assert.equal(ctx.chrome.downloads.download.calls.length, 0);
+    assert.ok(labelTexts(ctx.chrome).includes("Copied to clipboard \u2713"));
+  });
+
+  it("downloads instead of copying when the stored destination is download", async () => {
+    const ctx = createBackgroundContext({
+      settings: { destination: "download", filenameTemplate: "shots/{host}/{mode}" },
+    });
+
+    await ctx.captureScreenshot(tab, "visible");
+    await new Promise((r) => setTimeout(r, 0));
+
+    const clipboardWrites = ctx.chrome.scripting.executeScript.calls.filter(
+      (c) => c[0].func.toString().includes("navigator.clipboard.write")
+    );
+    assert.equal(clipboardWrites.length, 0);
+
+    assert.equal(ctx.chrome.downloads.download.calls.length, 1);
+    const [request] = ctx.chrome.downloads.download.calls[0];
+    assert.equal(request.filename, "shots/example.com/visible.png");
+    assert.equal(request.url, "data:image/png;base64,visibleBase64");
+    assert.equal(request.conflictAction, "uniquify");
+    assert.ok(badgeTexts(ctx.chrome).includes("✓"));
+    assert.ok(labelTexts(ctx.chrome).includes("Saved to Downloads \u2713"));
+
+    const previewCall = ctx.chrome.scripting.executeScript.calls.find(
+      (c) => c[0].args && c[0].args.length === 5
+    );
+    assert.equal(previewCall[0].args[4].statusText, "Saving\u2026");
+  });
+
+  it("copies and downloads when the per-capture destination is both", async () => {
+    const ctx = createBackgroundContext();
+
+    await ctx.captureScreenshot(tab, "visible", { destination: "both" });
+    await new Promise((r) => setTimeout(r, 0));
+
+    assert.equal(ctx.chrome.downloads.download.calls.length, 1);
+    assert.ok(labelTexts(ctx.chrome).includes("Copied and saved \u2713"));
+  });
+
+  it("reports a failed download without losing the clipboard result", async () => {
+    const ctx = createBackgroundContext({
+      settings: { destination: "both" },
+      downloadImpl: async () => {
+        throw new Error("Download quota exceeded");
+      },
+    });
+
+    await ctx.captureScreenshot(tab, "visible");
+    await new Promise((r) => setTimeout(r, 0));
+
+    assert.ok(badgeTexts(ctx.chrome).includes("✗"));
+    assert.ok(labelTexts(ctx.chrome).includes("Copied \u2014 download failed"));
+  });
+});
+
+describe("captureScreenshot — settings", () => {
+  const tab = { url: "https://example.com", id: 1, windowId: 1 };
+
+  function previewOptions(chrome) {
+    const previewCall = chrome.scripting.executeScript.calls.find(
+      (c) => c[0].args && c[0].args.length === 5
+    );
+    return previewCall[0].args[4];
+  }
+
+  it("passes preview duration and position to the preview", async () => {
+    const ctx = createBackgroundContext({
+      settings: { previewDuration: 10, previewPosition: "bottom-left" },
+    });
+
+    await ctx.captureScreenshot(tab, "visible");
+
+    const opts = previewOptions(ctx.chrome);
+    assert.equal(opts.durationMs, 10000);
+    assert.equal(opts.position, "bottom-left");
+  });
+
+  it("falls back to defaults for invalid stored values", async () => {
+    const ctx = createBackgroundContext({
+      settings: { previewDuration: "soon", previewPosition: "middle" },
+    });
+
+    await ctx.captureScreenshot(tab, "visible");
+
+    const opts = previewOptions(ctx.chrome);
+    assert.equal(opts.durationMs, 4000);
+    assert.equal(opts.position, "top-right");
+  });
+
+  it("passes the DPR policy to full-page captures", async () => {
+    const ctx = createBackgroundContext({ settings: { dprPolicy: "1x" } });
+
+    await ctx.captureScreenshot(tab, "full");
+
+    const emulationCall = cdpCall(ctx.chrome, "Emulation.setDeviceMetricsOverride");
+    assert.equal(emulationCall[2].deviceScaleFactor, 1);
+  });
+
+  it("passes the scroll container strategy to page measurement", async () => {
+    const ctx = createBackgroundContext({ settings: { scrollContainers: "all" } });
+
+    await ctx.captureScreenshot(tab, "full");
+
+    const measureCall = ctx.chrome.debugger.sendCommand.calls.find(
+      (c) =>
+        c[1] === "Runtime.evaluate" &&
+        c[2].expression.includes("measurePageDimensions(")
+    );
+    assert.match(measureCall[2].expression, /"scrollContainers":"all"/);
+  });
+
+  it("reads storage once and applies storage.onChanged updates", async () => {
+    const ctx = createBackgroundContext();
+
+    await ctx.captureScreenshot(tab, "visible");
+    ctx.listeners.onStorageChangedCb(
+      { previewPosition: { oldValue: "top-right", newValue: "top-left" } },
+      "sync"
+    );
+    await ctx.captureScreenshot(tab, "visible");
+
+    assert.equal(ctx.chrome.storage.sync.get.calls.length, 1);
+    const previews = ctx.chrome.scripting.executeScript.calls.filter(
+      (c) => c[0].args && c[0].args.length === 5
+    );
+    assert.equal(previews[1][0].args[4].position, "top-left");
+  });
+
+  it("resets removed keys to their defaults and ignores other areas", async () => {
+    const ctx = createBackgroundContext({ settings: { previewDuration: 9 } });
+
+    await ctx.captureScreenshot(tab, "visible");
+    ctx.listeners.onStorageChangedCb(
+      { previewDuration: { newValue: 20 } },
+      "local"
+    );
+    await ctx.captureScreenshot(tab, "visible");
+    ctx.listeners.onStorageChangedCb({ previewDuration: { oldValue: 9 } }, "sync");
+    await ctx.captureScreenshot(tab, "visible");
+
+    const durations = ctx.chrome.scripting.executeScript.calls
+      .filter((c) => c[0].args && c[0].args.length === 5)
+      .map((c) => c[0].args[4].durationMs);
+    assert.deepEqual(durations, [9000, 9000, 4000]);
+  });
+});
+
+describe("captureScreenshot — output formats", () => {
+  const tab = { url: "https://example.com", title: "Example", id: 1, windowId: 1 };
+
+  function clipboardWriteData(chrome) {
+    const call = chrome.scripting.executeScript.calls.find(
+      (c) => c[0].func.toString().includes("navigator.clipboard.write") &&
+        c[0].args?.length === 2
+    );
+    return call?.[0].args[0];
+  }
+
+  it("captures JPEG natively and transcodes it to PNG for the clipboard", async () => {
+    const ctx = createBackgroundContext({
+      captureVisibleTabResult: "data:image/jpeg;base64,aGVsbG8=",
+      settings: { format: "jpeg", quality: 70, destination: "both" },
+    });
+
+    await ctx.captureScreenshot(tab, "visible");
+    await waitForCondition(() => ctx.chrome.downloads.download.calls.length > 0);
+    await new Promise((r) => setTimeout(r, 0));
+
+    const [, opts] = ctx.chrome.tabs.captureVisibleTab.calls[0];
+    assert.deepEqual(opts, { format: "jpeg", quality: 70 });
+
+    // The clipboard gets a PNG re-encode ("canvas" blob → Y2FudmFz)…
+    const pngCanvas = ctx.canvases.find((c) => c.convertOptions?.type === "image/png");
+    assert.ok(pngCanvas);
+    assert.equal(clipboardWriteData(ctx.chrome), "Y2FudmFz");
+    // …while the download keeps the JPEG bytes and extension.
+    const [request] = ctx.chrome.downloads.download.calls[0];
+    assert.equal(request.url, "data:image/jpeg;base64,aGVsbG8=");
+    assert.match(request.filename, /\.jpg$/);
+
+    const previewCall = ctx.chrome.scripting.executeScript.calls.find(
+      (c) => c[0].args && c[0].args.length === 5
+    );
+    assert.equal(previewCall[0].args[4].mimeType, "image/jpeg");
+  });
+
+  it("transcodes visible captures to WebP in the service worker", async () => {
+    const ctx = createBackgroundContext({
+      captureVisibleTabResult: "data:image/png;base64,aGVsbG8=",
+      settings: { format: "webp", quality: 80 },
+    });
+
+    await ctx.captureScreenshot(tab, "visible");
+
+    const [, opts] = ctx.chrome.tabs.captureVisibleTab.calls[0];
+    assert.deepEqual(opts, { format: "png" });
+    assert.deepEqual(
+      { ...ctx.canvases[0].convertOptions },
+      { type: "image/webp", quality: 0.8 }
+    );
+  });
+
+  it("passes format and quality to Page.captureScreenshot for full pages", async () => {
+    const ctx = createBackgroundContext({
+      settings: { format: "webp", quality: 55 },
+    });
+
+    await ctx.captureScreenshot(tab, "full");
+
+    const [, , params] = cdpCall(ctx.chrome, "Page.captureScreenshot");
+    assert.equal(params.format, "webp");
+    assert.equal(params.quality, 55);
+  });
+
+  it("omits quality for PNG clips and flattens JPEG crops onto white", async () => {
+    const ctx = createBackgroundContext({
+      captureVisibleTabResult: "data:image/png;base64,aGVsbG8=",
+    });
+
+    await ctx.captureClip(tab, { x: 0, y: 0, width: 10, height: 10 });
+    const [, , params] = cdpCall(ctx.chrome, "Page.captureScreenshot");
+    assert.equal(params.format, "png");
+    assert.equal("quality" in params, false);
+
+    await ctx.captureRegion(tab, {
+      x: 0, y: 0, width: 10, height: 10,
+      scrollX: 0, scrollY: 0, viewportWidth: 1280, viewportHeight: 800,
+    }, { format: "jpeg", quality: 90 });
+    assert.equal(ctx.canvases[0].fillRectCalls.length, 1);
+    assert.equal(ctx.canvases[0].convertOptions.type, "image/jpeg");
+  });
+});
+
+describe("captureScreenshot — history", () => {
+  const tab = {
+    url: "https://example.com/page",
+    title: "Example page",
+    id: 1,
+    windowId: 1,
+  };
+  const captureVisibleTabResult = "data:image/png;base64,aGVsbG8=";
+
+  it("stores the capture with metadata and a thumbnail, then prunes", async () => {
+    const ctx = createBackgroundContext({
+      captureVisibleTabResult,
+      bitmapSize: { width: 1280, height: 4000 },
+      settings: { historyQuotaMB: 50 },
+    });
+
+    await ctx.captureScreenshot(tab, "visible");
+    await waitForCondition(() => ctx.context.historyPrune.calls.length > 0);
+
+    const [record] = ctx.context.historyAdd.calls[0];
+    assert.equal(record.url, "https://example.com/page");
+    assert.equal(record.host, "example.com");
+    assert.equal(record.title, "Example page");
+    assert.equal(record.mode, "visible");
+    assert.equal(record.format, "png");
+    assert.equal(record.width, 1280);
+    assert.equal(record.height, 4000);
+    assert.equal(record.warning, null);
+    assert.equal(record.image.type, "image/png");
+    assert.equal(record.thumbnail.type, "image/jpeg");
+    assert.equal(record.size, record.image.size + record.thumbnail.size);
+
+    // 320px wide, cropped to the top 480px of the page.
+    const thumbCanvas = ctx.canvases.at(-1);
+    assert.equal(thumbCanvas.width, 320);
+    assert.equal(thumbCanvas.height, 480);
+    assert.deepEqual(ctx.context.historyPrune.calls[0], [50 * 1024 * 1024]);
+  });
+
+  it("skips incognito tabs unless allowed in settings", async () => {
+    const incognitoTab = { ...tab, incognito: true };
+    const ctx = createBackgroundContext({ captureVisibleTabResult });
+
+    await ctx.captureScreenshot(incognitoTab, "visible");
+    await new Promise((r) => setTimeout(r, 0));
+    assert.equal(ctx.context.historyAdd.calls.length, 0);
+
+    const allowed = createBackgroundContext({
+      captureVisibleTabResult,
+      settings: { historyIncognito: true },
+    });
+    await allowed.captureScreenshot(incognitoTab, "visible");
+    await waitForCondition(() => allowed.context.historyAdd.calls.length > 0);
+  });
+
+  it("does nothing when history is disabled", async () => {
+    const ctx = createBackgroundContext({
+      captureVisibleTabResult,
+      settings: { historyEnabled: false },
+    });
+
+    await ctx.captureScreenshot(tab, "visible");
+    await new Promise((r) => setTimeout(r, 0));
+
+    assert.equal(ctx.context.historyAdd.calls.length, 0);
+  });
+
+  it("keeps the capture successful when the history write fails", async () => {
+    const ctx = createBackgroundContext({
+      captureVisibleTabResult,
+      historyAddImpl: async () => {
+        throw new Error("QuotaExceededError");
+      },
+    });
+
+    await ctx.captureScreenshot(tab, "visible");
+    await waitForCondition(() => ctx.context.console.warn.calls.length > 0);
+
+    assert.ok(badgeTexts(ctx.chrome).includes("✓"));
+    assert.ok(!badgeTexts(ctx.chrome).includes("✗"));
+    assert.match(ctx.context.console.warn.calls[0][0], /Saving capture to history failed/);
+  });
+});
+
+describe("downloadScreenshot", () => {
+  // 800×600 PNG signature + IHDR chunk
+  const pngHeader = "iVBORw0KGgoAAAANSUhEUgAAAyAAAAJYCAYAAACadoJw";
+  const tab = { url: "https://example.com/", title: "Example", id: 1 };
+
+  it("fills size tokens from the PNG header", async () => {
+    const { downloadScreenshot, chrome } = createBackgroundContext();
+
+    await downloadScreenshot(pngHeader, {
+      tab,
+      mode: "full",
+      settings: {
+        filenameTemplate: "{title} {width}x{height} {mode}",
+        conflictAction: "overwrite",
+      },
+    });
+
+    const [request] = chrome.downloads.download.calls[0];
+    assert.equal(request.filename, "Example 800x600 full.png");
+    assert.equal(request.conflictAction, "overwrite");
+  });
+
+  it("retries with the default template when Chrome rejects the filename", async () => {
+    let attempts = 0;
+    const { downloadScreenshot, chrome } = createBackgroundContext({
+      downloadImpl: async () => {
+        attempts++;
+        if (attempts === 1) throw new Error("Invalid filename");
+        return 7;
+      },
+    });
+
+    const id = await downloadScreenshot(pngHeader, {
+      tab,
+      mode: "visible",
+      settings: { filenameTemplate: "CON", conflictAction: "uniquify" },
+    });
+
+    assert.equal(id, 7);
+    assert.equal(chrome.downloads.download.calls.length, 2);
+    assert.match(
+      chrome.downloads.download.calls[1][0].filename,
+      /^screenshot_example\.com_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}\.png$/
+    );
+  });
+
+  it("readPngSize returns null for non-PNG data", () => {
+    const { readPngSize } = createBackgroundContext();
+
+    assert.deepEqual(readPngSize(pngHeader), { width: 800, height: 600 });
+    assert.equal(readPngSize("bm90IGEgcG5n"), null);
+  });
+});
+
+describe("annotation editor", () => {
+  const tab = {
+    url: "https://example.com/docs",
+    title: "Docs",
+    id: 7,
+    index: 2,
+    windowId: 1,
+  };
+
+  it("opens the editor next to the tab and hands the capture over once", async () => {
+    const { chrome, listeners } = createBackgroundContext();
+
+    listeners.onMessageCb(
+      { action: "openEditor", data: "imgData", mimeType: "image/jpeg" },
+      { tab }
+    );
+    await waitForCondition(() => chrome.tabs.create.calls.length === 1);
+
+    const [props] = chrome.tabs.create.calls[0];
+    assert.equal(props.url, "chrome-extension://test/editor.html?session=session-1");
+    assert.equal(props.index, 3);
+    assert.equal(props.openerTabId, 7);
+
+    const responses = [];
+    listeners.onMessageCb(
+      { action: "editorSession", session: "session-1" }, {}, (r) => responses.push(r)
+    );
+    listeners.onMessageCb(
+      { action: "editorSession", session: "session-1" }, {}, (r) => responses.push(r)
+    );
+    assert.equal(responses[0].data, "imgData");
+    assert.equal(responses[0].mimeType, "image/jpeg");
+    assert.equal(responses[0].tab.url, "https://example.com/docs");
+    assert.equal(responses[1], null);
+  });
+
+  it("leaves the clipboard to the editor and only records history", async () => {
+    const { chrome, listeners } = createBackgroundContext({
+      offscreen: { sendMessageImpl: async () => ({ ok: true }) },
+    });
+    let response;
+
+    const keepOpen = listeners.onMessageCb(
+      { action: "exportAnnotation", tab, data: "annotatedPng", destination: "clipboard" },
+      { tab: { id: 100 } },
+      (r) => { response = r; }
+    );
+    assert.equal(keepOpen, true);
+    await waitForCondition(() => response !== undefined);
+
+    assert.deepEqual({ ...response }, { saved: null });
+    assert.equal(chrome.downloads.download.calls.length, 0);
+    assert.equal(chrome.offscreen.createDocument.calls.length, 0);
+    assert.equal(chrome.scripting.executeScript.calls.length, 0);
+  });
+
+  it("saves when the editor's destination includes downloads", async () => {
+    const { chrome, listeners } = createBackgroundContext();
+    let response;
+
+    listeners.onMessageCb(
+      { action: "exportAnnotation", tab, data: "annotatedPng", destination: "both" },
+      { tab: { id: 100 } },
+      (r) => { response = r; }
+    );
+    await waitForCondition(() => response !== undefined);
+
+    assert.deepEqual({ ...response }, { saved: true });
+    assert.equal(chrome.downloads.download.calls.length, 1);
+  });
+
+  it("saves the exported image in the configured format and mode", async () => {
+    const { chrome, listeners } = createBackgroundContext({
+      settings: { destination: "both", format: "jpeg", filenameTemplate: "{host}_{mode}" },
+    });
+    let response;
+
+    listeners.onMessageCb(
+      { action: "exportAnnotation", tab, data: "annotatedPng" },
+      { tab: { id: 100 } },
+      (r) => { response = r; }
+    );
+    await waitForCondition(() => response !== undefined);
+
+    assert.deepEqual({ ...response }, { saved: true });
+    const [request] = chrome.downloads.download.calls[0];
+    assert.equal(request.filename, "example.com_annotated.jpg");
+    assert.match(request.url, /^data:image\/jpeg;base64,/);
+  });
+
+  it("reports a failed download", async () => {
+    const { listeners } = createBackgroundContext({
+      settings: { destination: "download" },
+      downloadImpl: async () => {
+        throw new Error("Download quota exceeded");
+      },
+    });
+    let response;
+
+    listeners.onMessageCb(
+      { action: "exportAnnotation", tab, data: "annotatedPng" },
+      { tab: { id: 100 } },
+      (r) => { response = r; }
+    );
+    await waitForCondition(() => response !== undefined);
+
+    assert.deepEqual({ ...response }, { saved: false });
+  });
+});
+
+describe("retryClipboardFromPreview", () => {
+  it("sets progress badge and final success UI state", async () => {
+    const ctx = createBackgroundContext();
+    ctx.context.clipboardWriteFromPreviewViaScript = async () => {};
+
+    await ctx.retryClipboardFromPreview(1);
+
+    const texts = badgeTexts(ctx.chrome);
+    assert.ok(texts.includes("..."));
+    assert.ok(texts.includes("✓"));
+
+    const retryingUpdate = ctx.chrome.scripting.executeScript.calls.find((c) => {
+      const args = c[0].args || [];
+      return args[0] === "Retrying clipboard\u2026";
+    });
+    assert.ok(retryingUpdate, "Should set retrying label");
+    assert.equal(retryingUpdate[0].args[3].retryVisible, true);
+    assert.equal(retryingUpdate[0].args[3].retryEnabled, false);
+    assert.equal(retryingUpdate[0].args[3].retryText, "Retrying\u2026");
+
+    const successUpdate = ctx.chrome.scripting.executeScript.calls.find((c) => {
+      const args = c[0].args || [];
+      return args[0] === "Copied to clipboard \u2713";
+    });
+    assert.ok(successUpdate, "Should set success label after retry");
+    assert.equal(successUpdate[0].args[2], true);
+    assert.equal(successUpdate[0].args[3].retryVisible, false);
+  });
+
+  it("sets failure UI state and disables retry after retry failure", async () => {
+    const ctx = createBackgroundContext();
+    ctx.context.clipboardWriteFromPreviewViaScript = async () => {
+      throw new Error("Document is not focused");
+    };
+
+    await ctx.retryClipboardFromPreview(1);
+
+    const texts = badgeTexts(ctx.chrome);
+    assert.ok(texts.includes("..."));
+    assert.ok(texts.includes("✗"));
+
+    const failureUpdate = ctx.chrome.scripting.executeScript.calls.find((c) => {
+      const args = c[0].args || [];
+      return args[0] === "Clipboard failed — retry used, take a new screenshot";
+    });
+    assert.ok(failureUpdate, "Should set retry-used failure label");
+    assert.equal(failureUpdate[0].args[3].retryVisible, true);
+    assert.equal(failureUpdate[0].args[3].retryEnabled, false);
+    assert.equal(failureUpdate[0].args[3].retryText, "Retry used");
+  });
+});
+
+describe("captureFullPage — happy path", () => {
+  it("attaches debugger with protocol version 1.3", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext();
+
+    await captureFullPage({ id: 1 });
+
+    assert.equal(chrome.debugger.attach.calls.length, 1);
+    const [debuggee, version] = chrome.debugger.attach.calls[0];
+    assert.deepEqual(debuggee, { tabId: 1 });
+    assert.equal(version, "1.3");
+  });
+
+  it("sends CDP commands in correct order", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext();
+
+    await captureFullPage({ id: 1 });
+
+    const methods = cdpMethods(chrome);
+    // Main sequence (before cleanup)
+    assert.equal(methods[0], "Page.getLayoutMetrics");
+    assert.equal(methods[1], "Runtime.evaluate"); // injected helpers check
+    assert.equal(methods[2], "Runtime.evaluate"); // inject lib.js
+    assert.equal(methods[3], "Runtime.evaluate"); // mark injected helpers
+    assert.equal(methods[4], "Runtime.evaluate"); // measurePageDimensions
+    assert.equal(methods[5], "Runtime.evaluate"); // expanded count
+    assert.equal(methods[6], "Runtime.evaluate"); // devicePixelRatio
+    assert.equal(methods[7], "Runtime.evaluate"); // scrollbar hiding
+    assert.equal(methods[8], "Overlay.setShowViewportSizeOnResize");
+    assert.equal(methods[9], "Runtime.evaluate"); // resize blocker
+    assert.equal(methods[10], "Emulation.setDeviceMetricsOverride");
+    assert.equal(methods[11], "Page.captureScreenshot");
+    // Cleanup
+    assert.equal(methods[12], "Emulation.clearDeviceMetricsOverride");
+  });
+
+  it("returns { data, warning } object", async () => {
+    const { captureFullPage } = createBackgroundContext({
+      captureData: "myBase64",
+    });
+
+    const result = await captureFullPage({ id: 1 });
+
+    assert.equal(result.data, "myBase64");
+    assert.equal(result.warning, null);
+  });
+
+  it("captures with clip matching clamped dimensions", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      pageHeight: 5000,
+      viewportWidth: 1280,
+    });
+
+    await captureFullPage({ id: 1 });
+
+    const screenshotCall = cdpCall(chrome, "Page.captureScreenshot");
+    assert.ok(screenshotCall);
+    const params = screenshotCall[2];
+    assert.equal(params.format, "png");
+    assert.deepEqual(params.clip, {
+      x: 0,
+      y: 0,
+      width: 1280,
+      height: 5000,
+      scale: 1,
+    });
+  });
+});
+
+describe("captureFullPage — DPR strategy", () => {
+  it("uses deviceScaleFactor 0 when no expanded containers and page fits", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      expandedContainerCount: 0,
+      nativeDPR: 1,
+      pageHeight: 3000,
+    });
+
+    await captureFullPage({ id: 1 });
+
+    const emulationCall = cdpCall(chrome, "Emulation.setDeviceMetricsOverride");
+    assert.equal(emulationCall[2].deviceScaleFactor, 0);
+  });
+
+  it("uses deviceScaleFactor 1 when expanded containers exist", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      expandedContainerCount: 2,
+      nativeDPR: 1,
+      pageHeight: 3000,
+    });
+
+    await captureFullPage({ id: 1 });
+
+    const emulationCall = cdpCall(chrome, "Emulation.setDeviceMetricsOverride");
+    assert.equal(emulationCall[2].deviceScaleFactor, 1);
+  });
+
+  it("uses deviceScaleFactor 1 when physical height exceeds GPU limit", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      expandedContainerCount: 0,
+      nativeDPR: 2, // 9000 * 2 = 18000 > 16384
+      pageHeight: 9000,
+    });
+
+    await captureFullPage({ id: 1 });
+
+    const emulationCall = cdpCall(chrome, "Emulation.setDeviceMetricsOverride");
+    assert.equal(emulationCall[2].deviceScaleFactor, 1);
+  });
+});
+
+describe("captureFullPage — DPR policy", () => {
+  it("forces deviceScaleFactor 1 with the 1x policy", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      nativeDPR: 2,
+      pageHeight: 3000,
+    });
+
+    const result = await captureFullPage({ id: 1 }, { dprPolicy: "1x" });
+
+    const emulationCall = cdpCall(chrome, "Emulation.setDeviceMetricsOverride");
+    assert.equal(emulationCall[2].deviceScaleFactor, 1);
+    assert.equal(result.warning, null);
+  });
+
+  it("keeps native DPR with the native policy even with expanded containers", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      expandedContainerCount: 1,
+      nativeDPR: 2,
+      pageHeight: 3000,
+    });
+
+    await captureFullPage({ id: 1 }, { dprPolicy: "native" });
+
+    const emulationCall = cdpCall(chrome, "Emulation.setDeviceMetricsOverride");
+    assert.equal(emulationCall[2].deviceScaleFactor, 0);
+  });
+
+  it("captures in bands when the native policy exceeds the GPU limit", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      nativeDPR: 2,
+      pageHeight: 9000,
+    });
+
+    const result = await captureFullPage({ id: 1 }, { dprPolicy: "native" });
+
+    // 16383 physical px per band at 2x → 8191 CSS px.
+    const clips = chrome.debugger.sendCommand.calls
+      .filter((c) => c[1] === "Page.captureScreenshot")
+      .map((c) => c[2].clip);
+    assert.deepEqual(clips.map((c) => [c.y, c.height]), [[0, 8191], [8191, 809]]);
+    assert.equal(result.warning, null);
+  });
+});
+
+describe("captureFullPage — dimension clamping", () => {
+  it("clamps viewport width to MAX_CAPTURE_WIDTH (10000)", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      viewportWidth: 15000,
+    });
+
+    await captureFullPage({ id: 1 });
+
+    const emulationCall = cdpCall(chrome, "Emulation.setDeviceMetricsOverride");
+    assert.equal(emulationCall[2].width, 10000);
+
+    const screenshotCall = cdpCall(chrome, "Page.captureScreenshot");
+    assert.equal(screenshotCall[2].clip.width, 10000);
+  });
+
+  it("clamps height minimum to 1", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      pageHeight: 0,
+    });
+
+    await captureFullPage({ id: 1 });
+
+    const emulationCall = cdpCall(chrome, "Emulation.setDeviceMetricsOverride");
+    assert.equal(emulationCall[2].height, 1);
+  });
+});
+
+describe("captureFullPage — horizontal overflow", () => {
+  it("widens the viewport and clip to the measured page width", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      pageWidth: 2500,
+      viewportWidth: 1280,
+    });
+
+    const result = await captureFullPage({ id: 1 });
+
+    const emulationCall = cdpCall(chrome, "Emulation.setDeviceMetricsOverride");
+    assert.equal(emulationCall[2].width, 2500);
+    const screenshotCall = cdpCall(chrome, "Page.captureScreenshot");
+    assert.equal(screenshotCall[2].clip.width, 2500);
+    assert.equal(result.warning, null);
+  });
+
+  it("cuts off pages wider than MAX_CAPTURE_WIDTH with a warning", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      pageWidth: 12000,
+    });
+
+    const result = await captureFullPage({ id: 1 });
+
+    const screenshotCall = cdpCall(chrome, "Page.captureScreenshot");
+    assert.equal(screenshotCall[2].clip.width, 10000);
+    assert.match(result.warning, /wider than 10000px/);
+  });
+
+  it("falls back to DPR 1 when the width exceeds the GPU limit at native DPR", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      pageWidth: 9000,
+      nativeDPR: 2,
+    });
+
+    await captureFullPage({ id: 1 });
+
+    const emulationCall = cdpCall(chrome, "Emulation.setDeviceMetricsOverride");
+    assert.equal(emulationCall[2].deviceScaleFactor, 1);
+  });
+});
+
+describe("captureFullPage — pre-scroll pass", () => {
+  const preScroll = { maxSteps: 30, maxHeight: 30000 };
+
+  function evaluateIndex(chrome, text) {
+    return chrome.debugger.sendCommand.calls.findIndex(
+      (c) => c[1] === "Runtime.evaluate" && c[2].expression.includes(text)
+    );
+  }
+
+  it("scrolls through the page before measuring and restores the position after", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext();
+
+    const result = await captureFullPage({ id: 1 }, { preScroll });
+
+    const preScrollIndex = evaluateIndex(chrome, "preScrollPage(");
+    const call = chrome.debugger.sendCommand.calls[preScrollIndex];
+    assert.equal(call[2].awaitPromise, true);
+    assert.match(call[2].expression, /"maxSteps":30,"maxHeight":30000/);
+    assert.ok(preScrollIndex < evaluateIndex(chrome, "measurePageDimensions("));
+    assert.ok(
+      evaluateIndex(chrome, "restoreExpandedContainers()") <
+        evaluateIndex(chrome, "restorePreScroll()")
+    );
+    assert.equal(result.warning, null);
+  });
+
+  it("warns when a limit stopped the pass before the bottom", async () => {
+    const { captureFullPage } = createBackgroundContext({
+      preScrollResult: { steps: 30, scrollHeight: 31200, capped: true },
+    });
+
+    const result = await captureFullPage({ id: 1 }, { preScroll });
+
+    assert.equal(
+      result.warning,
+      "Stopped loading more content after 30 scroll steps (31200px) — the page may continue below."
+    );
+  });
+
+  it("is off by default and follows the settings when enabled", async () => {
+    const tab = { id: 1, url: "https://example.com", windowId: 1 };
+    const off = createBackgroundContext();
+    await off.captureScreenshot(tab, "full");
+    assert.equal(evaluateIndex(off.chrome, "preScrollPage("), -1);
+    assert.equal(evaluateIndex(off.chrome, "restorePreScroll()"), -1);
+
+    const on = createBackgroundContext({
+      settings: { preScroll: true, preScrollMaxSteps: 5, preScrollMaxHeight: 8000 },
+    });
+    await on.captureScreenshot(tab, "full");
+    const call = on.chrome.debugger.sendCommand.calls[evaluateIndex(on.chrome, "preScrollPage(")];
+    assert.match(call[2].expression, /"maxSteps":5,"maxHeight":8000/);
+  });
+});
+
+describe("captureFullPage — readiness stage", () => {
+  const ready = { timeout: 5, networkIdle: false, selector: "" };
+
+  function readyCall(chrome) {
+    return chrome.debugger.sendCommand.calls.find(
+      (c) =>
+        c[1] === "Runtime.evaluate" &&
+        c[2].expression.includes("waitForPageReady(")
+    );
+  }
+
+  /** Fake clock for the network idle wait: sleep() advances it. */
+  function useFakeClock(ctx, onSleep = () => {}) {
+    let now = 0;
+    let sleeps = 0;
+    ctx.context.Date = class extends Date {
+      static now() {
+        return now;
+      }
+    };
+    ctx.context.sleep = async (ms) => {
+      sleeps++;
+      onSleep(sleeps);
+      now += ms;
+    };
+    return () => sleeps;
+  }
+
+  it("waits between the viewport override and the screenshot", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext();
+
+    await captureFullPage({ id: 1 }, { ready: { ...ready, selector: ".chart svg" } });
+
+    const methods = cdpMethods(chrome);
+    const readyIndex = chrome.debugger.sendCommand.calls.indexOf(readyCall(chrome));
+    assert.ok(methods.indexOf("Emulation.setDeviceMetricsOverride") < readyIndex);
+    assert.ok(readyIndex < methods.indexOf("Page.captureScreenshot"));
+    const params = readyCall(chrome)[2];
+    assert.equal(params.awaitPromise, true);
+    assert.match(params.expression, /"selector":".chart svg"/);
+    assert.match(params.expression, /"timeoutMs":5000/);
+    assert.ok(!methods.includes("Network.enable"));
+  });
+
+  it("warns about what was still pending at the timeout", async () => {
+    const { captureFullPage } = createBackgroundContext({
+      pageReadyResult: { pending: ["fonts", "images"], invalidSelector: false },
+    });
+
+    const result = await captureFullPage({ id: 1 }, { ready });
+
+    assert.equal(
+      result.warning,
+      "Page wasn't ready after 5s (waiting for fonts, images) — captured anyway."
+    );
+  });
+
+  it("warns about an invalid selector", async () => {
+    const { captureFullPage } = createBackgroundContext({
+      pageReadyResult: { pending: [], invalidSelector: true },
+    });
+
+    const result = await captureFullPage(
+      { id: 1 },
+      { ready: { ...ready, selector: "div[" } }
+    );
+
+    assert.match(result.warning, /"div\[" is not a valid CSS selector/);
+  });
+
+  it("waits for network idle from CDP Network events", async () => {
+    const ctx = createBackgroundContext();
+    const sleeps = useFakeClock(ctx, (n) => {
+      if (n === 1) {
+        ctx.emitDebuggerEvent("Network.requestWillBeSent", { requestId: "img", type: "Image" });
+        ctx.emitDebuggerEvent("Network.requestWillBeSent", { requestId: "sse", type: "EventSource" });
+        ctx.emitDebuggerEvent("Network.requestWillBeSent", { requestId: "other", type: "Image" }, 2);
+      }
+      if (n === 4) ctx.emitDebuggerEvent("Network.loadingFinished", { requestId: "img" });
+    });
+
+    const result = await ctx.captureFullPage({ id: 1 }, { ready: { ...ready, networkIdle: true } });
+
+    assert.equal(result.warning, null);
+    // 100ms polls: the image finishes at 300ms, idle 500ms later.
+    assert.equal(sleeps(), 8);
+    const methods = cdpMethods(ctx.chrome);
+    assert.ok(methods.indexOf("Network.enable") < methods.indexOf("Emulation.setDeviceMetricsOverride"));
+    assert.ok(methods.includes("Network.disable"));
+    assert.equal(ctx.debuggerEventListeners.length, 0);
+  });
+
+  it("gives up on network idle at the timeout", async () => {
+    const ctx = createBackgroundContext();
+    useFakeClock(ctx, (n) => {
+      if (n === 1) {
+        ctx.emitDebuggerEvent("Network.requestWillBeSent", { requestId: "poll", type: "XHR" });
+      }
+    });
+
+    const result = await ctx.captureFullPage(
+      { id: 1 },
+      { ready: { ...ready, timeout: 2, networkIdle: true } }
+    );
+
+    assert.match(result.warning, /after 2s \(waiting for network\)/);
+    assert.ok(cdpCall(ctx.chrome, "Page.captureScreenshot"));
+    assert.ok(cdpMethods(ctx.chrome).includes("Network.disable"));
+  });
+
+  it("passes the readiness settings and skips the stage when disabled", async () => {
+    const tab = { id: 1, url: "https://example.com", windowId: 1 };
+    const on = createBackgroundContext({
+      settings: { readyTimeout: 9, readySelector: "#app" },
+    });
+    await on.captureScreenshot(tab, "full");
+    assert.match(readyCall(on.chrome)[2].expression, /"selector":"#app","timeoutMs":9000/);
+
+    const off = createBackgroundContext({ settings: { waitForReady: false } });
+    await off.captureScreenshot(tab, "full");
+    assert.equal(readyCall(off.chrome), undefined);
+  });
+});
+
+describe("captureFullPage — deterministic mode", () => {
+  /** CDP methods, with Runtime.evaluate calls named by the helper they run. */
+  function steps(chrome) {
+    return chrome.debugger.sendCommand.calls.map((c) => {
+      if (c[1] !== "Runtime.evaluate") return c[1];
+      const match = c[2].expression.match(/(pausePageMotion|resumePageMotion|waitForPageReady)\(/);
+      return match ? match[1] : c[1];
+    });
+  }
+
+  it("holds the page still after the ready stage and resumes it in cleanup", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({ animationPlaybackRate: 0.5 });
+
+    await captureFullPage(
+      { id: 1 },
+      {
+        ready: { timeout: 5, networkIdle: false, selector: "" },
+        deterministic: { freezeTime: false },
+      }
+    );
+
+    const order = steps(chrome);
+    const at = (name) => order.indexOf(name);
+    assert.ok(at("waitForPageReady") < at("Animation.enable"));
+    assert.ok(at("Animation.enable") < at("pausePageMotion"));
+    assert.ok(at("pausePageMotion") < at("Page.captureScreenshot"));
+    assert.ok(at("Page.captureScreenshot") < at("resumePageMotion"));
+    assert.ok(!order.includes("Emulation.setVirtualTimePolicy"));
+    const rates = chrome.debugger.sendCommand.calls
+      .filter((c) => c[1] === "Animation.setPlaybackRate")
+      .map((c) => c[2].playbackRate);
+    assert.deepEqual(rates, [0, 0.5]);
+    assert.ok(order.includes("Animation.disable"));
+  });
+
+  it("pauses virtual time before the screenshot when asked to", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext();
+
+    await captureFullPage({ id: 1 }, { deterministic: { freezeTime: true } });
+
+    const order = steps(chrome);
+    const timeCall = cdpCall(chrome, "Emulation.setVirtualTimePolicy");
+    assert.deepEqual({ ...timeCall[2] }, { policy: "pause" });
+    assert.ok(order.indexOf("pausePageMotion") < order.indexOf("Emulation.setVirtualTimePolicy"));
+    assert.ok(order.indexOf("Emulation.setVirtualTimePolicy") < order.indexOf("Page.captureScreenshot"));
+    // The cleanup lets the clock run again before detaching.
+    const timeCalls = chrome.debugger.sendCommand.calls.filter(
+      (c) => c[1] === "Emulation.setVirtualTimePolicy"
+    );
+    assert.deepEqual({ ...timeCalls.at(-1)[2] }, { policy: "advance" });
+    assert.ok(order.lastIndexOf("Emulation.setVirtualTimePolicy") > order.indexOf("Page.captureScreenshot"));
+    assert.ok(chrome.debugger.detach.calls.length > 0);
+  });
+
+  it("resumes everything when the capture fails", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      sendCommandErrors: { "Page.captureScreenshot": new Error("capture failed") },
+    });
+
+    await assert.rejects(
+      () => captureFullPage({ id: 1 }, { deterministic: { freezeTime: false } }),
+      /capture failed/
+    );
+
+    const order = steps(chrome);
+    assert.ok(order.includes("resumePageMotion"));
+    assert.equal(
+      chrome.debugger.sendCommand.calls.filter((c) => c[1] === "Animation.setPlaybackRate").at(-1)[2].playbackRate,
+      1
+    );
+    assert.ok(chrome.debugger.detach.calls.length > 0);
+  });
+
+  it("is off by default and follows the settings when enabled", async () => {
+    const tab = { id: 1, url: "https://example.com", windowId: 1 };
+    const off = createBackgroundContext();
+    await off.captureScreenshot(tab, "full");
+    assert.ok(!cdpMethods(off.chrome).includes("Animation.enable"));
+    assert.ok(!steps(off.chrome).includes("resumePageMotion"));
+
+    const on = createBackgroundContext({
+      settings: { deterministic: true, freezeTime: true },
+    });
+    await on.captureScreenshot(tab, "full");
+    assert.ok(steps(on.chrome).includes("pausePageMotion"));
+    assert.ok(cdpCall(on.chrome, "Emulation.setVirtualTimePolicy"));
+  });
+});
+
+describe("captureFullPage — emulated media", () => {
+  const media = {
+    media: "print",
+    features: [{ name: "prefers-color-scheme", value: "dark" }],
+  };
+
+  it("emulates media before measuring and clears it in cleanup", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext();
+
+    await captureFullPage({ id: 1 }, { media });
+
+    const calls = chrome.debugger.sendCommand.calls;
+    const mediaCalls = calls.filter((c) => c[1] === "Emulation.setEmulatedMedia");
+    assert.equal(mediaCalls.length, 2);
+    assert.equal(mediaCalls[0][2], media);
+    assert.deepEqual({ ...mediaCalls[1][2], features: [...mediaCalls[1][2].features] }, {
+      media: "",
+      features: [],
+    });
+    const measureAt = calls.findIndex(
+      (c) => c[1] === "Runtime.evaluate" && c[2].expression.includes("measurePageDimensions(")
+    );
+    assert.ok(calls.indexOf(mediaCalls[0]) < measureAt);
+    assert.ok(calls.indexOf(mediaCalls[1]) > cdpMethods(chrome).indexOf("Page.captureScreenshot"));
+  });
+
+  it("clears emulated media when the capture fails", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      sendCommandErrors: { "Page.captureScreenshot": new Error("capture failed") },
+    });
+
+    await assert.rejects(() => captureFullPage({ id: 1 }, { media }), /capture failed/);
+
+    const mediaCalls = chrome.debugger.sendCommand.calls.filter(
+      (c) => c[1] === "Emulation.setEmulatedMedia"
+    );
+    assert.equal(mediaCalls.at(-1)[2].media, "");
+  });
+
+  it("leaves media alone by default", async () => {
+    const { captureScreenshot, chrome } = createBackgroundContext();
+
+    await captureScreenshot({ id: 1, url: "https://example.com", windowId: 1 }, "full");
+
+    assert.ok(!cdpMethods(chrome).includes("Emulation.setEmulatedMedia"));
+  });
+
+  it("lets the popup's toggles override the stored settings", async () => {
+    const { captureScreenshot, chrome } = createBackgroundContext({
+      settings: { colorScheme: "light", printMedia: true },
+    });
+
+    await captureScreenshot(
+      { id: 1, url: "https://example.com", windowId: 1 },
+      "full",
+      { media: { colorScheme: "dark", reducedMotion: true, forcedColors: false, printMedia: false } }
+    );
+
+    const params = cdpCall(chrome, "Emulation.setEmulatedMedia")[2];
+    assert.equal(params.media, "");
+    assert.deepEqual(
+      params.features.map((f) => `${f.name}:${f.value}`),
+      ["prefers-color-scheme:dark", "prefers-reduced-motion:reduce"]
+    );
+  });
+});
+
+describe("captureScreenshot — redaction", () => {
+  const tab = { id: 1, url: "https://example.com", windowId: 1 };
+  const redaction = { style: "blur", passwords: true, selectors: [".name"], patterns: [] };
+
+  it("redacts over CDP before measuring and restores in cleanup", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext();
+
+    await captureFullPage(tab, { redaction });
+
+    const expressions = chrome.debugger.sendCommand.calls
+      .filter((c) => c[1] === "Runtime.evaluate")
+      .map((c) => c[2].expression);
+    const redactAt = expressions.findIndex((e) => e.startsWith("redactPage("));
+    assert.ok(redactAt >= 0);
+    assert.equal(expressions[redactAt], `redactPage(${JSON.stringify(redaction)})`);
+    assert.ok(redactAt < expressions.findIndex((e) => e.includes("measurePageDimensions(")));
+    assert.ok(expressions.some((e) => e.includes("restoreRedactions()")));
+  });
+
+  it("redacts content mounted by the viewport override before capturing", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext();
+    // Content that only appears once the viewport is stretched is only
+    // covered by a redactPage() call made after the override.
+    const sendCommand = chrome.debugger.sendCommand;
+    let mounted = false;
+    let redactedAfterMount = false;
+    let capturedRedacted = null;
+    chrome.debugger.sendCommand = async (debuggee, method, params) => {
+      if (method === "Emulation.setDeviceMetricsOverride") mounted = true;
+      if (method === "Runtime.evaluate" && params.expression.startsWith("redactPage(") && mounted) {
+        redactedAfterMount = true;
+      }
+      if (method === "Page.captureScreenshot" && capturedRedacted === null) {
+        capturedRedacted = redactedAfterMount;
+      }
+      return sendCommand(debuggee, method, params);
+    };
+
+    await captureFullPage(tab, { redaction, deterministic: { freezeTime: true } });
+
+    assert.equal(capturedRedacted, true);
+    const methods = sendCommand.calls.map((c) =>
+      c[1] === "Runtime.evaluate" ? c[2].expression.slice(0, 20) : c[1]
+    );
+    // After the ready wait and the deterministic pause, right before the shot.
+    const lastRedact = methods.lastIndexOf(`redactPage(${JSON.stringify(redaction)})`.slice(0, 20));
+    assert.ok(lastRedact > methods.indexOf("pausePageMotion()"));
+    assert.ok(lastRedact < methods.indexOf("Page.captureScreenshot"));
+  });
+
+  it("restores redacted content when the capture fails", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      sendCommandErrors: { "Page.captureScreenshot": new Error("capture failed") },
+    });
+
+    await assert.rejects(() => captureFullPage(tab, { redaction }), /capture failed/);
+
+    assert.ok(chrome.debugger.sendCommand.calls.some(
+      (c) => c[1] === "Runtime.evaluate" && c[2].expression.includes("restoreRedactions()")
+    ));
+  });
+
+  it("passes the stored redaction settings to full-page captures", async () => {
+    const { captureScreenshot, chrome } = createBackgroundContext({
+      settings: { redact: true, redactStyle: "mask", redactSelectors: ".name" },
+    });
+
+    await captureScreenshot(tab, "full");
+
+    const call = chrome.debugger.sendCommand.calls.find(
+      (c) => c[1] === "Runtime.evaluate" && c[2].expression.startsWith("redactPage(")
+    );
+    const options = JSON.parse(call[2].expression.slice("redactPage(".length, -1));
+    assert.equal(options.style, "mask");
+    assert.deepEqual(options.selectors, [".name"]);
+    assert.equal(options.patterns.length, 3);
+  });
+
+  it("redacts the tab around a visible capture", async () => {
+    const log = [];
+    const ctx = createBackgroundContext({
+      settings: { redact: true },
+      executeScriptImpl: async (injection) => {
+        log.push(pageHelperName(injection) || "anonymous");
+        return [{ result: { ok: true } }];
+      },
+    });
+    const captureVisibleTab = ctx.chrome.tabs.captureVisibleTab;
+    ctx.chrome.tabs.captureVisibleTab = async (...args) => {
+      log.push("captureVisibleTab");
+      return captureVisibleTab(...args);
+    };
+
+    await ctx.captureScreenshot(tab, "visible");
+
+    const captureAt = log.indexOf("captureVisibleTab");
+    assert.ok(log.indexOf("redactPage") < captureAt);
+    assert.ok(log.indexOf("restoreRedactions") > captureAt);
+    assert.ok(!ctx.chrome.debugger.attach.calls.length);
+  });
+
+  it("injects lib.js into the tab once before running its helpers", async () => {
+    let loaded = false;
+    const ctx = createBackgroundContext({
+      settings: { redact: true },
+      executeScriptImpl: async (injection) => {
+        if (injection.files) {
+          loaded = true;
+          return [{ result: undefined }];
+        }
+        if (injection.func.toString().includes("typeof querySelectorAllDeep")) {
+          return [{ result: loaded }];
+        }
+        return [{ result: { ok: true } }];
+      },
+    });
+
+    await ctx.captureScreenshot(tab, "visible");
+
+    const calls = ctx.chrome.scripting.executeScript.calls.map((c) => c[0]);
+    const injections = calls.filter((c) => c.files);
+    assert.equal(injections.length, 1);
+    assert.deepEqual([...injections[0].files], ["lib.js"]);
+    const redact = calls.find((c) => pageHelperName(c) === "redactPage");
+    assert.ok(calls.indexOf(injections[0]) < calls.indexOf(redact));
+    assert.equal(redact.args[1][0].passwords, true);
+    assert.ok(calls.some((c) => pageHelperName(c) === "restoreRedactions"));
+  });
+
+  it("does not capture when the page can't be redacted", async () => {
+    const ctx = createBackgroundContext({
+      settings: { redact: true },
+      executeScriptImpl: async (injection) => {
+        if (pageHelperName(injection) === "redactPage") throw new Error("Cannot access contents of the page");
+        return [{ result: { ok: true } }];
+      },
+    });
+
+    await ctx.captureScreenshot(tab, "visible");
+
+    assert.equal(ctx.chrome.tabs.captureVisibleTab.calls.length, 0);
+    assert.ok(badgeTexts(ctx.chrome).includes("✗"));
+  });
+
+  it("leaves the page alone when redaction is off", async () => {
+    const { captureScreenshot, chrome } = createBackgroundContext();
+
+    await captureScreenshot(tab, "visible");
+
+    assert.ok(!chrome.scripting.executeScript.calls.some((c) => pageHelperName(c[0]) === "redactPage"));
+  });
+});
+
+describe("captureScreenshot — anonymization", () => {
+  const tab = { id: 1, url: "https://example.com", windowId: 1 };
+  const redaction = { style: "blur", passwords: true, selectors: [], patterns: [] };
+  const anonymization = { selectors: ["main"], images: true };
+
+  it("anonymizes over CDP after redacting and before measuring, restoring first", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext();
+
+    await captureFullPage(tab, { redaction, anonymization });
+
+    const expressions = chrome.debugger.sendCommand.calls
+      .filter((c) => c[1] === "Runtime.evaluate")
+      .map((c) => c[2].expression);
+    const index = (fragment) => expressions.findIndex((e) => e.includes(fragment));
+    assert.equal(
+      expressions[index("anonymizePage(")],
+      `anonymizePage(${JSON.stringify(anonymization)})`
+    );
+    assert.ok(index("redactPage(") < index("anonymizePage("));
+    assert.ok(index("anonymizePage(") < index("measurePageDimensions("));
+    assert.ok(index("restoreExpandedContainers()") < index("restoreAnonymization()"));
+    assert.ok(index("restoreAnonymization()") < index("restoreRedactions()"));
+  });
+
+  it("anonymizes content mounted by the viewport override before capturing", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext();
+
+    await captureFullPage(tab, { redaction, anonymization });
+
+    const steps = chrome.debugger.sendCommand.calls.map((c) =>
+      c[1] === "Runtime.evaluate" ? c[2].expression.split("(")[0] : c[1]
+    );
+    const lastAnonymize = steps.lastIndexOf("anonymizePage");
+    assert.ok(lastAnonymize > steps.indexOf("Emulation.setDeviceMetricsOverride"));
+    assert.ok(lastAnonymize > steps.lastIndexOf("redactPage"));
+    assert.ok(lastAnonymize < steps.indexOf("Page.captureScreenshot"));
+  });
+
+  it("passes the stored anonymization settings to full-page captures", async () => {
+    const { captureScreenshot, chrome } = createBackgroundContext({
+      settings: { anonymize: true, anonymizeSelectors: ".orders", anonymizeImages: true },
+    });
+
+    await captureScreenshot(tab, "full");
+
+    const call = chrome.debugger.sendCommand.calls.find(
+      (c) => c[1] === "Runtime.evaluate" && c[2].expression.startsWith("anonymizePage(")
+    );
+    assert.deepEqual(
+      JSON.parse(call[2].expression.slice("anonymizePage(".length, -1)),
+      { selectors: [".orders"], images: true }
+    );
+    assert.ok(!chrome.debugger.sendCommand.calls.some(
+      (c) => c[1] === "Runtime.evaluate" && c[2].expression.startsWith("redactPage(")
+    ));
+  });
+
+  it("anonymizes the tab around a visible capture", async () => {
+    const log = [];
+    const ctx = createBackgroundContext({
+      settings: { redact: true, anonymize: true },
+      executeScriptImpl: async (injection) => {
+        log.push(pageHelperName(injection) || "anonymous");
+        return [{ result: { ok: true } }];
+      },
+    });
+    const captureVisibleTab = ctx.chrome.tabs.captureVisibleTab;
+    ctx.chrome.tabs.captureVisibleTab = async (...args) => {
+      log.push("captureVisibleTab");
+      return captureVisibleTab(...args);
+    };
+
+    await ctx.captureScreenshot(tab, "visible");
+
+    const captureAt = log.indexOf("captureVisibleTab");
+    assert.ok(log.indexOf("redactPage") < log.indexOf("anonymizePage"));
+    assert.ok(log.indexOf("anonymizePage") < captureAt);
+    assert.ok(captureAt < log.indexOf("restoreAnonymization"));
+    assert.ok(log.indexOf("restoreAnonymization") < log.indexOf("restoreRedactions"));
+  });
+
+  it("restores the redaction and does not capture when anonymizing fails", async () => {
+    const calls = [];
+    const ctx = createBackgroundContext({
+      settings: { redact: true, anonymize: true },
+      executeScriptImpl: async (injection) => {
+        calls.push(pageHelperName(injection));
+        if (pageHelperName(injection) === "anonymizePage") throw new Error("Frame was removed");
+        return [{ result: { ok: true } }];
+      },
+    });
+
+    await ctx.captureScreenshot(tab, "visible");
+
+    assert.equal(ctx.chrome.tabs.captureVisibleTab.calls.length, 0);
+    assert.ok(calls.includes("restoreRedactions"));
+    assert.ok(badgeTexts(ctx.chrome).includes("✗"));
+  });
+});
+
+describe("captureScreenshot — hide rules", () => {
+  const tab = { id: 1, url: "https://www.example.com/pricing", windowId: 1 };
+  const hiding = { hide: ["#chat"], remove: [".cookie-banner"] };
+
+  it("hides elements over CDP before measuring and restores them last", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext();
+
+    await captureFullPage(tab, { hiding, redaction: { style: "blur", passwords: true } });
+
+    const expressions = chrome.debugger.sendCommand.calls
+      .filter((c) => c[1] === "Runtime.evaluate")
+      .map((c) => c[2].expression);
+    const index = (fragment) => expressions.findIndex((e) => e.includes(fragment));
+    assert.equal(expressions[index("applyHideRules(")], `applyHideRules(${JSON.stringify(hiding)})`);
+    assert.ok(index("applyHideRules(") < index("redactPage("));
+    assert.ok(index("applyHideRules(") < index("measurePageDimensions("));
+    assert.ok(index("restoreRedactions()") < index("restoreHideRules()"));
+  });
+
+  it("passes the rules for the tab's site to full-page captures", async () => {
+    const { captureScreenshot, chrome } = createBackgroundContext({
+      settings: {
+        hideRules: "example.com remove .cookie-banner\nother.org hide .ad\n* hide #chat",
+      },
+    });
+
+    await captureScreenshot(tab, "full");
+
+    const call = chrome.debugger.sendCommand.calls.find(
+      (c) => c[1] === "Runtime.evaluate" && c[2].expression.startsWith("applyHideRules(")
+    );
+    assert.deepEqual(
+      JSON.parse(call[2].expression.slice("applyHideRules(".length, -1)),
+      { hide: ["#chat"], remove: [".cookie-banner"] }
+    );
+  });
+
+  it("leaves other sites alone", async () => {
+    const { captureScreenshot, chrome } = createBackgroundContext({
+      settings: { hideRules: "other.org hide .ad" },
+    });
+
+    await captureScreenshot(tab, "visible");
+
+    assert.ok(!chrome.scripting.executeScript.calls.some(
+      (c) => pageHelperName(c[0]) === "applyHideRules"
+    ));
+  });
+
+  it("hides around a visible capture and still captures when hiding fails", async () => {
+    const log = [];
+    const ctx = createBackgroundContext({
+      settings: { hideRules: "example.com hide #chat" },
+      executeScriptImpl: async (injection) => {
+        log.push(pageHelperName(injection) || "anonymous");
+        if (pageHelperName(injection) === "applyHideRules") throw new Error("Frame was removed");
+        return [{ result: { ok: true } }];
+      },
+    });
+    const captureVisibleTab = ctx.chrome.tabs.captureVisibleTab;
+    ctx.chrome.tabs.captureVisibleTab = async (...args) => {
+      log.push("captureVisibleTab");
+      return captureVisibleTab(...args);
+    };
+
+    await ctx.captureScreenshot(tab, "visible");
+
+    const captureAt = log.indexOf("captureVisibleTab");
+    assert.ok(log.indexOf("applyHideRules") < captureAt);
+    assert.ok(log.indexOf("restoreHideRules") > captureAt);
+    assert.ok(!badgeTexts(ctx.chrome).includes("✗"));
+  });
+
+  // The selection measures the layout, so "remove" rules must already have
+  // moved it: the user selects and picks on the hidden page.
+  function createSelectionContext() {
+    const log = [];
+    const ctx = createBackgroundContext({
+      settings: { hideRules: "example.com remove .cookie-banner" },
+      executeScriptImpl: async (injection) => {
+        const name = pageHelperName(injection);
+        if (name) log.push(name);
+        if (String(injection.func).includes("document.images")) {
+          log.push("locateImage");
+          return [{ result: {
+            left: 10, top: 20, width: 200, height: 100, scrollX: 0, scrollY: 0,
+          } }];
+        }
+        return [{ result: { ok: true } }];
+      },
+    });
+    ctx.context.selectRegion = async () => {
+      log.push("selectRegion");
+      return { x: 0, y: 0, width: 100, height: 50, scrollX: 0, scrollY: 0,
+        viewportWidth: 1280, viewportHeight: 800 };
+    };
+    ctx.context.pickElement = async () => {
+      log.push("pickElement");
+      return { x: 40, y: 300, width: 320, height: 180 };
+    };
+    return { ...ctx, log };
+  }
+
+  for (const [mode, step] of [["region", "selectRegion"], ["element", "pickElement"]]) {
+    it(`hides elements before the user's ${mode} selection`, async () => {
+      const { captureScreenshot, log } = createSelectionContext();
+
+      await captureScreenshot(tab, mode);
+
+      assert.ok(log.indexOf("applyHideRules") < log.indexOf(step));
+      assert.ok(log.indexOf("restoreHideRules") > log.indexOf(step));
+    });
+  }
+
+  it("restores hidden elements when the selection is cancelled", async () => {
+    const ctx = createSelectionContext();
+    ctx.context.pickElement = async () => null;
+
+    await ctx.captureScreenshot(tab, "element");
+
+    assert.ok(ctx.log.includes("applyHideRules"));
+    assert.ok(ctx.log.includes("restoreHideRules"));
+    assert.equal(ctx.chrome.debugger.attach.calls.length, 0);
+    assert.equal(ctx.chrome.action.setBadgeText.calls.length, 0);
+  });
+
+  it("locates a right-clicked image after hiding elements", async () => {
+    const { captureScreenshot, log } = createSelectionContext();
+
+    await captureScreenshot(tab, "image", {
+      contextInfo: { srcUrl: "https://www.example.com/a.png", frameId: 0 },
+    });
+
+    assert.ok(log.indexOf("applyHideRules") < log.indexOf("locateImage"));
+    assert.ok(log.indexOf("restoreHideRules") > log.indexOf("locateImage"));
+  });
+});
+
+describe("pickHideRule", () => {
+  const tab = { id: 1, url: "https://www.example.com/pricing", windowId: 1 };
+
+  function createPickerContext(settings, selector = "div.consent > button") {
+    const ctx = createBackgroundContext({
+      settings,
+      executeScriptImpl: async ({ func }) => [
+        { result: func.name === "pickedElementSelector" ? selector : null },
+      ],
+    });
+    ctx.context.pickElement = async (tabId, options) => {
+      ctx.pickerOptions = options;
+      return { x: 0, y: 0, width: 100, height: 40 };
+    };
+    return ctx;
+  }
+
+  it("adds a hide rule for the picked element on this site", async () => {
+    const ctx = createPickerContext({ hideRules: "* remove .ad" });
+
+    await ctx.context.pickHideRule(tab);
+
+    assert.equal(ctx.pickerOptions.mark, true);
+    assert.match(ctx.pickerOptions.hint, /hide/);
+    assert.match(ctx.pickerOptions.hint, /Not inside frames or shadow DOM/);
+    assert.deepEqual(ctx.chrome.storage.sync.set.calls.at(-1)[0], {
+      hideRules: "* remove .ad\nwww.example.com hide div.consent > button",
+    });
+    assert.ok(badgeTexts(ctx.chrome).includes("✓"));
+  });
+
+  it("does not add a rule twice", async () => {
+    const ctx = createPickerContext({ hideRules: "www.example.com hide #chat" }, "#chat");
+
+    await ctx.context.pickHideRule(tab);
+
+    assert.deepEqual(ctx.chrome.storage.sync.set.calls.at(-1)[0], {
+      hideRules: "www.example.com hide #chat",
+    });
+  });
+
+  it("clears the mark when building the selector fails", async () => {
+    const ctx = createBackgroundContext({
+      executeScriptImpl: async ({ func }) => {
+        if (func.name === "pickedElementSelector") throw new Error("Frame was removed");
+        return [{ result: null }];
+      },
+    });
+    ctx.context.pickElement = async () => ({ x: 0, y: 0, width: 100, height: 40 });
+
+    await ctx.context.pickHideRule(tab);
+
+    const clear = ctx.chrome.scripting.executeScript.calls.at(-1)[0].func.toString();
+    assert.match(clear, /removeAttribute\("data-screenshot-picked"\)/);
+    assert.ok(badgeTexts(ctx.chrome).includes("✗"));
+    assert.equal(ctx.chrome.storage.sync.set.calls.length, 0);
+  });
+
+  it("stores nothing when picking is cancelled", async () => {
+    const ctx = createPickerContext({});
+    ctx.context.pickElement = async () => null;
+
+    await ctx.context.pickHideRule(tab);
+
+    assert.equal(ctx.chrome.storage.sync.set.calls.length, 0);
+  });
+
+  it("ignores restricted pages", async () => {
+    const ctx = createPickerContext({});
+    let picked = false;
+    ctx.context.pickElement = async () => {
+      picked = true;
+      return null;
+    };
+
+    await ctx.context.pickHideRule({ id: 1, url: "chrome://settings" });
+
+    assert.equal(picked, false);
+  });
+});
+
+describe("captureFullPage — device presets", () => {
+  const tab = { id: 1, url: "https://example.com", windowId: 1 };
+  const pixel = {
+    name: "Pixel 8",
+    width: 412,
+    height: 915,
+    deviceScaleFactor: 2.625,
+    mobile: true,
+    touch: true,
+    userAgent: "Mozilla/5.0 (Linux; Android 10; K) Mobile Safari/537.36",
+    reload: false,
+  };
+
+  it("emulates the device before measuring and undoes it in cleanup", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({ pageWidth: 0 });
+
+    await captureFullPage(tab, { viewport: pixel });
+
+    const calls = chrome.debugger.sendCommand.calls;
+    const methods = cdpMethods(chrome);
+    const measureAt = calls.findIndex(
+      (c) => c[1] === "Runtime.evaluate" && c[2].expression.includes("measurePageDimensions(")
+    );
+    assert.ok(methods.indexOf("Emulation.setUserAgentOverride") < measureAt);
+    assert.ok(methods.indexOf("Emulation.setTouchEmulationEnabled") < measureAt);
+    const [layout, capture] = calls
+      .filter((c) => c[1] === "Emulation.setDeviceMetricsOverride")
+      .map((c) => c[2]);
+    assert.deepEqual(
+      [layout.width, layout.height, layout.deviceScaleFactor, layout.mobile],
+      [412, 915, 2.625, true]
+    );
+    // The preset's DPR is the "native" one for the capture.
+    assert.deepEqual(
+      [capture.width, capture.deviceScaleFactor, capture.mobile],
+      [412, 2.625, true]
+    );
+    const touch = calls.filter((c) => c[1] === "Emulation.setTouchEmulationEnabled");
+    assert.deepEqual(touch.map((c) => c[2].enabled), [true, false]);
+    const agents = calls.filter((c) => c[1] === "Emulation.setUserAgentOverride");
+    assert.deepEqual(agents.map((c) => c[2].userAgent), [pixel.userAgent, ""]);
+    assert.ok(!methods.includes("Page.reload"));
+  });
+
+  it("reloads as the device before injecting helpers and as desktop afterwards", async () => {
+    const ctx = createBackgroundContext();
+    const reloads = () => cdpMethods(ctx.chrome).filter((m) => m === "Page.reload").length;
+
+    const capture = ctx.captureFullPage(tab, { viewport: { ...pixel, reload: true } });
+    await waitForCondition(() => reloads() === 1);
+    assert.ok(!cdpMethods(ctx.chrome).includes("Runtime.evaluate"));
+    ctx.emitDebuggerEvent("Page.loadEventFired", {}, 2);
+    ctx.emitDebuggerEvent("Page.loadEventFired", {});
+    await waitForCondition(() => reloads() === 2);
+    ctx.emitDebuggerEvent("Page.loadEventFired", {});
+    const result = await capture;
+
+    assert.equal(result.warning, null);
+    const methods = cdpMethods(ctx.chrome);
+    assert.ok(methods.lastIndexOf("Page.reload") > methods.lastIndexOf("Emulation.setUserAgentOverride"));
+    assert.equal(ctx.debuggerEventListeners.length, 0);
+    assert.ok(methods.includes("Page.disable"));
+  });
+
+  it("captures anyway when the reload doesn't finish", async () => {
+    const ctx = createBackgroundContext();
+    ctx.context.sleep = async () => {};
+
+    const result = await ctx.captureFullPage(tab, { viewport: { ...pixel, reload: true } });
+
+    assert.match(result.warning, /didn't finish reloading within 30s/);
+  });
+
+  it("takes the preset from the popup over the stored one", async () => {
+    const ctx = createBackgroundContext({ settings: { devicePreset: "iphone-se" } });
+
+    await ctx.captureScreenshot(tab, "full", {
+      device: { devicePreset: "galaxy-tab-s9", deviceReload: false },
+    });
+
+    const layout = cdpCall(ctx.chrome, "Emulation.setDeviceMetricsOverride")[2];
+    assert.deepEqual([layout.width, layout.height], [800, 1280]);
+    const agent = cdpCall(ctx.chrome, "Emulation.setUserAgentOverride")[2].userAgent;
+    assert.match(agent, /Android.*Chrome\/130/);
+    assert.doesNotMatch(agent, /Mobile/);
+  });
+});
+
+describe("captureResponsiveSheet", () => {
+  const tab = { id: 1, url: "https://example.com", windowId: 1 };
+
+  /** setDeviceMetricsOverride / setUserAgentOverride params, in order. */
+  function overrides(chrome) {
+    return chrome.debugger.sendCommand.calls
+      .filter((c) =>
+        ["Emulation.setDeviceMetricsOverride", "Emulation.setUserAgentOverride"].includes(c[1])
+      )
+      .map((c) => ({ method: c[1], ...c[2] }));
+  }
+
+  it("re-lays out and re-measures the page at every width", async () => {
+    const ctx = createBackgroundContext();
+
+    await ctx.context.captureResponsiveSheet(tab, ctx.context.normalizeSettings({
+      responsiveWidths: "1280, 375",
+    }));
+
+    assert.equal(ctx.chrome.debugger.attach.calls.length, 2);
+    const measures = ctx.chrome.debugger.sendCommand.calls.filter(
+      (c) => c[1] === "Runtime.evaluate" && c[2].expression.includes("measurePageDimensions(")
+    );
+    assert.equal(measures.length, 2);
+    const [ua, phoneLayout, phoneCapture, uaReset, desktopLayout, desktopCapture] =
+      overrides(ctx.chrome);
+    assert.equal(ua.method, "Emulation.setUserAgentOverride");
+    assert.match(ua.userAgent, /\(Linux; Android 10; K\).*Chrome\/130.* Mobile Safari/);
+    assert.deepEqual(
+      [phoneLayout.width, phoneLayout.height, phoneLayout.mobile],
+      [375, 800, true]
+    );
+    assert.deepEqual([phoneCapture.width, phoneCapture.mobile], [1280, true]);
+    assert.equal(uaReset.userAgent, "");
+    assert.deepEqual([desktopLayout.width, desktopLayout.mobile], [1280, false]);
+    assert.deepEqual([desktopCapture.width, desktopCapture.mobile], [1280, false]);
+  });
+
+  it("composites the widths side by side under labels", async () => {
+    const ctx = createBackgroundContext({
+      pageWidth: 0,
+      bitmapSize: { width: 1280, height: 800 },
+    });
+
+    const result = await ctx.context.captureResponsiveSheet(tab, ctx.context.normalizeSettings({
+      responsiveWidths: "375 1280",
+      format: "jpeg",
+    }));
+
+    assert.equal(result.warning, null);
+    assert.equal(result.parts, undefined);
+    // Shots are captured losslessly; only the sheet is JPEG.
+    for (const call of ctx.chrome.debugger.sendCommand.calls) {
+      if (call[1] === "Page.captureScreenshot") assert.equal(call[2].format, "png");
+    }
+    const sheet = ctx.canvases.at(-1);
+    assert.equal(sheet.convertOptions.type, "image/jpeg");
+    // 24 + 375 + 24 + 1280 + 24 wide; label row + tallest shot (800).
+    assert.equal(sheet.width, 1727);
+    assert.equal(sheet.height, 24 + 32 + 800 + 24);
+    assert.deepEqual(
+      sheet.fillTextCalls.map((c) => [c[0], c[1]]),
+      [["375px · mobile", 24], ["1280px", 423]]
+    );
+    assert.deepEqual(
+      sheet.drawImageCalls.map((c) => [...c.slice(1)]),
+      [[24, 56, 375, 234], [423, 56, 1280, 800]]
+    );
+  });
+
+  it("scales the sheet down to the canvas limits", async () => {
+    const ctx = createBackgroundContext({
+      bitmapSize: { width: 1280, height: 40000 },
+    });
+
+    const result = await ctx.context.captureResponsiveSheet(tab, ctx.context.normalizeSettings({
+      responsiveWidths: "1280",
+    }));
+
+    const sheet = ctx.canvases.at(-1);
+    assert.ok(sheet.height <= 32767);
+    assert.match(result.warning, /scaled down/);
+  });
+
+  it("saves one image per width when asked to", async () => {
+    const ctx = createBackgroundContext({
+      settings: { responsiveWidths: "375, 768, 1280", responsiveOutput: "separate" },
+    });
+
+    await ctx.captureScreenshot(tab, "responsive");
+
+    assert.equal(ctx.chrome.debugger.attach.calls.length, 3);
+    assert.equal(ctx.canvases.filter((c) => c.fillTextCalls.length > 0).length, 0);
+    // Several images: downloaded even with the clipboard destination.
+    await waitForCondition(() => ctx.chrome.downloads.download.calls.length === 3);
+    const names = ctx.chrome.downloads.download.calls.map((c) => c[0].filename);
+    assert.equal(names.length, 3);
+    assert.match(names[0], /_375w\.png$/);
+    assert.match(names[1], /_768w\.png$/);
+    assert.match(names[2], /_1280w\.png$/);
+  });
+
+  it("numbers the parts of a width that was split", async () => {
+    const ctx = createBackgroundContext({
+      pageHeight: 50000,
+      nativeDPR: 2,
+      captureData: "aGVsbG8=",
+      bitmapSize: { width: 1280, height: 16383 },
+    });
+
+    const result = await ctx.context.captureResponsiveSheet(tab, ctx.context.normalizeSettings({
+      responsiveWidths: "1280",
+      responsiveOutput: "separate",
+    }));
+
+    assert.deepEqual([...result.partNames], ["1280w_part1", "1280w_part2"]);
+  });
+
+  it("prefixes each shot's warning with its width", async () => {
+    const ctx = createBackgroundContext({ pageWidth: 20000 });
+
+    const result = await ctx.context.captureResponsiveSheet(tab, ctx.context.normalizeSettings({
+      responsiveWidths: "375",
+      responsiveOutput: "separate",
+    }));
+
+    assert.match(result.warning, /^375px: Page is wider than 10000px/);
+  });
+});
+
+describe("captureFullPage — warnings", () => {
+  it("returns no warning when a page beyond GPU_TEXTURE_LIMIT is stitched", async () => {
     const { captureFullPage } = createBackgroundContext({
       pageHeight: 20000,
       nativeDPR: 1,
@@ -918,8 +3123,8 @@ describe("captureFullPage — warnings", () => {
 
     const result = await captureFullPage({ id: 1 });
 
-    assert.ok(result.warning);
-    assert.ok(result.warning.includes("repeating"));
+    assert.equal(result.warning, null);
+    assert.equal(result.parts, undefined);
   });
 
   it("returns DPR fallback warning when page is too tall for native DPR", async () => {
@@ -946,20 +3151,82 @@ describe("captureFullPage — warnings", () => {
   });
 });
 
+describe("captureFullPage — tiled capture", () => {
+  it("stitches the bands into one canvas in the output format", async () => {
+    const { captureFullPage, canvases } = createBackgroundContext({
+      pageHeight: 20000,
+      captureData: "aGVsbG8=",
+      bitmapSize: { width: 1280, height: 10000 },
+    });
+
+    const result = await captureFullPage({ id: 1 }, { format: "jpeg", quality: 80 });
+
+    assert.equal(result.data, "Y2FudmFz");
+    assert.equal(canvases.length, 1);
+    assert.equal(canvases[0].height, 20000);
+    assert.deepEqual(
+      canvases[0].drawImageCalls.map((c) => c[2]),
+      [0, 10000]
+    );
+    assert.equal(canvases[0].fillRectCalls.length, 1);
+    assert.deepEqual(
+      { ...canvases[0].convertOptions },
+      { type: "image/jpeg", quality: 0.8 }
+    );
+  });
+
+  it("keeps bands within the canvas area on very wide pages", async () => {
+    const { captureFullPage, chrome } = createBackgroundContext({
+      pageHeight: 20000,
+      viewportWidth: 10000,
+      nativeDPR: 2,
+      captureData: "aGVsbG8=",
+    });
+
+    await captureFullPage({ id: 1 }, { dprPolicy: "native" });
+
+    // 268435456 / 20000 px wide → 13421 px → 6710 CSS px per band.
+    const [, , params] = cdpCall(chrome, "Page.captureScreenshot");
+    assert.equal(params.clip.height, 6710);
+  });
+
+  it("downloads every part of a split capture, even for clipboard-only", async () => {
+    const ctx = createBackgroundContext({
+      pageHeight: 50000,
+      captureData: "aGVsbG8=",
+      bitmapSize: { width: 1280, height: 16383 },
+    });
+
+    await ctx.captureScreenshot(
+      { url: "https://example.com", id: 1, windowId: 1 },
+      "full"
+    );
+    await waitForCondition(() => ctx.chrome.downloads.download.calls.length === 2);
+
+    const filenames = ctx.chrome.downloads.download.calls.map((c) => c[0].filename);
+    assert.match(filenames[0], /_part1\.png$/);
+    assert.match(filenames[1], /_part2\.png$/);
+  });
+});
+
 describe("captureFullPage — large page stress", () => {
   it("handles 50k page height with deterministic fallback behavior", async () => {
     const { captureFullPage, chrome } = createBackgroundContext({
       pageHeight: 50000,
       nativeDPR: 2,
+      captureData: "aGVsbG8=",
+      bitmapSize: { width: 1280, height: 16383 },
     });
 
     const result = await captureFullPage({ id: 1 });
 
-    assert.equal(result.data, "fakeBase64Data");
-    assert.ok(result.warning, "Should return a warning for very tall pages");
+    // Four bands; two fit one canvas, so the page is split in two images.
+    assert.equal(result.parts.length, 2);
+    assert.equal(result.data, result.parts[0]);
+    assert.ok(result.warning, "Should return a warning for split pages");
     assert.ok(
-      result.warning.includes("repeating/tiled sections"),
-      "Should include tall-page tiling warning text"
+      result.warning.includes("saved as 2 images"),
+      "Should explain the split"
     );
 
     const emulationCall = cdpCall(chrome, "Emulation.setDeviceMetricsOverride");
@@ -967,9 +3234,14 @@ describe("captureFullPage — large page stress", () => {
     assert.equal(emulationCall[2].height, 50000);
     assert.equal(emulationCall[2].deviceScaleFactor, 1);
 
-    const screenshotCall = cdpCall(chrome, "Page.captureScreenshot");
-    assert.ok(screenshotCall, "Should capture screenshot");
-    assert.equal(screenshotCall[2].clip.height, 50000);
+    const bands = chrome.debugger.sendCommand.calls
+      .filter((c) => c[1] === "Page.captureScreenshot")
+      .map((c) => c[2]);
+    assert.deepEqual(
+      bands.map((b) => b.clip.height),
+      [16383, 16383, 16383, 851]
+    );
+    assert.ok(bands.every((b) => b.format === "png"));
 
     assert.ok(
       chrome.debugger.detach.calls.length > 0,
@@ -1046,6 +3318,234 @@ describe("captureFullPage — cleanup on error", () => {
   });
 });
 
+describe("captureFullPage — scroll and stitch", () => {
+  const tab = { url: "https://example.com", id: 1, windowId: 1 };
+
+  /**
+   * Background context whose page helpers simulate a page of
+   * `scrollHeight` CSS px scrolled inside `area` (the whole 1280×800
+   * viewport unless given). Slices are captured at 2x.
+   */
+  function createScrollContext({
+    scrollHeight = 2000,
+    area = { x: 0, y: 0, width: 1280, height: 800 },
+    ...options
+  } = {}) {
+    const helperCalls = [];
+    const ctx = createBackgroundContext({
+      bitmapSize: { width: 2560, height: 1600 },
+      captureVisibleTabResult: "data:image/png;base64,aGVsbG8=",
+      executeScriptImpl: (injection) => {
+        const name = pageHelperName(injection);
+        const args = injection.args;
+        helperCalls.push({ name, args });
+        switch (name) {
+          case "beginScrollCapture":
+            return [{
+              result: {
+                viewportWidth: 1280,
+                viewportHeight: 800,
+                scrollHeight,
+                area,
+              },
+            }];
+          case "scrollCaptureTo":
+            return [{
+              result: Math.min(args[0], scrollHeight - area.height),
+            }];
+          default:
+            return [{ result: { ok: true } }];
+        }
+      },
+      ...options,
+    });
+    // Rate limiting waits on timers, which the harness never fires.
+    ctx.context.sleep = async () => {};
+    return { ...ctx, helperCalls };
+  }
+
+  it("scrolls through the page without the debugger when selected", async () => {
+    const ctx = createScrollContext({ settings: { fullPageEngine: "scroll" } });
+
+    await ctx.captureScreenshot(tab, "full");
+
+    assert.equal(ctx.chrome.debugger.attach.calls.length, 0);
+    assert.equal(ctx.chrome.tabs.captureVisibleTab.calls.length, 3);
+    assert.deepEqual(
+      ctx.helperCalls.filter((c) => c.name === "scrollCaptureTo").map((c) => c.args[0]),
+      [0, 800, 1600]
+    );
+    // Fixed elements are hidden once, right after the first slice.
+    const names = ctx.helperCalls.map((c) => c.name);
+    assert.equal(names.filter((n) => n === "hideFixedForScrollCapture").length, 1);
+    assert.ok(
+      names.indexOf("hideFixedForScrollCapture") <
+        names.lastIndexOf("scrollCaptureTo")
+    );
+    assert.ok(names.includes("endScrollCapture"));
+
+    const [canvas] = ctx.canvases;
+    assert.equal(canvas.width, 2560);
+    assert.equal(canvas.height, 4000);
+    // The last slice only contributes the 400px not covered yet; the page
+    // could only scroll to 1200, so they start 400px into the viewport.
+    assert.deepEqual(
+      [...canvas.drawImageCalls[2].slice(1)],
+      [0, 800, 2560, 800, 0, 3200, 2560, 800]
+    );
+  });
+
+  it("stitches only the nested container's columns after the first slice", async () => {
+    const ctx = createScrollContext({
+      scrollHeight: 1000,
+      area: { x: 200, y: 100, width: 1080, height: 600 },
+    });
+
+    const result = await ctx.context.captureFullPageByScrolling(tab);
+
+    assert.equal(result.warning, null);
+    const [canvas] = ctx.canvases;
+    // 100px header + 1000px container content + 100px footer, at 2x.
+    assert.equal(canvas.height, 2400);
+    const draws = canvas.drawImageCalls.map((c) => [...c.slice(1)]);
+    assert.deepEqual(draws, [
+      // First slice: header and first 600px of content, full width.
+      [0, 0, 2560, 1400, 0, 0, 2560, 1400],
+      // Second slice (scrolled to 400): remaining content, container only.
+      [400, 600, 2160, 800, 400, 1400, 2160, 800],
+      // Footer below the container, from the last slice.
+      [0, 1400, 2560, 200, 0, 2200, 2560, 200],
+    ]);
+  });
+
+  it("waits between slices to respect the captureVisibleTab rate limit", async () => {
+    const ctx = createScrollContext();
+    const waits = [];
+    ctx.context.sleep = async (ms) => {
+      waits.push(ms);
+    };
+
+    await ctx.context.captureFullPageByScrolling(tab);
+
+    assert.equal(waits.length, 2);
+    assert.ok(waits.every((ms) => ms > 0 && ms <= 550));
+  });
+
+  it("falls back to scrolling when the debugger cannot attach", async () => {
+    const ctx = createScrollContext();
+    ctx.chrome.debugger.attach = async () => {
+      throw new Error("Another debugger is already attached to the tab with id: 1.");
+    };
+
+    await ctx.captureScreenshot(tab, "full");
+
+    assert.equal(ctx.chrome.tabs.captureVisibleTab.calls.length, 3);
+    const previewCall = ctx.chrome.scripting.executeScript.calls.find(
+      (c) => c[0].args && c[0].args.length === 5
+    );
+    assert.match(previewCall[0].args[1], /Captured by scrolling/);
+  });
+
+  it("notes that emulated media were not applied when scrolling", async () => {
+    const ctx = createScrollContext({
+      settings: { fullPageEngine: "scroll", colorScheme: "dark" },
+    });
+
+    await ctx.captureScreenshot(tab, "full");
+
+    const previewCall = ctx.chrome.scripting.executeScript.calls.find(
+      (c) => c[0].args && c[0].args.length === 5
+    );
+    assert.match(previewCall[0].args[1], /emulated media need the debugger/);
+  });
+
+  it("notes that the device preset was not applied when scrolling", async () => {
+    const ctx = createScrollContext({
+      settings: { fullPageEngine: "scroll", devicePreset: "iphone-se" },
+    });
+
+    await ctx.captureScreenshot(tab, "full");
+
+    const previewCall = ctx.chrome.scripting.executeScript.calls.find(
+      (c) => c[0].args && c[0].args.length === 5
+    );
+    assert.match(previewCall[0].args[1], /Capturing as iPhone SE needs the debugger/);
+  });
+
+  it("reports the attach error when the debugger engine is selected", async () => {
+    const ctx = createScrollContext({ settings: { fullPageEngine: "debugger" } });
+    ctx.chrome.debugger.attach = async () => {
+      throw new Error("Another debugger is already attached to the tab with id: 1.");
+    };
+
+    await ctx.captureScreenshot(tab, "full");
+
+    assert.equal(ctx.chrome.tabs.captureVisibleTab.calls.length, 0);
+    assert.ok(badgeTexts(ctx.chrome).includes("✗"));
+  });
+
+  it("cuts off pages taller than the canvas limit with a warning", async () => {
+    const ctx = createScrollContext({ scrollHeight: 100000 });
+
+    const result = await ctx.context.captureFullPageByScrolling(tab);
+
+    // 32767px at 2x leaves 16383 CSS px.
+    assert.equal(ctx.canvases[0].height, 32766);
+    assert.match(result.warning, /cut off at 16383px/);
+  });
+
+  it("re-redacts the page before every slice", async () => {
+    const ctx = createScrollContext({ settings: { fullPageEngine: "scroll", redact: true } });
+    const captureVisibleTab = ctx.chrome.tabs.captureVisibleTab;
+    ctx.chrome.tabs.captureVisibleTab = async (...args) => {
+      ctx.helperCalls.push({ name: "captureVisibleTab" });
+      return captureVisibleTab(...args);
+    };
+
+    await ctx.captureScreenshot(tab, "full");
+
+    const names = ctx.helperCalls.map((c) => c.name);
+    const slices = names.flatMap((name, i) => (name === "captureVisibleTab" ? [i] : []));
+    assert.equal(slices.length, 3);
+    for (const at of slices) {
+      const scrolled = names.lastIndexOf("scrollCaptureTo", at);
+      assert.ok(names.slice(scrolled, at).includes("redactPage"));
+    }
+    assert.ok(names.lastIndexOf("restoreRedactions") > slices[2]);
+  });
+
+  it("re-anonymizes the page before every slice", async () => {
+    const ctx = createScrollContext({ settings: { fullPageEngine: "scroll", anonymize: true } });
+    const captureVisibleTab = ctx.chrome.tabs.captureVisibleTab;
+    ctx.chrome.tabs.captureVisibleTab = async (...args) => {
+      ctx.helperCalls.push({ name: "captureVisibleTab" });
+      return captureVisibleTab(...args);
+    };
+
+    await ctx.captureScreenshot(tab, "full");
+
+    const names = ctx.helperCalls.map((c) => c.name);
+    const slices = names.flatMap((name, i) => (name === "captureVisibleTab" ? [i] : []));
+    assert.equal(slices.length, 3);
+    for (const at of slices) {
+      const scrolled = names.lastIndexOf("scrollCaptureTo", at);
+      assert.ok(names.slice(scrolled, at).includes("anonymizePage"));
+    }
+    assert.ok(!names.includes("redactPage"));
+  });
+
+  it("restores the page when a slice capture fails", async () => {
+    const ctx = createScrollContext();
+    ctx.chrome.tabs.captureVisibleTab = async () => {
+      throw new Error("Tabs cannot be edited right now");
+    };
+
+    await assert.rejects(() => ctx.context.captureFullPageByScrolling(tab));
+
+    assert.ok(ctx.helperCalls.some((c) => c.name === "endScrollCapture"));
+  });
+});
+
 describe("captureFullPage — Overlay suppression", () => {
   it("continues capture when Overlay domain is unavailable", async () => {
     const { captureFullPage } = createBackgroundContext({
@@ -1089,7 +3589,7 @@ describe("captureFullPage — Runtime.evaluate exceptionDetails", () => {
     const { captureFullPage, chrome } = createBackgroundContext({
       runtimeEvaluateExceptions: [
         {
-          match: "JSON.stringify(measurePageDimensions())",
+          match: "JSON.stringify(measurePageDimensions(",
           details: "ReferenceError: measurePageDimensions is not defined",
         },
       ],
@@ -1106,6 +3606,96 @@ describe("captureFullPage — Runtime.evaluate exceptionDetails", () => {
   });
 });
 
+describe("copyToClipboard — offscreen document", () => {
+  function inPageClipboardWrites(chrome) {
+    return chrome.scripting.executeScript.calls.filter(
+      (c) => c[0].func.toString().includes("navigator.clipboard.write")
+    );
+  }
+
+  it("writes through the offscreen document without touching the page", async () => {
+    const ctx = createBackgroundContext({ offscreen: {} });
+
+    await ctx.captureScreenshot(
+      { url: "https://example.com", id: 1, windowId: 1 },
+      "visible"
+    );
+    await waitForCondition(() => badgeTexts(ctx.chrome).includes("✓"));
+
+    const [createArgs] = ctx.chrome.offscreen.createDocument.calls[0];
+    assert.equal(createArgs.url, "offscreen.html");
+    assert.deepEqual([...createArgs.reasons], ["CLIPBOARD"]);
+    const [message] = ctx.chrome.runtime.sendMessage.calls[0];
+    assert.equal(message.target, "offscreen");
+    assert.equal(message.action, "writeClipboard");
+    assert.equal(message.data, "visibleBase64");
+    assert.equal(inPageClipboardWrites(ctx.chrome).length, 0);
+  });
+
+  it("reuses an existing offscreen document", async () => {
+    const ctx = createBackgroundContext({
+      offscreen: { existingContexts: [{ contextType: "OFFSCREEN_DOCUMENT" }] },
+    });
+
+    const result = await ctx.copyToClipboard(1, "abc");
+
+    assert.equal(result.ok, true);
+    assert.equal(ctx.chrome.offscreen.createDocument.calls.length, 0);
+  });
+
+  it("creates the document once for concurrent writes", async () => {
+    const ctx = createBackgroundContext({ offscreen: {} });
+
+    await Promise.all([
+      ctx.clipboardWriteViaOffscreen("a"),
+      ctx.clipboardWriteViaOffscreen("b"),
+    ]);
+
+    assert.equal(ctx.chrome.offscreen.createDocument.calls.length, 1);
+    assert.equal(ctx.chrome.runtime.sendMessage.calls.length, 2);
+  });
+
+  it("falls back to the in-page write when the offscreen copy fails", async () => {
+    const ctx = createBackgroundContext({
+      offscreen: {
+        sendMessageImpl: async () => ({ ok: false, error: "copy rejected" }),
+      },
+    });
+
+    const result = await ctx.copyToClipboard(1, "abc");
+
+    assert.equal(result.ok, true);
+    assert.equal(inPageClipboardWrites(ctx.chrome).length, 1);
+    assert.match(ctx.context.console.warn.calls[0][0], /Offscreen clipboard write failed: copy rejected/);
+  });
+
+  it("uses the in-page write when offscreen documents are unsupported", async () => {
+    const ctx = createBackgroundContext();
+
+    const result = await ctx.copyToClipboard(1, "abc");
+
+    assert.equal(result.ok, true);
+    assert.equal(inPageClipboardWrites(ctx.chrome).length, 1);
+    assert.equal(ctx.context.console.warn.calls.length, 0);
+  });
+
+  it("drops the write when the capture is superseded before sending", async () => {
+    const ctx = createBackgroundContext({ offscreen: {} });
+    const captureId = ctx.evaluate("startCapture(1)");
+    ctx.chrome.runtime.getContexts = async () => {
+      // A newer capture starts while the document is being looked up.
+      ctx.evaluate("startCapture(1)");
+      return [];
+    };
+
+    const result = await ctx.copyToClipboard(1, "abc", captureId);
+
+    assert.equal(result.stale, true);
+    assert.equal(ctx.chrome.runtime.sendMessage.calls.length, 0);
+    assert.equal(inPageClipboardWrites(ctx.chrome).length, 0);
+  });
+});
+
 describe("clipboardWriteViaScript", () => {
   it("injects script targeting the correct tab", async () => {
     const { clipboardWriteViaScript, chrome } = createBackgroundContext();
@@ -1250,6 +3840,16 @@ describe("showFlashAndPreview", () => {
     assert.equal(injection.args[3], 1);
   });
 
+  it("offers an Annotate button that opens the capture in the editor", () => {
+    const { showFlashAndPreview, chrome } = createBackgroundContext();
+
+    showFlashAndPreview(1, "imgData", null);
+
+    const fnSource = chrome.scripting.executeScript.calls[0][0].func.toString();
+    assert.match(fnSource, /__screenshot-preview-edit__/);
+    assert.match(fnSource, /action: "openEditor",\s*data: backdrop\.__screenshotBase64/);
+  });
+
   it("removes document keydown listener inside dismiss helper", () => {
     const { showFlashAndPreview, chrome } = createBackgroundContext();
 
@@ -181,6 +181,9 @@ test("plumbing: runtime-message capture reaches success with clipboard stub", as
 
   await serviceWorker.evaluate(() => {
     globalThis.__origClipboardWriteViaScript = clipboardWriteViaScript;
+    // Force the in-page clipboard path these scenarios exercise.
+    globalThis.__origClipboardWriteViaOffscreen = clipboardWriteViaOffscreen;
+    clipboardWriteViaOffscreen = async () => null;
     clipboardWriteViaScript = async () => ({ ok: true, stale: false });
   });
 
@@ -208,6 +211,10 @@ test("plumbing: runtime-message capture reaches success with clipboard stub", as
     });
   } finally {
     await serviceWorker.evaluate(() => {
+      if (globalThis.__origClipboardWriteViaOffscreen) {
+        clipboardWriteViaOffscreen = globalThis.__origClipboardWriteViaOffscreen;
+        delete globalThis.__origClipboardWriteViaOffscreen;
+      }
       if (globalThis.__origClipboardWriteViaScript) {
         clipboardWriteViaScript = globalThis.__origClipboardWriteViaScript;
         delete globalThis.__origClipboardWriteViaScript;
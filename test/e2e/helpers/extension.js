@@ -18,6 +18,15 @@ const EXTENSION_BUNDLE_ENTRIES = [
   "background.js",
   "popup.html",
   "popup.js",
+  "options.html",
+  "options.js",
+  "history.html",
+  "history.js",
+  "history-store.js",
+  "editor.html",
+  "editor.js",
+  "offscreen.html",
+  "offscreen.js",
   "lib.js",
   "icons",
 ];
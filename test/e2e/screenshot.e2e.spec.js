@@ -297,6 +297,9 @@ test("regression: overlapping captures keep newest clipboard result", async () =
 
   await serviceWorker.evaluate(() => {
     globalThis.__origClipboardWriteViaScript = clipboardWriteViaScript;
+    // Force the in-page clipboard path these scenarios exercise.
+    globalThis.__origClipboardWriteViaOffscreen = clipboardWriteViaOffscreen;
+    clipboardWriteViaOffscreen = async () => null;
     globalThis.__overlapClipboardCallCount = 0;
     globalThis.__overlapClipboardGate = new Promise((resolve) => {
       globalThis.__releaseBlockedClipboardWrite = resolve;
@@ -373,6 +376,10 @@ test("regression: overlapping captures keep newest clipboard result", async () =
     expect(afterRelease.width).toBe(beforeRelease.width);
   } finally {
     await serviceWorker.evaluate(() => {
+      if (globalThis.__origClipboardWriteViaOffscreen) {
+        clipboardWriteViaOffscreen = globalThis.__origClipboardWriteViaOffscreen;
+        delete globalThis.__origClipboardWriteViaOffscreen;
+      }
       if (globalThis.__origClipboardWriteViaScript) {
         clipboardWriteViaScript = globalThis.__origClipboardWriteViaScript;
         delete globalThis.__origClipboardWriteViaScript;
@@ -647,6 +654,9 @@ test("focus-loss clipboard failure path surfaces expected error label", async ()
 
   await serviceWorker.evaluate(() => {
     globalThis.__origClipboardWriteViaScript = clipboardWriteViaScript;
+    // Force the in-page clipboard path these scenarios exercise.
+    globalThis.__origClipboardWriteViaOffscreen = clipboardWriteViaOffscreen;
+    clipboardWriteViaOffscreen = async () => null;
     clipboardWriteViaScript = async () => {
       throw new Error("Document is not focused");
     };
@@ -706,6 +716,10 @@ test("focus-loss clipboard failure path surfaces expected error label", async ()
     expect(retryButton.text).toContain("Retry copy");
   } finally {
     await serviceWorker.evaluate(() => {
+      if (globalThis.__origClipboardWriteViaOffscreen) {
+        clipboardWriteViaOffscreen = globalThis.__origClipboardWriteViaOffscreen;
+        delete globalThis.__origClipboardWriteViaOffscreen;
+      }
       if (globalThis.__origClipboardWriteViaScript) {
         clipboardWriteViaScript = globalThis.__origClipboardWriteViaScript;
         delete globalThis.__origClipboardWriteViaScript;
@@ -721,6 +735,9 @@ test("retry button copies successfully after initial clipboard focus failure", a
 
   await serviceWorker.evaluate(() => {
     globalThis.__origClipboardWriteViaScript = clipboardWriteViaScript;
+    // Force the in-page clipboard path these scenarios exercise.
+    globalThis.__origClipboardWriteViaOffscreen = clipboardWriteViaOffscreen;
+    clipboardWriteViaOffscreen = async () => null;
     globalThis.__initialClipboardFailuresRemaining = 1;
     clipboardWriteViaScript = async (...args) => {
       if (globalThis.__initialClipboardFailuresRemaining > 0) {
@@ -820,6 +837,10 @@ test("retry button copies successfully after initial clipboard focus failure", a
     expect(metrics.pngBytes).toBeGreaterThan(5000);
   } finally {
     await serviceWorker.evaluate(() => {
+      if (globalThis.__origClipboardWriteViaOffscreen) {
+        clipboardWriteViaOffscreen = globalThis.__origClipboardWriteViaOffscreen;
+        delete globalThis.__origClipboardWriteViaOffscreen;
+      }
       if (globalThis.__origClipboardWriteViaScript) {
         clipboardWriteViaScript = globalThis.__origClipboardWriteViaScript;
         delete globalThis.__origClipboardWriteViaScript;
@@ -842,6 +863,9 @@ test("retry button disables after retry failure and does not recapture", async (
 
   await serviceWorker.evaluate(() => {
     globalThis.__origClipboardWriteViaScript = clipboardWriteViaScript;
+    // Force the in-page clipboard path these scenarios exercise.
+    globalThis.__origClipboardWriteViaOffscreen = clipboardWriteViaOffscreen;
+    clipboardWriteViaOffscreen = async () => null;
     globalThis.__origClipboardWriteFromPreviewViaScript =
       globalThis.clipboardWriteFromPreviewViaScript;
     clipboardWriteViaScript = async () => {
@@ -942,6 +966,10 @@ test("retry button disables after retry failure and does not recapture", async (
     expect(captureCallsAfterRetry).toBe(captureCallsBeforeRetry);
   } finally {
     await serviceWorker.evaluate(() => {
+      if (globalThis.__origClipboardWriteViaOffscreen) {
+        clipboardWriteViaOffscreen = globalThis.__origClipboardWriteViaOffscreen;
+        delete globalThis.__origClipboardWriteViaOffscreen;
+      }
       if (globalThis.__origClipboardWriteViaScript) {
         clipboardWriteViaScript = globalThis.__origClipboardWriteViaScript;
         delete globalThis.__origClipboardWriteViaScript;
@@ -0,0 +1,193 @@
+const { describe, it } = require("node:test");
+// Non-strict assert for the same reason as background.test.js: objects
+// created inside the VM context have different prototypes.
+const assert = require("node:assert");
+const vm = require("node:vm");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const offscreenSource = fs.readFileSync(
+  path.join(__dirname, "..", "offscreen.js"),
+  "utf-8"
+);
+
+/**
+ * Loads offscreen.js into a VM context with mocked clipboard, fetch, URL
+ * and DOM APIs, and returns a helper that sends it a message.
+ *
+ * Options:
+ *   clipboardWriteImpl - implementation of navigator.clipboard.write
+ *     (default rejects, as it does in an unfocused offscreen document)
+ *   execCommandResult - return value of the frame's execCommand("copy")
+ *   frameEvent - event the iframe fires once appended ("load" or "error")
+ */
+function createOffscreenContext(options = {}) {
+  const {
+    clipboardWriteImpl = async () => {
+      throw new Error("Document is not focused.");
+    },
+    execCommandResult = true,
+    frameEvent = "load",
+  } = options;
+
+  let listener = null;
+  const clipboardWrites = [];
+  const execCommands = [];
+  const createdUrls = [];
+  const revokedUrls = [];
+  const frames = [];
+
+  function createFrame() {
+    const handlers = {};
+    const frame = {
+      src: "",
+      removed: false,
+      addEventListener(type, handler) {
+        handlers[type] = handler;
+      },
+      remove() {
+        frame.removed = true;
+      },
+      contentDocument: {
+        execCommand(command) {
+          execCommands.push(command);
+          return execCommandResult;
+        },
+      },
+      fire(type) {
+        handlers[type]?.();
+      },
+    };
+    frames.push(frame);
+    return frame;
+  }
+
+  const context = vm.createContext({
+    chrome: {
+      runtime: {
+        onMessage: {
+          addListener(fn) {
+            listener = fn;
+          },
+        },
+      },
+    },
+    fetch: async (url) => ({ blob: async () => ({ type: "image/png", url }) }),
+    navigator: {
+      clipboard: {
+        write: async (items) => {
+          clipboardWrites.push(items);
+          return clipboardWriteImpl(items);
+        },
+      },
+    },
+    ClipboardItem: class {
+      constructor(data) {
+        this.data = data;
+      }
+    },
+    URL: {
+      createObjectURL(blob) {
+        const url = `blob:offscreen/${createdUrls.length}`;
+        createdUrls.push({ url, blob });
+        return url;
+      },
+      revokeObjectURL(url) {
+        revokedUrls.push(url);
+      },
+    },
+    document: {
+      createElement(tag) {
+        assert.strictEqual(tag, "iframe");
+        return createFrame();
+      },
+      body: {
+        appendChild(frame) {
+          // Loading happens asynchronously after the frame is attached.
+          setTimeout(() => frame.fire(frameEvent), 0);
+        },
+      },
+    },
+    setTimeout,
+    String,
+    Error,
+    Promise,
+  });
+  vm.runInContext(offscreenSource, context);
+
+  function send(msg) {
+    return new Promise((resolve) => {
+      const keepOpen = listener(msg, {}, resolve);
+      if (!keepOpen) resolve(undefined);
+    });
+  }
+
+  return {
+    send,
+    clipboardWrites,
+    execCommands,
+    createdUrls,
+    revokedUrls,
+    frames,
+  };
+}
+
+const writeMessage = {
+  target: "offscreen",
+  action: "writeClipboard",
+  data: "iVBORw0KGgo=",
+};
+
+describe("offscreen clipboard document", () => {
+  it("ignores messages meant for other contexts", async () => {
+    const ctx = createOffscreenContext();
+    const response = await ctx.send({ action: "writeClipboard", data: "x" });
+    assert.strictEqual(response, undefined);
+    assert.strictEqual(ctx.clipboardWrites.length, 0);
+  });
+
+  it("writes with navigator.clipboard when the document has focus", async () => {
+    const ctx = createOffscreenContext({ clipboardWriteImpl: async () => {} });
+    const response = await ctx.send(writeMessage);
+    assert.deepEqual(response, { ok: true });
+    assert.strictEqual(ctx.clipboardWrites.length, 1);
+    const [item] = ctx.clipboardWrites[0];
+    assert.strictEqual(
+      item.data["image/png"].url,
+      `data:image/png;base64,${writeMessage.data}`
+    );
+    assert.strictEqual(ctx.frames.length, 0, "no image document needed");
+  });
+
+  it("copies from a blob: image document when clipboard.write is refused", async () => {
+    const ctx = createOffscreenContext();
+    const response = await ctx.send(writeMessage);
+    assert.deepEqual(response, { ok: true });
+    assert.strictEqual(ctx.clipboardWrites.length, 1);
+    assert.deepEqual(ctx.execCommands, ["copy"]);
+    assert.strictEqual(ctx.frames.length, 1);
+    assert.strictEqual(ctx.frames[0].src, ctx.createdUrls[0].url);
+    assert.strictEqual(ctx.frames[0].removed, true);
+    assert.deepEqual(ctx.revokedUrls, [ctx.createdUrls[0].url]);
+  });
+
+  it("reports a rejected copy command and still cleans up", async () => {
+    const ctx = createOffscreenContext({ execCommandResult: false });
+    const response = await ctx.send(writeMessage);
+    assert.deepEqual(response, {
+      ok: false,
+      error: "Clipboard copy command was rejected",
+    });
+    assert.strictEqual(ctx.frames[0].removed, true);
+    assert.deepEqual(ctx.revokedUrls, [ctx.createdUrls[0].url]);
+  });
+
+  it("reports an image that fails to load", async () => {
+    const ctx = createOffscreenContext({ frameEvent: "error" });
+    const response = await ctx.send(writeMessage);
+    assert.deepEqual(response, { ok: false, error: "Loading image failed" });
+    assert.deepEqual(ctx.execCommands, []);
+    assert.strictEqual(ctx.frames[0].removed, true);
+    assert.deepEqual(ctx.revokedUrls, [ctx.createdUrls[0].url]);
+  });
+});